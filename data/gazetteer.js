@@ -0,0 +1,71 @@
+// Offline gazetteer used to geocode free-text locations.
+// Croatian cities and towns plus the nearby capitals, at their town centres.
+// Names are matched without diacritics and case, `aliases` are other names in use.
+export default [
+  { name: 'Zagreb', lat: 45.815, lng: 15.9819 },
+  { name: 'Split', lat: 43.5081, lng: 16.4402 },
+  { name: 'Rijeka', lat: 45.3271, lng: 14.4422, aliases: ['Fiume'] },
+  { name: 'Osijek', lat: 45.555, lng: 18.6955 },
+  { name: 'Zadar', lat: 44.1194, lng: 15.2314 },
+  { name: 'Pula', lat: 44.8666, lng: 13.8496, aliases: ['Pola'] },
+  { name: 'Slavonski Brod', lat: 45.1603, lng: 18.0156 },
+  { name: 'Karlovac', lat: 45.4929, lng: 15.5553 },
+  { name: 'Varaždin', lat: 46.3057, lng: 16.3366 },
+  { name: 'Šibenik', lat: 43.735, lng: 15.8952 },
+  { name: 'Sisak', lat: 45.4661, lng: 16.3781 },
+  { name: 'Velika Gorica', lat: 45.7125, lng: 16.0756 },
+  { name: 'Vinkovci', lat: 45.2881, lng: 18.8047 },
+  { name: 'Vukovar', lat: 45.3511, lng: 19.0025 },
+  { name: 'Dubrovnik', lat: 42.6507, lng: 18.0944 },
+  { name: 'Bjelovar', lat: 45.8986, lng: 16.8423 },
+  { name: 'Koprivnica', lat: 46.1628, lng: 16.8275 },
+  { name: 'Požega', lat: 45.3403, lng: 17.6853 },
+  { name: 'Đakovo', lat: 45.3081, lng: 18.41, aliases: ['Djakovo'] },
+  { name: 'Čakovec', lat: 46.3844, lng: 16.4339 },
+  { name: 'Virovitica', lat: 45.8319, lng: 17.3839 },
+  { name: 'Samobor', lat: 45.8011, lng: 15.7108 },
+  { name: 'Zaprešić', lat: 45.8564, lng: 15.8078 },
+  { name: 'Sveta Nedelja', lat: 45.7975, lng: 15.7775 },
+  { name: 'Dugo Selo', lat: 45.8058, lng: 16.2389 },
+  { name: 'Ivanić-Grad', lat: 45.7083, lng: 16.395 },
+  { name: 'Kaštela', lat: 43.55, lng: 16.35 },
+  { name: 'Solin', lat: 43.5394, lng: 16.4947 },
+  { name: 'Trogir', lat: 43.5167, lng: 16.25 },
+  { name: 'Omiš', lat: 43.4447, lng: 16.6886 },
+  { name: 'Makarska', lat: 43.2969, lng: 17.0178 },
+  { name: 'Sinj', lat: 43.7036, lng: 16.6392 },
+  { name: 'Imotski', lat: 43.4467, lng: 17.2156 },
+  { name: 'Metković', lat: 43.0542, lng: 17.6483 },
+  { name: 'Ploče', lat: 43.0539, lng: 17.4331 },
+  { name: 'Korčula', lat: 42.9597, lng: 17.1356 },
+  { name: 'Hvar', lat: 43.1725, lng: 16.4411 },
+  { name: 'Supetar', lat: 43.3847, lng: 16.5517 },
+  { name: 'Knin', lat: 44.0406, lng: 16.1969 },
+  { name: 'Biograd na Moru', lat: 43.9431, lng: 15.4519, aliases: ['Biograd'] },
+  { name: 'Gospić', lat: 44.5461, lng: 15.3747 },
+  { name: 'Ogulin', lat: 45.2661, lng: 15.2286 },
+  { name: 'Opatija', lat: 45.3378, lng: 14.305 },
+  { name: 'Crikvenica', lat: 45.1767, lng: 14.6925 },
+  { name: 'Krk', lat: 45.0253, lng: 14.5758 },
+  { name: 'Poreč', lat: 45.2271, lng: 13.595 },
+  { name: 'Rovinj', lat: 45.0812, lng: 13.6387 },
+  { name: 'Umag', lat: 45.4314, lng: 13.5239 },
+  { name: 'Pazin', lat: 45.2403, lng: 13.9367 },
+  { name: 'Labin', lat: 45.095, lng: 14.1197 },
+  { name: 'Nova Gradiška', lat: 45.2556, lng: 17.3831 },
+  { name: 'Našice', lat: 45.4886, lng: 18.0878 },
+  { name: 'Županja', lat: 45.0778, lng: 18.6978 },
+  { name: 'Beli Manastir', lat: 45.77, lng: 18.6036 },
+  { name: 'Kutina', lat: 45.4753, lng: 16.7814 },
+  { name: 'Novska', lat: 45.3408, lng: 16.9778 },
+  { name: 'Petrinja', lat: 45.4375, lng: 16.29 },
+  { name: 'Daruvar', lat: 45.5906, lng: 17.225 },
+  { name: 'Križevci', lat: 46.0219, lng: 16.5425 },
+  { name: 'Krapina', lat: 46.1608, lng: 15.8789 },
+  { name: 'Ljubljana', lat: 46.0569, lng: 14.5058 },
+  { name: 'Sarajevo', lat: 43.8563, lng: 18.4131 },
+  { name: 'Mostar', lat: 43.3438, lng: 17.8078 },
+  { name: 'Beograd', lat: 44.7866, lng: 20.4489, aliases: ['Belgrade'] },
+  { name: 'Budimpešta', lat: 47.4979, lng: 19.0402, aliases: ['Budapest'] },
+  { name: 'Beč', lat: 48.2082, lng: 16.3738, aliases: ['Vienna', 'Wien'] }
+];
@@ -1,5 +1,6 @@
 import { MongoClient } from "mongodb";
 import dotenv from 'dotenv';
+import { logger } from './utils/logger.js';
 
 
 dotenv.config();
@@ -12,7 +13,7 @@ export const connectDB = async () => {
     if (!db) {
         await client.connect();
         db = client.db('CareMatch');
-        console.log('Connected to MongoDB');
+        logger.info('Connected to MongoDB');
     }
     return db;
 }
@@ -0,0 +1,85 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { ObjectId } from 'mongodb';
+import { connectDB } from '../db.js';
+import { isSessionActive } from '../services/sessions.js';
+import { isEmailVerified } from '../services/emailVerification.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Middleware to verify JWT token and the session it belongs to
+export const verifyToken = (req, res, next) => {
+  const token = req.headers['authorization']?.split(' ')[1];  // Extract token from 'Authorization' header
+  if (!token) return res.status(401).json({ code: 'TOKEN_MISSING', message: 'No token provided' });
+
+  jwt.verify(token, JWT_SECRET, async (err, decoded) => {
+    if (err) {
+      // Clients refresh the token on TOKEN_EXPIRED and send the user to the login page otherwise
+      const code = err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID';
+      return res.status(401).json({ code, message: 'Invalid token' });
+    }
+
+    try {
+      // Tokens issued before sessions existed carry no session ID and are no longer accepted
+      const db = await connectDB();
+      if (!(await isSessionActive(db, decoded.sid))) {
+        return res.status(401).json({ code: 'SESSION_REVOKED', message: 'Session has expired or was revoked' });
+      }
+
+      const user = await db.collection('users').findOne(
+        { _id: new ObjectId(decoded.id) },
+        { projection: { suspended: 1 } }
+      );
+      if (!user) return res.status(401).json({ code: 'ACCOUNT_NOT_FOUND', message: 'User no longer exists' });
+      if (user.suspended) return res.status(403).json({ code: 'ACCOUNT_SUSPENDED', message: 'Your account has been suspended' });
+
+      req.user = decoded;  // Attach user info to request
+      next();  // Proceed to next middleware/route handler
+    } catch (error) {
+      logger.error('Error verifying session', { err: error });
+      res.status(500).json({ message: 'Error verifying session' });
+    }
+  });
+};
+
+// Middleware for routes open to everyone that show more to signed-in users. A token that
+// is sent must still be valid.
+export const optionalToken = (req, res, next) => {
+  if (!req.headers['authorization']) return next();
+  verifyToken(req, res, next);
+};
+
+// Middleware to block actions until the user has verified their email
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const db = await connectDB();
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(req.user.id) },
+      { projection: { emailVerified: 1 } }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!isEmailVerified(user)) {
+      return res.status(403).json({ code: 'EMAIL_NOT_VERIFIED', message: 'Please verify your email address first.' });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error checking email verification', { err: error });
+    res.status(500).json({ message: 'Error checking email verification' });
+  }
+};
+
+// Middleware to check if user is an admin
+export const isAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ code: 'ADMINS_ONLY', message: 'Access denied. Admins only.' });
+  }
+  next();
+};
@@ -0,0 +1,71 @@
+import { connectDB } from '../db.js';
+import { peekLoginChallenge } from '../services/twoFactor.js';
+import { getRetryAfter, recordFailure, resetFailures, useQuota, accountKey, ipKey } from '../services/bruteForce.js';
+import { logger } from '../utils/logger.js';
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    code: 'TOO_MANY_ATTEMPTS',
+    message: `Too many attempts. Please try again in ${retryAfter} seconds.`,
+    retryAfter
+  });
+};
+
+// Middleware to limit attempts on an endpoint per account and per IP.
+// `getAccount` returns the account identifier (e.g. the email) from the request.
+// Handlers report the outcome through req.bruteForce.fail(user) / req.bruteForce.succeed().
+export const bruteForceProtection = (scope, getAccount) => async (req, res, next) => {
+  try {
+    const account = getAccount(req);
+    const keys = [ipKey(req.ip)];
+    if (account) keys.push(accountKey(account));
+
+    const db = await connectDB();
+    const retryAfter = await getRetryAfter(db, scope, keys);
+
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    req.bruteForce = {
+      fail: (user = null) => recordFailure(db, scope, keys, user),
+      succeed: () => account ? resetFailures(db, scope, accountKey(account)) : Promise.resolve()
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Error checking attempt limits', { err: error });
+    res.status(500).json({ message: 'An error occurred' });
+  }
+};
+
+// Middleware to limit how many requests an account makes per window, e.g. so nobody
+// can flood an inbox. Every request counts, whatever its outcome.
+export const requestQuota = (scope, getAccount) => async (req, res, next) => {
+  try {
+    const db = await connectDB();
+    const retryAfter = await useQuota(db, scope, accountKey(getAccount(req)));
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+    next();
+  } catch (error) {
+    logger.error('Error checking request quota', { err: error });
+    res.status(500).json({ message: 'An error occurred' });
+  }
+};
+
+// Both login routes (/api/auth/login and /api/users/login) share one limit
+export const loginProtection = bruteForceProtection('login', (req) => req.body.email);
+export const forgotPasswordProtection = requestQuota('forgot_password', (req) => req.body.email);
+// Every check of the logged in user's current password shares one limit: changing the
+// password, changing it through the profile and deleting the account
+export const changePasswordProtection = bruteForceProtection('change_password', (req) => req.user.id);
+
+// Profile updates only check the password when it is being changed
+export const profilePasswordProtection = (req, res, next) =>
+  (req.body.currentPassword ? changePasswordProtection(req, res, next) : next());
+
+// Keyed by the logged in user, or by the user in the login challenge during /login/2fa
+export const twoFactorProtection = bruteForceProtection('two_factor', (req) => req.user?.id || peekLoginChallenge(req.body.challengeToken));
@@ -2,6 +2,7 @@ import multer from 'multer';
 import { v2 as cloudinary } from 'cloudinary';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import dotenv from 'dotenv';
+import { AppError } from '../utils/errors.js';
 
 dotenv.config();
 
@@ -30,7 +31,7 @@ const uploadMiddleware = multer({
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed!'));
+      cb(new AppError(415, 'UNSUPPORTED_FILE_TYPE', 'Only image files are allowed!'));
     }
   }
 });
@@ -0,0 +1,87 @@
+import multer from 'multer';
+import { AppError, defaultErrorCode } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Middleware to give every error response the same shape:
+// { code, message, requestId, ...details }. Routes can pass their own `code`,
+// otherwise one is derived from the status. Internal details (`error`) are
+// dropped in production.
+export const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode < 400 || !body || typeof body !== 'object' || Array.isArray(body)) {
+      return json(body);
+    }
+
+    const { code, message, error, ...rest } = body;
+    return json({
+      code: code || defaultErrorCode(res.statusCode),
+      message: message || 'An error occurred',
+      ...rest,
+      ...(error && !isProduction ? { error } : {}),
+      requestId: req.id
+    });
+  };
+
+  next();
+};
+
+// Turn the errors thrown by libraries into AppErrors with the right status
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return new AppError(413, 'FILE_TOO_LARGE', 'File is too large. The maximum size is 5MB.');
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return new AppError(400, 'UNEXPECTED_FILE', `Unexpected file field "${err.field}"`);
+    }
+    return new AppError(400, 'UPLOAD_FAILED', err.message);
+  }
+
+  // Errors from express.json() / express.urlencoded()
+  if (err.type === 'entity.parse.failed') {
+    return new AppError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  return null;
+};
+
+// Fallback for requests no router handled
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({ code: 'ROUTE_NOT_FOUND', message: `Cannot ${req.method} ${req.path}` });
+};
+
+// Global error handler, registered after all routers
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const appError = toAppError(err);
+
+  if (appError) {
+    return res.status(appError.status).json({
+      code: appError.code,
+      message: appError.message,
+      ...(appError.details ? { details: appError.details } : {})
+    });
+  }
+
+  logger.error('Unhandled error', { err });
+
+  res.status(500).json({
+    code: 'INTERNAL_ERROR',
+    message: 'Internal server error',
+    error: err.message
+  });
+};
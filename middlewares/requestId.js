@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// IDs passed in by a proxy are only reused if they look harmless
+const VALID_REQUEST_ID = /^[\w.-]{1,100}$/;
+
+// Middleware to give every request an ID, sent back in the X-Request-Id header
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
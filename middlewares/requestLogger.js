@@ -0,0 +1,21 @@
+import { logger, withRequestContext } from '../utils/logger.js';
+
+// Middleware to attach the request to every line logged while handling it
+// and to log its status and latency once the response is sent
+export const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+    const log = res.statusCode >= 500 ? logger.error : res.statusCode >= 400 ? logger.warn : logger.info;
+
+    withRequestContext(req, () => log('Request completed', {
+      method: req.method,
+      status: res.statusCode,
+      durationMs,
+      ip: req.ip
+    }));
+  });
+
+  withRequestContext(req, next);
+};
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import Joi from 'joi';
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,      // Report every failing field, not just the first
+  allowUnknown: false,    // Reject fields the route doesn't know about
+  convert: true,          // Turn "5" into 5 for number fields (query strings, multipart forms)
+  errors: { wrap: { label: false } }
+};
+
+// Remove a file multer already stored for a request that failed validation
+const discardUpload = (req) => {
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(Boolean);
+  for (const file of files) {
+    // Cloudinary uploads have a URL as path, only local files are removed
+    if (file.path && !/^https?:\/\//.test(file.path)) {
+      fs.unlink(file.path, () => {});
+    }
+  }
+};
+
+// Validate a value with the middleware's options. Returns the converted value,
+// or the failing fields in the format of a 422 response.
+export function validateValue(schema, value, location) {
+  const { error, value: converted } = schema.validate(value, VALIDATION_OPTIONS);
+  if (!error) {
+    return { value: converted };
+  }
+
+  const errors = [];
+  for (const detail of error.details) {
+    // Rules spanning several fields (e.g. "code or recoveryCode") are reported on each of them
+    const fields = detail.path.length > 0 ? [detail.path.join('.')] : (detail.context?.peers || [null]);
+    for (const field of fields) {
+      errors.push({ field, location, message: detail.message });
+    }
+  }
+  return { errors };
+}
+
+// Routes without a query or body schema accept neither
+const EMPTY = Joi.object({});
+
+// Middleware to validate a request against Joi schemas for its params, query and body.
+// Responds with 422 and a list of failing fields, otherwise replaces the
+// request data with the validated (converted) values.
+export const validate = (schemas = {}) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    const schema = schemas[location] || (location === 'params' ? null : EMPTY);
+    if (!schema) continue;
+
+    const result = validateValue(schema, req[location] || {}, location);
+
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else {
+      req[location] = result.value;
+    }
+  }
+
+  if (errors.length > 0) {
+    discardUpload(req);
+    return res.status(422).json({ code: 'VALIDATION_FAILED', message: 'Validation failed', errors });
+  }
+
+  next();
+};
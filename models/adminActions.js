@@ -0,0 +1,38 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the adminActions collection (audit log of moderation actions)
+export async function adminActionCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'adminActions' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating adminActions collection...');
+    await db.createCollection('adminActions');
+    
+    // Create indexes for better query performance
+    const adminActions = db.collection('adminActions');
+    await adminActions.createIndex({ adminId: 1 }); // To see what an admin did
+    await adminActions.createIndex({ targetType: 1, targetId: 1 }); // To see the history of a user, job or review
+    await adminActions.createIndex({ createdAt: -1 }); // To sort by date
+    
+    logger.info('adminActions collection created with indexes');
+  }
+  
+  return db.collection('adminActions');
+}
+
+// Record an admin action
+export async function recordAdminAction(db, { adminId, action, targetType, targetId, reason, details }) {
+  const adminActions = await adminActionCollection(db);
+  
+  return adminActions.insertOne({
+    adminId,
+    action,
+    targetType,
+    targetId: targetId ? targetId.toString() : null,
+    reason: reason || null,
+    details: details || null,
+    createdAt: new Date().toISOString()
+  });
+}
@@ -0,0 +1,23 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the authTokens collection (single-use tokens such as password resets)
+export async function authTokenCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'authTokens' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating authTokens collection...');
+    await db.createCollection('authTokens');
+    
+    // Create indexes for better query performance
+    const authTokens = db.collection('authTokens');
+    await authTokens.createIndex({ tokenHash: 1 }, { unique: true }); // To look up a token when it is used
+    await authTokens.createIndex({ userId: 1, type: 1 }); // To invalidate a user's older tokens
+    await authTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo removes expired tokens (expiresAt must be a Date)
+    
+    logger.info('authTokens collection created with indexes');
+  }
+  
+  return db.collection('authTokens');
+}
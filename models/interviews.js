@@ -0,0 +1,24 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the interviews collection
+export async function interviewCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'interviews' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating interviews collection...');
+    await db.createCollection('interviews');
+    
+    // Create indexes for better query performance
+    const interviews = db.collection('interviews');
+    await interviews.createIndex({ applicationId: 1, status: 1 }); // For finding the open interview of an application
+    await interviews.createIndex({ employerId: 1, startsAt: 1 }); // For listing an employer's interviews
+    await interviews.createIndex({ applicantId: 1, startsAt: 1 }); // For listing an applicant's interviews
+    await interviews.createIndex({ status: 1, startsAt: 1 }); // For sending due reminders
+    
+    logger.info('interviews collection created with indexes');
+  }
+  
+  return db.collection('interviews');
+}
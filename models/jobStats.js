@@ -0,0 +1,22 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the jobStats collection: one document of counters per job and day
+export async function jobStatsCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'jobStats' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating jobStats collection...');
+    await db.createCollection('jobStats');
+    
+    // Create indexes for better query performance
+    const jobStats = db.collection('jobStats');
+    await jobStats.createIndex({ jobId: 1, day: 1 }, { unique: true }); // One counter document per job and day
+    await jobStats.createIndex({ employerId: 1, day: 1 }); // For an employer's totals
+    
+    logger.info('jobStats collection created with indexes');
+  }
+  
+  return db.collection('jobStats');
+}
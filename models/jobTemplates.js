@@ -0,0 +1,21 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the jobTemplates collection
+export async function jobTemplateCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'jobTemplates' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating jobTemplates collection...');
+    await db.createCollection('jobTemplates');
+    
+    // Create indexes for better query performance
+    const jobTemplates = db.collection('jobTemplates');
+    await jobTemplates.createIndex({ employerId: 1, name: 1 }, { unique: true }); // Template names are unique per employer
+    
+    logger.info('jobTemplates collection created with indexes');
+  }
+  
+  return db.collection('jobTemplates');
+}
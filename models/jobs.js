@@ -1,4 +1,34 @@
 import { MongoClient } from 'mongodb';
+import { logger } from '../utils/logger.js';
+
+// Indexes of the jobs collection. Ones added later are created on existing
+// collections at startup by ensureJobIndexes.
+const JOB_INDEXES = [
+  { key: { title: 'text', description: 'text' } }, // Full-text search
+  { key: { location: 1 } }, // Location-based search
+  { key: { geoLocation: '2dsphere' } }, // Radius search
+  { key: { employmentType: 1 } }, // Filter by employment type
+  { key: { postedDate: -1 } }, // Sort by posted date
+  { key: { 'salary.annual.max': 1 } }, // Salary filters, bands and sorting
+  { key: { 'salary.annual.min': 1 } },
+  { key: { employerId: 1 } }, // Filter by employer
+  { key: { employerId: 1, status: 1 } }, // Employer's jobs by status
+  { key: { status: 1, publishAt: 1 } }, // Scheduled publishing
+  { key: { status: 1, closingDate: 1 } } // Closing at the closing date
+];
+
+// Create the job indexes that are missing. Existing ones are left as they are, and
+// one that can't be built (e.g. over invalid geoLocation data) doesn't stop the others.
+export async function ensureJobIndexes(db) {
+  const jobs = db.collection('jobs');
+  for (const index of JOB_INDEXES) {
+    try {
+      await jobs.createIndexes([index]);
+    } catch (error) {
+      logger.error('Error creating job index', { err: error, key: index.key });
+    }
+  }
+}
 
 // Get or create the job collection
 export async function jobCollection(db) {
@@ -7,20 +37,14 @@ export async function jobCollection(db) {
   
   // If collection doesn't exist, create it
   if (collections.length === 0) {
-    console.log('Creating jobs collection...');
+    logger.info('Creating jobs collection...');
     await db.createCollection('jobs');
     
     // Create indexes for better query performance
-    const jobs = db.collection('jobs');
-    await jobs.createIndex({ title: 'text', description: 'text' }); // Full-text search
-    await jobs.createIndex({ location: 1 }); // Location-based search
-    await jobs.createIndex({ employmentType: 1 }); // Filter by employment type
-    await jobs.createIndex({ postedDate: -1 }); // Sort by posted date
-    await jobs.createIndex({ employerId: 1 }); // Filter by employer
-    await jobs.createIndex({ archived: 1 }); // Filter by archived status
+    await ensureJobIndexes(db);
     
-    console.log('Jobs collection created with indexes');
+    logger.info('Jobs collection created with indexes');
   }
   
   return db.collection('jobs');
-}
\ No newline at end of file
+}
@@ -0,0 +1,22 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the loginAttempts collection (failed attempts per account and per IP)
+export async function loginAttemptCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'loginAttempts' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating loginAttempts collection...');
+    await db.createCollection('loginAttempts');
+    
+    // Create indexes for better query performance
+    const loginAttempts = db.collection('loginAttempts');
+    await loginAttempts.createIndex({ scope: 1, key: 1 }, { unique: true }); // One counter per endpoint and account/IP
+    await loginAttempts.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo forgets old failures (expiresAt must be a Date)
+    
+    logger.info('loginAttempts collection created with indexes');
+  }
+  
+  return db.collection('loginAttempts');
+}
@@ -1,4 +1,5 @@
 import { MongoClient } from 'mongodb';
+import { logger } from '../utils/logger.js';
 
 // Get or create the notifications collection
 export async function notificationCollection(db) {
@@ -7,7 +8,7 @@ export async function notificationCollection(db) {
   
   // If collection doesn't exist, create it
   if (collections.length === 0) {
-    console.log('Creating notifications collection...');
+    logger.info('Creating notifications collection...');
     await db.createCollection('notifications');
     
     // Create indexes for better query performance
@@ -17,7 +18,7 @@ export async function notificationCollection(db) {
     await notifications.createIndex({ isRead: 1 }); // To filter by read status
     await notifications.createIndex({ type: 1 }); // To filter by notification type
     
-    console.log('Notifications collection created with indexes');
+    logger.info('Notifications collection created with indexes');
   }
   
   return db.collection('notifications');
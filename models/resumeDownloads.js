@@ -0,0 +1,43 @@
+import { logger } from '../utils/logger.js';
+
+// Downloads are kept for a year
+const RETENTION_DAYS = 365;
+
+// Get or create the resumeDownloads collection (access log of resume downloads)
+export async function resumeDownloadCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'resumeDownloads' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating resumeDownloads collection...');
+    await db.createCollection('resumeDownloads');
+    
+    // Create indexes for better query performance
+    const resumeDownloads = db.collection('resumeDownloads');
+    await resumeDownloads.createIndex({ applicationId: 1, createdAt: -1 }); // To see who downloaded a resume
+    await resumeDownloads.createIndex({ applicantId: 1 }); // For exporting and deleting an applicant's data
+    await resumeDownloads.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo removes old entries (expiresAt must be a Date)
+    
+    logger.info('resumeDownloads collection created with indexes');
+  }
+  
+  return db.collection('resumeDownloads');
+}
+
+// Record a resume download
+export async function recordResumeDownload(db, { application, userId, via, req }) {
+  const resumeDownloads = await resumeDownloadCollection(db);
+  
+  return resumeDownloads.insertOne({
+    applicationId: application._id.toString(),
+    applicantId: application.applicantId,
+    userId,
+    role: userId === application.applicantId ? 'applicant' : 'employer',
+    via,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'] || null,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  });
+}
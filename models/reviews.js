@@ -77,4 +77,19 @@ export const getJobseekerAverageRating = async (jobseekerId) => {
     averageRating: result[0].averageRating,
     reviewCount: result[0].reviewCount
   };
-};
\ No newline at end of file
+};
+
+// Get a single review by ID
+export const getReviewById = async (reviewId) => {
+  const collection = await reviewsCollection();
+  
+  return collection.findOne({ _id: new ObjectId(reviewId) });
+};
+
+// Delete a review
+export const deleteReview = async (reviewId) => {
+  const collection = await reviewsCollection();
+  
+  const result = await collection.deleteOne({ _id: new ObjectId(reviewId) });
+  return result.deletedCount === 1;
+};
@@ -1,4 +1,5 @@
 import { MongoClient } from 'mongodb';
+import { logger } from '../utils/logger.js';
 
 // Get or create the savedJobs collection
 export async function savedJobsCollection(db) {
@@ -7,7 +8,7 @@ export async function savedJobsCollection(db) {
   
   // If collection doesn't exist, create it
   if (collections.length === 0) {
-    console.log('Creating savedJobs collection...');
+    logger.info('Creating savedJobs collection...');
     await db.createCollection('savedJobs');
     
     // Create indexes for better query performance
@@ -16,7 +17,7 @@ export async function savedJobsCollection(db) {
     await savedJobs.createIndex({ jobId: 1 }); // Index for faster job-based queries
     await savedJobs.createIndex({ userId: 1, jobId: 1 }, { unique: true }); // Compound index to prevent duplicates
     
-    console.log('savedJobs collection created with indexes');
+    logger.info('savedJobs collection created with indexes');
   }
   
   return db.collection('savedJobs');
@@ -0,0 +1,23 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the savedSearches collection
+export async function savedSearchCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'savedSearches' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating savedSearches collection...');
+    await db.createCollection('savedSearches');
+    
+    // Create indexes for better query performance
+    const savedSearches = db.collection('savedSearches');
+    await savedSearches.createIndex({ userId: 1, name: 1 }, { unique: true }); // Search names are unique per user
+    await savedSearches.createIndex({ 'filters.employmentType': 1 }); // For finding the searches a new job may match
+    await savedSearches.createIndex({ lastDigestAt: 1 }); // For sending due digests
+    
+    logger.info('savedSearches collection created with indexes');
+  }
+  
+  return db.collection('savedSearches');
+}
@@ -0,0 +1,24 @@
+import { logger } from '../utils/logger.js';
+
+// Get or create the sessions collection
+export async function sessionCollection(db) {
+  // Check if collection exists
+  const collections = await db.listCollections({ name: 'sessions' }).toArray();
+  
+  // If collection doesn't exist, create it
+  if (collections.length === 0) {
+    logger.info('Creating sessions collection...');
+    await db.createCollection('sessions');
+    
+    // Create indexes for better query performance
+    const sessions = db.collection('sessions');
+    await sessions.createIndex({ userId: 1 }); // To list sessions for a user
+    await sessions.createIndex({ refreshTokenHash: 1 }, { unique: true }); // To look up a session on refresh
+    await sessions.createIndex({ previousRefreshTokenHash: 1 }); // To detect reuse of a rotated token
+    await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo removes expired sessions (expiresAt must be a Date)
+    
+    logger.info('Sessions collection created with indexes');
+  }
+  
+  return db.collection('sessions');
+}
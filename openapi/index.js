@@ -0,0 +1,124 @@
+import { joiToSchema, joiToParameters } from './joiToSchema.js';
+import { schemas, ref } from './schemas.js';
+import authPaths from './paths/auth.js';
+import usersPaths from './paths/users.js';
+import jobsPaths from './paths/jobs.js';
+import jobTemplatesPaths from './paths/jobTemplates.js';
+import savedSearchesPaths from './paths/savedSearches.js';
+import applicationsPaths from './paths/applications.js';
+import interviewsPaths from './paths/interviews.js';
+import notificationsPaths from './paths/notifications.js';
+import reviewsPaths from './paths/reviews.js';
+import adminPaths from './paths/admin.js';
+
+const routers = [authPaths, usersPaths, jobsPaths, savedSearchesPaths, jobTemplatesPaths, applicationsPaths, interviewsPaths, notificationsPaths, reviewsPaths, adminPaths];
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: ref(schema) } }
+});
+
+// Error responses every route of a kind can return
+const commonResponses = (operation) => ({
+  ...(operation.auth ? { 401: errorResponse('Missing, invalid or expired access token, or the session was revoked') } : {}),
+  422: errorResponse('Invalid request parameters or body', 'ValidationError'),
+  ...(operation.rateLimited ? { 429: errorResponse('Too many failed attempts, try again after Retry-After seconds', 'TooManyAttempts') } : {}),
+  500: errorResponse('Unexpected server error')
+});
+
+// Error responses are written as a plain description in the paths files
+const toResponse = (status, response) =>
+  typeof response === 'string' && Number(status) >= 400 ? errorResponse(response) : response;
+
+// Express path (/jobs/:id) to OpenAPI path (/jobs/{id})
+export const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+function requestBody(validation = {}, upload) {
+  const body = validation.body ? joiToSchema(validation.body) : null;
+
+  if (upload) {
+    const schema = body || { type: 'object', properties: {} };
+    schema.properties = {
+      ...schema.properties,
+      [upload.field]: { type: 'string', format: 'binary', description: upload.description }
+    };
+    if (upload.required) {
+      schema.required = [...(schema.required || []), upload.field];
+    }
+    return { required: true, content: { 'multipart/form-data': { schema } } };
+  }
+
+  if (!body) {
+    return undefined;
+  }
+
+  return {
+    required: (body.required || []).length > 0,
+    content: { 'application/json': { schema: body } }
+  };
+}
+
+function buildOperation(tag, operation) {
+  const { validation = {} } = operation;
+
+  const parameters = [
+    ...(validation.params ? joiToParameters(validation.params, 'params') : []),
+    ...(validation.query ? joiToParameters(validation.query, 'query') : [])
+  ];
+
+  const body = requestBody(validation, operation.upload);
+
+  const responses = Object.fromEntries(
+    Object.entries(operation.responses).map(([status, response]) => [status, toResponse(status, response)])
+  );
+
+  return {
+    tags: [tag],
+    summary: operation.summary,
+    ...(operation.description ? { description: operation.description } : {}),
+    ...(operation.deprecated ? { deprecated: true } : {}),
+    // auth 'optional': anonymous requests are allowed, a token adds to what the user sees
+    ...(operation.auth ? { security: operation.auth === 'optional' ? [{}, { bearerAuth: [] }] : [{ bearerAuth: [] }] } : { security: [] }),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(body ? { requestBody: body } : {}),
+    responses: { ...commonResponses(operation), ...responses }
+  };
+}
+
+function buildPaths() {
+  const paths = {};
+
+  for (const { prefix, tag, operations } of routers) {
+    for (const [route, operation] of Object.entries(operations)) {
+      const [method, path] = route.split(' ');
+      const fullPath = toOpenApiPath(`${prefix}${path === '/' ? '' : path}`) || '/';
+
+      paths[fullPath] = paths[fullPath] || {};
+      paths[fullPath][method.toLowerCase()] = buildOperation(tag, operation);
+    }
+  }
+
+  return paths;
+}
+
+// OpenAPI 3 description of the API, served at /api/openapi.json
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'CareMatch API',
+    version: '1.0.0',
+    description: 'Job portal connecting carers with employers.\n\n' +
+      'Errors have the shape `{ code, message, requestId }`; every response carries an `X-Request-Id` header. ' +
+      'Authenticated routes expect `Authorization: Bearer <token>` with a token from login, register or refresh.'
+  },
+  servers: [{ url: '/' }],
+  tags: routers.map(({ tag, description }) => ({ name: tag, description })),
+  security: [{ bearerAuth: [] }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas
+  },
+  paths: buildPaths()
+};
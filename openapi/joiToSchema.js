@@ -0,0 +1,149 @@
+// Convert the Joi schemas in validators/ to OpenAPI 3.0 schemas, so the
+// documented request format is always the one the API actually accepts.
+
+const ruleArg = (description, name) => description.rules?.find(rule => rule.name === name)?.args;
+
+const applyStringRules = (schema, description) => {
+  for (const rule of description.rules || []) {
+    const limit = rule.args?.limit;
+    switch (rule.name) {
+      case 'min': schema.minLength = limit; break;
+      case 'max': schema.maxLength = limit; break;
+      case 'length': schema.minLength = limit; schema.maxLength = limit; break;
+      case 'email': schema.format = 'email'; break;
+      case 'isoDate': schema.format = 'date-time'; break;
+      case 'uri': schema.format = 'uri'; break;
+      // Joi stores the regex as "/source/flags"
+      case 'pattern': schema.pattern = rule.args.regex.replace(/^\/(.*)\/[a-z]*$/, '$1'); break;
+    }
+  }
+
+  // Hex strings of a fixed length are ObjectIds
+  if (ruleArg(description, 'hex')) {
+    schema.pattern = schema.maxLength && schema.minLength === schema.maxLength
+      ? `^[0-9a-fA-F]{${schema.maxLength}}$`
+      : '^[0-9a-fA-F]+$';
+  }
+};
+
+// Limits that refer to another field (Joi.ref) can only be described
+const REFERENCE_LIMITS = { min: 'At least', max: 'At most', greater: 'Greater than', less: 'Less than' };
+
+const applyNumberRules = (schema, description) => {
+  for (const rule of description.rules || []) {
+    const limit = rule.args?.limit;
+    if (limit?.ref) {
+      schema.description = `${REFERENCE_LIMITS[rule.name]} ${limit.ref.path.join('.')}.`;
+      continue;
+    }
+    switch (rule.name) {
+      case 'integer': schema.type = 'integer'; break;
+      case 'min': schema.minimum = limit; break;
+      case 'max': schema.maximum = limit; break;
+      case 'greater': schema.minimum = limit; schema.exclusiveMinimum = true; break;
+      case 'less': schema.maximum = limit; schema.exclusiveMaximum = true; break;
+      case 'sign':
+        if (rule.args.sign === 'positive') {
+          schema.minimum = 0;
+          schema.exclusiveMinimum = true;
+        } else {
+          schema.maximum = 0;
+          schema.exclusiveMaximum = true;
+        }
+        break;
+    }
+  }
+};
+
+// Describe how an object's fields depend on each other (xor, and, ...)
+const describeDependencies = (dependencies = []) => dependencies.map(({ rel, peers }) => {
+  const fields = peers.join(', ');
+  switch (rel) {
+    case 'xor': return `Exactly one of ${fields} is required.`;
+    case 'oxor': return `At most one of ${fields} may be given.`;
+    case 'or': return `At least one of ${fields} is required.`;
+    case 'and': return `${fields} must be given together.`;
+    case 'nand': return `${fields} must not all be given together.`;
+    default: return `${rel}: ${fields}`;
+  }
+}).join(' ');
+
+function convert(description) {
+  const schema = {};
+  const allowed = description.allow || [];
+
+  switch (description.type) {
+    case 'string': {
+      schema.type = 'string';
+      applyStringRules(schema, description);
+      break;
+    }
+    case 'number': {
+      schema.type = 'number';
+      applyNumberRules(schema, description);
+      break;
+    }
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'array': {
+      schema.type = 'array';
+      schema.items = description.items?.length === 1 ? convert(description.items[0]) : {};
+      const min = ruleArg(description, 'min');
+      const max = ruleArg(description, 'max');
+      if (min) schema.minItems = min.limit;
+      if (max) schema.maxItems = max.limit;
+      break;
+    }
+    case 'object': {
+      schema.type = 'object';
+      const keys = description.keys || {};
+      schema.properties = Object.fromEntries(Object.entries(keys).map(([key, value]) => [key, convert(value)]));
+      const required = Object.keys(keys).filter(key => keys[key].flags?.presence === 'required');
+      if (required.length > 0) schema.required = required;
+      // validate() rejects unknown fields
+      if (description.keys) schema.additionalProperties = false;
+      const min = ruleArg(description, 'min');
+      if (min) schema.minProperties = min.limit;
+      const dependencies = describeDependencies(description.dependencies);
+      if (dependencies) schema.description = dependencies;
+      break;
+    }
+    case 'alternatives':
+      schema.oneOf = description.matches.map(match => convert(match.schema));
+      break;
+  }
+
+  // valid('a', 'b') lists the only accepted values
+  if (description.flags?.only) {
+    schema.enum = allowed;
+  } else if (allowed.length > 0) {
+    if (allowed.includes(null)) schema.nullable = true;
+    // Allowing '' lifts the minimum length
+    if (allowed.includes('') && schema.minLength) delete schema.minLength;
+  }
+
+  if (description.flags?.default !== undefined) schema.default = description.flags.default;
+  if (description.flags?.description) schema.description = description.flags.description;
+
+  return schema;
+}
+
+// OpenAPI schema for a Joi schema
+export const joiToSchema = (joiSchema) => convert(joiSchema.describe());
+
+// OpenAPI parameters for the params or query schema of a route
+export function joiToParameters(joiSchema, location) {
+  const schema = joiToSchema(joiSchema);
+
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: location === 'params' ? 'path' : 'query',
+    required: location === 'params' || (schema.required || []).includes(name),
+    schema: property
+  }));
+}
@@ -0,0 +1,167 @@
+import {
+  listUsersSchema,
+  idSchema,
+  requiredReasonSchema,
+  optionalReasonSchema,
+  listApplicationsSchema,
+  listActionsSchema
+} from '../../validators/admin.js';
+import { ref, nullableRef } from '../schemas.js';
+import { json, message, pageOf } from '../responses.js';
+
+// Every admin route needs an admin's token and can answer with these
+const adminOnly = (operation) => ({
+  ...operation,
+  auth: true,
+  responses: {
+    403: 'Not an admin (ADMINS_ONLY)',
+    ...operation.responses
+  }
+});
+
+export default {
+  prefix: '/api/admin',
+  tag: 'Admin',
+  description: 'Moderation for administrators. Every action is recorded in the audit log.',
+  operations: {
+    'GET /users': adminOnly({
+      summary: 'Search users',
+      validation: listUsersSchema,
+      responses: {
+        200: json('Page of users, newest first', pageOf('users', 'User'))
+      }
+    }),
+    'GET /users/:id': adminOnly({
+      summary: 'Get a user with activity statistics',
+      validation: idSchema,
+      responses: {
+        200: json('The user', {
+          allOf: [
+            ref('User'),
+            {
+              type: 'object',
+              properties: {
+                stats: {
+                  type: 'object',
+                  properties: {
+                    jobCount: { type: 'integer' },
+                    applicationCount: { type: 'integer' },
+                    reviewsGiven: { type: 'integer' },
+                    reviewsReceived: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          ]
+        }),
+        404: 'User not found'
+      }
+    }),
+    'PUT /users/:id/suspend': adminOnly({
+      summary: 'Suspend a user',
+      description: 'Logs the user out of all sessions.',
+      validation: requiredReasonSchema,
+      responses: {
+        200: message('User suspended'),
+        400: 'Own account or already suspended',
+        404: 'User not found'
+      }
+    }),
+    'PUT /users/:id/reinstate': adminOnly({
+      summary: 'Reinstate a suspended user',
+      validation: optionalReasonSchema,
+      responses: {
+        200: message('User reinstated'),
+        404: 'Suspended user not found'
+      }
+    }),
+    'POST /users/:id/reset-password': adminOnly({
+      summary: "Reset a user's password",
+      description: 'Emails the user a temporary password they must change after logging in.',
+      validation: optionalReasonSchema,
+      responses: {
+        200: message('Temporary password sent'),
+        404: 'User not found'
+      }
+    }),
+    'POST /users/:id/disable-2fa': adminOnly({
+      summary: "Disable a user's two-factor authentication",
+      validation: requiredReasonSchema,
+      responses: {
+        200: message('Two-factor authentication disabled'),
+        400: 'Two-factor authentication not enabled',
+        404: 'User not found'
+      }
+    }),
+    'PUT /jobs/:id/unpublish': adminOnly({
+      summary: 'Unpublish a job',
+      description: 'The employer is notified and cannot reactivate the job. Published and scheduled jobs are paused.',
+      validation: requiredReasonSchema,
+      responses: {
+        200: message('Job unpublished'),
+        404: 'Job not found',
+        409: 'The job changed meanwhile (CONFLICT)'
+      }
+    }),
+    'PUT /jobs/:id/republish': adminOnly({
+      summary: 'Republish an unpublished job',
+      description: 'A job the unpublish paused gets back the status it had, unless the employer changed it since.',
+      validation: optionalReasonSchema,
+      responses: {
+        200: message('Job republished'),
+        404: 'Unpublished job not found'
+      }
+    }),
+    'DELETE /jobs/:id': adminOnly({
+      summary: 'Delete a job',
+      description: 'A copy of the job is kept in the audit log.',
+      validation: optionalReasonSchema,
+      responses: {
+        200: message('Job deleted'),
+        404: 'Job not found'
+      }
+    }),
+    'DELETE /reviews/:id': adminOnly({
+      summary: 'Remove a review',
+      validation: optionalReasonSchema,
+      responses: {
+        200: message('Review removed'),
+        404: 'Review not found'
+      }
+    }),
+    'GET /applications': adminOnly({
+      summary: 'Search applications',
+      validation: listApplicationsSchema,
+      responses: {
+        200: json('Page of applications', pageOf('applications', 'Application'))
+      }
+    }),
+    'GET /applications/:id': adminOnly({
+      summary: 'Get an application',
+      description: 'Viewing an application is recorded in the audit log.',
+      validation: idSchema,
+      responses: {
+        200: json('The application with job and applicant', {
+          allOf: [
+            ref('Application'),
+            {
+              type: 'object',
+              properties: {
+                job: nullableRef('Job'),
+                applicant: nullableRef('User')
+              }
+            }
+          ]
+        }),
+        404: 'Application not found'
+      }
+    }),
+    'GET /actions': adminOnly({
+      summary: 'Browse the audit log',
+      validation: listActionsSchema,
+      responses: {
+        200: json('Page of admin actions, newest first', pageOf('actions', 'AdminAction'))
+      }
+    })
+  }
+};
@@ -0,0 +1,290 @@
+import {
+  applicationIdSchema,
+  jobIdSchema,
+  jobApplicationsSchema,
+  resumeSearchSchema,
+  applySchema,
+  updateStatusSchema,
+  resumeDownloadSchema,
+  APPLICATION_TRANSITIONS
+} from '../../validators/applications.js';
+import { RESUME_LINK_TTL_SECONDS } from '../../services/resumes.js';
+import { RESUME_SEARCH_POOL } from '../../services/resumeText.js';
+import { ref, nullableRef, objectId, schemas } from '../schemas.js';
+import { json, message, pageOf } from '../responses.js';
+
+const withDetails = (properties) => ({
+  type: 'array',
+  items: {
+    allOf: [ref('Application'), { type: 'object', properties }]
+  }
+});
+
+const resumeUrl = {
+  type: 'string',
+  nullable: true,
+  description: 'GET /api/applications/{id}/resume, null without a resume',
+  example: '/api/applications/665f1c2ab4d5e6f7a8b9c0d1/resume'
+};
+
+const keywordSearch = 'Keywords match the start of words in the resume text, ignoring case and accents, and ' +
+  '"quoted phrases" match as a whole. With `match` all every keyword must be found, with any one is enough.';
+
+const applicant = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    name: { type: 'string' },
+    email: { type: 'string' },
+    phone: { type: 'string' }
+  }
+};
+
+export default {
+  prefix: '/api/applications',
+  tag: 'Applications',
+  description: 'Job applications',
+  operations: {
+    'GET /job/:jobId': {
+      summary: 'List the applications for a job',
+      description: `Only the employer who posted the job. With \`q\` only the applications whose resume matches, best match first. ${keywordSearch}`,
+      auth: true,
+      validation: jobApplicationsSchema,
+      responses: {
+        200: json('Applications with applicant details, without the resume text', withDetails({
+          applicant,
+          resumeUrl,
+          resumeMatch: { allOf: [ref('ResumeMatch')], description: 'Only with `q`' },
+          experience: { type: 'integer' },
+          skills: { type: 'array', items: { type: 'string' } }
+        })),
+        403: 'Job not found or not yours'
+      }
+    },
+    'GET /my-applications': {
+      summary: "List the current job seeker's applications",
+      auth: true,
+      responses: {
+        200: json('Applications with job details', withDetails({ job: ref('Job') }))
+      }
+    },
+    'GET /employer-applications': {
+      summary: "List the applications to the current employer's jobs",
+      auth: true,
+      responses: {
+        200: json('Applications with job and applicant details', withDetails({
+          job: ref('Job'),
+          applicant: nullableRef('User')
+        }))
+      }
+    },
+    'GET /resume-search': {
+      summary: "Search the resumes of the applicants to the current employer's jobs",
+      description: `Only employers. Best match first, among the newest ${RESUME_SEARCH_POOL} matching applications. ${keywordSearch}`,
+      auth: true,
+      validation: resumeSearchSchema,
+      responses: {
+        200: json('Page of matching applications, without the resume text', {
+          allOf: [
+            pageOf('applications', {
+              allOf: [
+                ref('Application'),
+                {
+                  type: 'object',
+                  properties: {
+                    resumeUrl,
+                    resumeMatch: ref('ResumeMatch'),
+                    job: {
+                      type: 'object',
+                      properties: {
+                        _id: objectId,
+                        title: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              ]
+            }),
+            {
+              type: 'object',
+              properties: {
+                keywords: { type: 'array', items: { type: 'string' }, description: 'The keywords searched for' }
+              }
+            }
+          ]
+        }),
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    },
+    'GET /check/:jobId': {
+      summary: 'Check whether the current user applied for a job',
+      auth: true,
+      validation: jobIdSchema,
+      responses: {
+        200: json('Application status', {
+          type: 'object',
+          properties: {
+            hasApplied: { type: 'boolean' }
+          }
+        })
+      }
+    },
+    'POST /apply': {
+      summary: 'Apply for a job',
+      description: 'Needs a verified email. Sent as multipart/form-data with an optional resume. The text of PDF and .docx ' +
+        'resumes is read for keyword searches, and profile fields it has that the profile leaves empty are suggested.',
+      auth: true,
+      validation: applySchema,
+      upload: { field: 'resume', description: 'PDF or Word document, at most 5MB' },
+      responses: {
+        201: json('Application submitted', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            applicationId: objectId,
+            resumeTextStatus: { ...schemas.Application.properties.resumeTextStatus, description: 'Null without a resume' },
+            profileSuggestions: { type: 'array', items: ref('ProfileSuggestion') }
+          }
+        }),
+        400: 'Already applied for this job',
+        403: 'Email not verified (EMAIL_NOT_VERIFIED)',
+        404: 'Job not found',
+        409: 'Job not accepting applications (JOB_NOT_OPEN)',
+        413: 'File too large (FILE_TOO_LARGE)',
+        415: 'Not a PDF or Word document (UNSUPPORTED_FILE_TYPE)'
+      }
+    },
+    'GET /:id': {
+      summary: 'Get an application',
+      description: 'Only the applicant or the employer.',
+      auth: true,
+      validation: applicationIdSchema,
+      responses: {
+        200: json('The application with job and applicant', {
+          allOf: [
+            ref('Application'),
+            {
+              type: 'object',
+              properties: {
+                resumeUrl,
+                job: nullableRef('Job'),
+                applicant: nullableRef('User')
+              }
+            }
+          ]
+        }),
+        403: 'Not your application',
+        404: 'Application not found'
+      }
+    },
+    'GET /:id/profile-suggestions': {
+      summary: 'Suggest profile fields from the resume of an application',
+      description: 'Only the applicant. Compared with the current profile, set the fields with PUT /api/users/profile.',
+      auth: true,
+      validation: applicationIdSchema,
+      responses: {
+        200: json('Suggestions', {
+          type: 'object',
+          properties: {
+            resumeTextStatus: schemas.Application.properties.resumeTextStatus,
+            suggestions: { type: 'array', items: ref('ProfileSuggestion') }
+          }
+        }),
+        403: 'Not your application',
+        404: 'Application not found'
+      }
+    },
+    'GET /:id/resume': {
+      summary: 'Download the resume of an application',
+      description: 'Only the applicant or the employer. Authorized by the access token, or instead by the `token` ' +
+        'of a link from POST /api/applications/{id}/resume-link. Every download is logged.',
+      auth: true,
+      validation: resumeDownloadSchema,
+      responses: {
+        200: {
+          description: 'The resume as an attachment',
+          content: {
+            'application/pdf': { schema: { type: 'string', format: 'binary' } },
+            'application/msword': { schema: { type: 'string', format: 'binary' } },
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { schema: { type: 'string', format: 'binary' } }
+          }
+        },
+        401: 'Missing or invalid access token, or an invalid or expired link (LINK_INVALID)',
+        403: 'Neither the applicant nor the employer',
+        404: 'Application or resume not found (RESUME_NOT_FOUND)'
+      }
+    },
+    'POST /:id/resume-link': {
+      summary: 'Make a download link for a resume',
+      description: 'Only the applicant or the employer. The link downloads the resume without the Authorization header, ' +
+        `e.g. when opened by the browser, for ${RESUME_LINK_TTL_SECONDS / 60} minutes and only for the user who made it.`,
+      auth: true,
+      validation: applicationIdSchema,
+      responses: {
+        200: json('Download link', {
+          type: 'object',
+          properties: {
+            url: { type: 'string', example: '/api/applications/665f1c2ab4d5e6f7a8b9c0d1/resume?token=eyJhbGciOi...' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        }),
+        403: 'Neither the applicant nor the employer',
+        404: 'Application or resume not found (RESUME_NOT_FOUND)'
+      }
+    },
+    'DELETE /:id': {
+      summary: 'Withdraw an application',
+      description: 'Only the applicant, and only while the application is pending.',
+      auth: true,
+      validation: applicationIdSchema,
+      responses: {
+        200: message('Application withdrawn'),
+        400: 'Application is no longer pending',
+        403: 'Not your application',
+        404: 'Application not found'
+      }
+    },
+    'PUT /:id/status': {
+      summary: 'Update the status of an application',
+      description: [
+        'Only the employer. Allowed changes:',
+        ...Object.entries(APPLICATION_TRANSITIONS).map(([from, to]) => `- ${from}: ${to.length > 0 ? to.join(', ') : 'none'}`),
+        '',
+        'The change is added to the status history with an optional reason. The applicant is notified, and sees the reason only when `shareReason` is set.'
+      ].join('\n'),
+      auth: true,
+      validation: updateStatusSchema,
+      responses: {
+        200: json('Status updated', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            status: schemas.Application.properties.status,
+            change: ref('StatusChange')
+          }
+        }),
+        403: 'Not your job',
+        404: 'Application not found',
+        409: 'Change not allowed from the current status, or the application changed meanwhile (INVALID_STATUS_TRANSITION, CONFLICT)'
+      }
+    },
+    'GET /:id/history': {
+      summary: 'Get the status history of an application',
+      description: 'For the employer and the applicant, oldest change first. The applicant only sees the reasons the employer shared.',
+      auth: true,
+      validation: applicationIdSchema,
+      responses: {
+        200: json('Status history', {
+          type: 'object',
+          properties: {
+            applicationId: objectId,
+            status: schemas.Application.properties.status,
+            history: { type: 'array', items: ref('StatusChange') }
+          }
+        }),
+        403: 'Neither the employer nor the applicant',
+        404: 'Application not found'
+      }
+    }
+  }
+};
@@ -0,0 +1,258 @@
+import {
+  registerSchema,
+  loginSchema,
+  twoFactorLoginSchema,
+  tokenSchema,
+  refreshSchema,
+  sessionIdSchema,
+  totpCodeSchema,
+  disableTwoFactorSchema,
+  updateProfileSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema
+} from '../../validators/auth.js';
+import { ref } from '../schemas.js';
+import { json, message, listOf } from '../responses.js';
+
+const recoveryCodes = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'Single-use codes, shown only once' }
+  }
+};
+
+export default {
+  prefix: '/api/auth',
+  tag: 'Auth',
+  description: 'Registration, login, sessions, two-factor authentication and passwords',
+  operations: {
+    'POST /register': {
+      summary: 'Register a new account',
+      description: 'Sends an email verification link. Some actions (posting jobs, applying) need a verified email.',
+      validation: registerSchema,
+      responses: {
+        201: message('Account created'),
+        409: 'Email already in use (EMAIL_IN_USE)'
+      }
+    },
+    'POST /login': {
+      summary: 'Log in',
+      description: 'Returns a token pair, or a challenge token when two-factor authentication is enabled.',
+      validation: loginSchema,
+      rateLimited: true,
+      responses: {
+        200: json('Logged in, or second factor required', { oneOf: [ref('TokenPair'), ref('TwoFactorChallenge')] }),
+        401: 'Wrong email, password or role (INVALID_CREDENTIALS)',
+        403: 'Account suspended (ACCOUNT_SUSPENDED)'
+      }
+    },
+    'POST /login/2fa': {
+      summary: 'Finish a login with a two-factor code',
+      description: 'Send either `code` (from the authenticator app) or `recoveryCode`.',
+      validation: twoFactorLoginSchema,
+      rateLimited: true,
+      responses: {
+        200: json('Logged in', ref('TokenPair')),
+        400: 'Invalid authentication code (INVALID_TWO_FACTOR_CODE)',
+        401: 'Challenge token invalid or expired (INVALID_LOGIN_CHALLENGE)'
+      }
+    },
+    'POST /2fa/setup': {
+      summary: 'Start two-factor enrollment',
+      auth: true,
+      responses: {
+        200: json('Secret to add to an authenticator app', {
+          type: 'object',
+          properties: {
+            secret: { type: 'string', description: 'Base32 secret' },
+            otpauthUrl: { type: 'string', description: 'otpauth:// URI for a QR code' }
+          }
+        }),
+        400: 'Two-factor authentication is already enabled',
+        404: 'User not found'
+      }
+    },
+    'POST /2fa/confirm': {
+      summary: 'Enable two-factor authentication',
+      description: 'Confirms the secret from /2fa/setup with a current code.',
+      auth: true,
+      validation: totpCodeSchema,
+      rateLimited: true,
+      responses: {
+        200: json('Enabled, with recovery codes', recoveryCodes),
+        400: 'Already enabled, setup not started or invalid code',
+        404: 'User not found'
+      }
+    },
+    'POST /2fa/recovery-codes': {
+      summary: 'Replace the recovery codes',
+      auth: true,
+      validation: totpCodeSchema,
+      rateLimited: true,
+      responses: {
+        200: json('New recovery codes', recoveryCodes),
+        400: 'Two-factor authentication not enabled or invalid code',
+        404: 'User not found'
+      }
+    },
+    'POST /2fa/disable': {
+      summary: 'Disable two-factor authentication',
+      auth: true,
+      validation: disableTwoFactorSchema,
+      rateLimited: true,
+      responses: {
+        200: message('Disabled'),
+        400: 'Not enabled, or invalid password or code',
+        404: 'User not found'
+      }
+    },
+    'POST /verify-email': {
+      summary: 'Verify an email address',
+      validation: tokenSchema,
+      responses: {
+        200: message('Email verified'),
+        400: 'Link invalid or expired'
+      }
+    },
+    'POST /resend-verification': {
+      summary: 'Send a new verification email',
+      auth: true,
+      responses: {
+        200: message('Email sent'),
+        400: 'Email already verified',
+        404: 'User not found'
+      }
+    },
+    'POST /refresh': {
+      summary: 'Exchange a refresh token for a new token pair',
+      description: 'Refresh tokens are single use. Reusing an old one revokes the session.',
+      validation: refreshSchema,
+      responses: {
+        200: json('New token pair', ref('TokenPair')),
+        401: 'Refresh token invalid, expired or reused (INVALID_REFRESH_TOKEN)'
+      }
+    },
+    'POST /logout': {
+      summary: 'Revoke the current session',
+      auth: true,
+      responses: {
+        200: message('Logged out')
+      }
+    },
+    'GET /sessions': {
+      summary: 'List active sessions',
+      auth: true,
+      responses: {
+        200: json('Active sessions, most recently used first', listOf('Session'))
+      }
+    },
+    'DELETE /sessions': {
+      summary: 'Revoke all other sessions',
+      auth: true,
+      responses: {
+        200: json('Sessions revoked', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            count: { type: 'integer' }
+          }
+        })
+      }
+    },
+    'DELETE /sessions/:id': {
+      summary: 'Revoke a session',
+      auth: true,
+      validation: sessionIdSchema,
+      responses: {
+        200: message('Session revoked'),
+        404: 'Session not found'
+      }
+    },
+    'GET /profile': {
+      summary: 'Get the current user',
+      auth: true,
+      responses: {
+        200: json('The user', ref('User')),
+        404: 'User not found'
+      }
+    },
+    'POST /upload-profile-picture': {
+      summary: 'Upload a profile picture',
+      auth: true,
+      upload: { field: 'profilePicture', description: 'JPG or PNG image, at most 5MB', required: true },
+      responses: {
+        200: json('Picture uploaded', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            profilePicture: { type: 'string', format: 'uri' }
+          }
+        }),
+        400: 'No file uploaded',
+        413: 'File too large (FILE_TOO_LARGE)',
+        415: 'Not an image (UNSUPPORTED_FILE_TYPE)'
+      }
+    },
+    'PUT /update-profile': {
+      summary: 'Update the current user',
+      description: 'Changing the email requires verifying it again. Changing the password needs ' +
+        '`currentPassword` and `newPassword` and logs out all other sessions. Wrong current passwords count ' +
+        'towards the limit of POST /api/auth/change-password.',
+      auth: true,
+      validation: updateProfileSchema,
+      rateLimited: true,
+      responses: {
+        200: json('Profile updated', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            user: ref('User')
+          }
+        }),
+        400: 'Current password is incorrect',
+        404: 'User not found',
+        409: 'Email already in use (EMAIL_IN_USE)'
+      }
+    },
+    'GET /carers': {
+      summary: 'List job seekers',
+      auth: true,
+      responses: {
+        200: json('Job seekers', listOf('User'))
+      }
+    },
+    'POST /forgot-password': {
+      summary: 'Request a password reset email',
+      description: 'Always answers with the same message, whether the email is registered or not. ' +
+        'At most 5 requests per email address an hour.',
+      validation: forgotPasswordSchema,
+      rateLimited: true,
+      responses: {
+        200: message('Reset email sent if the account exists')
+      }
+    },
+    'POST /reset-password': {
+      summary: 'Set a new password with a reset token',
+      description: 'Logs out all sessions.',
+      validation: resetPasswordSchema,
+      responses: {
+        200: message('Password reset'),
+        400: 'Link invalid or expired'
+      }
+    },
+    'POST /change-password': {
+      summary: 'Change the password',
+      description: 'Logs out all sessions and returns a new token pair for this device.',
+      auth: true,
+      validation: changePasswordSchema,
+      rateLimited: true,
+      responses: {
+        200: json('Password changed', ref('TokenPair')),
+        401: 'Current password is incorrect',
+        404: 'User not found'
+      }
+    }
+  }
+};
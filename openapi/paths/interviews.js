@@ -0,0 +1,137 @@
+import {
+  proposeInterviewSchema,
+  listInterviewsSchema,
+  interviewIdSchema,
+  acceptInterviewSchema,
+  requestAlternativesSchema,
+  rescheduleInterviewSchema,
+  cancelInterviewSchema,
+  MAX_INTERVIEW_SLOTS,
+  INTERVIEW_REMINDERS
+} from '../../validators/interviews.js';
+import { ref } from '../schemas.js';
+import { json, pageOf } from '../responses.js';
+
+const interviewResponse = (description) => json(description, {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    interview: ref('Interview')
+  }
+});
+
+const reminders = INTERVIEW_REMINDERS.map(({ key }) => key).reverse().join(' and ');
+
+export default {
+  prefix: '/api/interviews',
+  tag: 'Interviews',
+  description: 'Interviews for applications. The employer offers times, the applicant accepts one or asks for others. ' +
+    'Once a time is accepted both sides get an email with a calendar invitation (.ics), and a cancellation when it ' +
+    `is moved or called off. Both get notifications ${reminders} before the interview.`,
+  operations: {
+    'POST /': {
+      summary: 'Propose an interview',
+      description: `Only the employer of the application. Offers up to ${MAX_INTERVIEW_SLOTS} times; \`address\`, \`phone\` ` +
+        'or `videoLink` is required for the `format` and not allowed for the others. ' +
+        'The application is moved to Interviewing. The applicant is notified.',
+      auth: true,
+      validation: proposeInterviewSchema,
+      responses: {
+        201: interviewResponse('Interview proposed'),
+        403: 'Not an employer, or not your application',
+        404: 'Application not found',
+        409: 'The application already has an interview, can\'t be interviewed in its status, its applicant deleted their account, ' +
+          'or it changed meanwhile (INTERVIEW_EXISTS, INVALID_STATUS_TRANSITION, APPLICANT_DELETED, CONFLICT)'
+      }
+    },
+    'GET /': {
+      summary: 'List interviews',
+      description: 'Interviews of the current user, as employer or applicant. Newest first, or with `upcoming` the ' +
+        'ones still to come, those being arranged first and then by time.',
+      auth: true,
+      validation: listInterviewsSchema,
+      responses: {
+        200: json('Page of interviews', pageOf('interviews', 'Interview'))
+      }
+    },
+    'GET /:id': {
+      summary: 'Get an interview',
+      auth: true,
+      validation: interviewIdSchema,
+      responses: {
+        200: json('The interview', ref('Interview')),
+        403: 'Neither the employer nor the applicant',
+        404: 'Interview not found'
+      }
+    },
+    'GET /:id/calendar': {
+      summary: 'Download an interview as a calendar file',
+      description: 'iCalendar file for calendar apps. Cancelled interviews download as cancelled events.',
+      auth: true,
+      validation: interviewIdSchema,
+      responses: {
+        200: {
+          description: 'iCalendar file',
+          content: { 'text/calendar': { schema: { type: 'string' } } }
+        },
+        403: 'Neither the employer nor the applicant',
+        404: 'Interview not found',
+        409: 'No time agreed yet (INTERVIEW_NOT_SCHEDULED)'
+      }
+    },
+    'POST /:id/accept': {
+      summary: 'Accept an interview time',
+      description: 'Only the applicant. Times offered before asking for others can still be accepted. ' +
+        'The employer is notified and both sides get a calendar invitation by email.',
+      auth: true,
+      validation: acceptInterviewSchema,
+      responses: {
+        200: interviewResponse('Interview scheduled'),
+        400: 'The time was not offered (SLOT_NOT_FOUND)',
+        403: 'Not the applicant',
+        404: 'Interview not found',
+        409: 'Not waiting for an answer, the time has passed, or the interview changed meanwhile ' +
+          '(INVALID_INTERVIEW_STATUS, SLOT_PASSED, CONFLICT)'
+      }
+    },
+    'POST /:id/request-alternatives': {
+      summary: 'Ask for other interview times',
+      description: 'Only the applicant, for offered times or the accepted one. The employer is notified; ' +
+        'an accepted time is given up and taken out of calendars.',
+      auth: true,
+      validation: requestAlternativesSchema,
+      responses: {
+        200: interviewResponse('Other times requested'),
+        403: 'Not the applicant',
+        404: 'Interview not found',
+        409: 'Not proposed or scheduled, already started, or changed meanwhile (INVALID_INTERVIEW_STATUS, INTERVIEW_PASSED, CONFLICT)'
+      }
+    },
+    'POST /:id/reschedule': {
+      summary: 'Offer new interview times',
+      description: 'Only the employer. The new times replace the offered ones, an accepted time is given up and taken ' +
+        'out of calendars. `format` with its detail, `durationMinutes` and `notes` can change too. The applicant is notified.',
+      auth: true,
+      validation: rescheduleInterviewSchema,
+      responses: {
+        200: interviewResponse('Interview rescheduled'),
+        403: 'Not the employer',
+        404: 'Interview not found',
+        409: 'Cancelled, already started, or changed meanwhile (INVALID_INTERVIEW_STATUS, INTERVIEW_PASSED, CONFLICT)'
+      }
+    },
+    'POST /:id/cancel': {
+      summary: 'Cancel an interview',
+      description: 'By either side, until it starts. The other side is notified; a scheduled interview is taken out of ' +
+        'calendars. The application keeps its status. Rejecting an application cancels its interview too.',
+      auth: true,
+      validation: cancelInterviewSchema,
+      responses: {
+        200: interviewResponse('Interview cancelled'),
+        403: 'Neither the employer nor the applicant',
+        404: 'Interview not found',
+        409: 'Already cancelled, already started, or changed meanwhile (INVALID_INTERVIEW_STATUS, INTERVIEW_PASSED, CONFLICT)'
+      }
+    }
+  }
+};
@@ -0,0 +1,97 @@
+import {
+  createTemplateSchema,
+  updateTemplateSchema,
+  listTemplatesSchema,
+  templateIdSchema,
+  useTemplateSchema
+} from '../../validators/jobTemplates.js';
+import { ref, objectId } from '../schemas.js';
+import { json, message, pageOf } from '../responses.js';
+
+const savedTemplate = (description) => json(description, {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    template: ref('JobTemplate')
+  }
+});
+
+// Every template route is for employers and only sees their own templates
+const employersOnly = (operation) => ({
+  ...operation,
+  auth: true,
+  responses: {
+    403: 'Not an employer (EMPLOYERS_ONLY)',
+    ...operation.responses
+  }
+});
+
+export default {
+  prefix: '/api/job-templates',
+  tag: 'Job templates',
+  description: 'Reusable job postings. Templates are private to the employer who saved them.',
+  operations: {
+    'POST /': employersOnly({
+      summary: 'Save a job template',
+      description: 'With `jobId` the template starts from the content of that job, other fields override it.',
+      validation: createTemplateSchema,
+      responses: {
+        201: savedTemplate('Template saved'),
+        404: 'Job not found or not yours',
+        409: 'Template name already used (TEMPLATE_NAME_TAKEN)'
+      }
+    }),
+    'GET /': employersOnly({
+      summary: 'List job templates',
+      validation: listTemplatesSchema,
+      responses: {
+        200: json('Page of templates, by name', pageOf('templates', 'JobTemplate'))
+      }
+    }),
+    'GET /:id': employersOnly({
+      summary: 'Get a job template',
+      validation: templateIdSchema,
+      responses: {
+        200: json('The template', ref('JobTemplate')),
+        404: 'Template not found'
+      }
+    }),
+    'PUT /:id': employersOnly({
+      summary: 'Edit a job template',
+      validation: updateTemplateSchema,
+      responses: {
+        200: savedTemplate('Template updated'),
+        404: 'Template not found',
+        409: 'Template name already used (TEMPLATE_NAME_TAKEN)'
+      }
+    }),
+    'DELETE /:id': employersOnly({
+      summary: 'Delete a job template',
+      description: 'Jobs created from the template are kept.',
+      validation: templateIdSchema,
+      responses: {
+        200: message('Template deleted'),
+        404: 'Template not found'
+      }
+    }),
+    'POST /:id/jobs': employersOnly({
+      summary: 'Post a job from a template',
+      description: 'Takes the same fields as POST /api/jobs/create, all optional; they override the template. ' +
+        'Together they must make a complete job, otherwise the answer is 422 listing the missing fields. ' +
+        'Needs a verified email.',
+      validation: useTemplateSchema,
+      responses: {
+        201: json('Job created', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            jobId: objectId,
+            status: { type: 'string', enum: ['draft', 'scheduled', 'published'] }
+          }
+        }),
+        403: 'Not an employer or email not verified (EMPLOYERS_ONLY, EMAIL_NOT_VERIFIED)',
+        404: 'Template not found'
+      }
+    })
+  }
+};
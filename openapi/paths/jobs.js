@@ -0,0 +1,535 @@
+import {
+  createJobSchema,
+  updateJobSchema,
+  listJobsSchema,
+  jobIdSchema,
+  savedJobIdSchema,
+  myJobsSchema,
+  savedJobsSchema,
+  jobStatusSchema,
+  jobAnalyticsSchema,
+  employerAnalyticsSchema,
+  recommendedJobsSchema,
+  jobCandidatesSchema,
+  importJobsSchema,
+  exportJobsSchema,
+  SALARY_BANDS,
+  JOB_STATUSES,
+  JOB_TRANSITIONS,
+  MAX_ANALYTICS_DAYS
+} from '../../validators/jobs.js';
+import { ref, objectId } from '../schemas.js';
+import { json, message, pageOf } from '../responses.js';
+import { MATCH_WEIGHTS, MATCH_POOL_SIZE } from '../../services/matching.js';
+import { IMPORT_COLUMNS, MAX_IMPORT_ROWS } from '../../services/jobImport.js';
+import { APPLICATION_STATUSES } from '../../validators/applications.js';
+
+const sortDescription = 'Sort orders: `newest`, `oldest`, `salary_desc`, `salary_asc` (by the annual ' +
+  'equivalent of the salary) and `closing_soon` (jobs without a closing date last).';
+
+const searchDescription = '`keyword` is a full-text search over title and description: words match ' +
+  'any form of the word, `"quoted phrases"` match exactly and `-word` excludes jobs. Matches come with ' +
+  'their text score and highlights, and are sorted by `relevance` unless another order is chosen. ' +
+  'With `near` only jobs within `radiusKm` are listed, with their distance, nearest first unless ' +
+  'another order is chosen. `minSalary` and `maxSalary` are per `salaryPeriod` and match jobs whose salary ' +
+  'range overlaps them; without `currency` amounts in other currencies are compared as they are. ' +
+  sortDescription + ' Facet counts ignore the facet\'s own filter, so they ' +
+  'show the number of jobs for each value that could be picked instead.';
+
+const facetValues = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      value: { type: 'string' },
+      count: { type: 'integer' }
+    }
+  }
+};
+
+// Also the results of a saved search
+export const searchPage = pageOf('jobs', {
+  allOf: [
+    ref('Job'),
+    {
+      type: 'object',
+      properties: {
+        score: { type: 'number', description: 'Text score, only when searching' },
+        distanceKm: { type: 'number', description: 'Distance from `near`, only in radius searches' },
+        highlights: {
+          type: 'object',
+          description: 'Only when searching. HTML-escaped text with the matches wrapped in `<mark>`.',
+          properties: {
+            title: { type: 'string' },
+            description: { type: 'string', description: 'Part of the description around the first match' }
+          }
+        }
+      }
+    }
+  ]
+});
+
+searchPage.properties.facets = {
+  type: 'object',
+  properties: {
+    employmentType: facetValues,
+    location: { ...facetValues, description: 'The 20 most common locations' },
+    salaryBand: {
+      type: 'array',
+      description: 'Every band of the annual salary, in order',
+      items: {
+        type: 'object',
+        properties: {
+          value: { type: 'string', enum: SALARY_BANDS.map(band => band.value) },
+          min: { type: 'number' },
+          max: { type: 'number', description: 'Exclusive, missing for the last band' },
+          count: { type: 'integer' }
+        }
+      }
+    }
+  }
+};
+
+const analyticsDescription = 'Views count when a listed job is opened, saves when a job is newly saved ' +
+  'and applications when one is submitted. Days are UTC; `from` and `to` are both included and default ' +
+  `to the last 30 days, at most ${MAX_ANALYTICS_DAYS} days at a time. The funnel covers applications made ` +
+  'in the period: each stage counts the applications that got at least that far, with the share of the ' +
+  'previous stage. Rejected applications count for the stages they got through, older ones without a status ' +
+  'history only as applied.';
+
+const eventCounts = {
+  views: { type: 'integer' },
+  saves: { type: 'integer' },
+  applications: { type: 'integer' }
+};
+
+const rate = (description) => ({ type: 'number', nullable: true, description });
+
+const analytics = {
+  type: 'object',
+  properties: {
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    totals: {
+      type: 'object',
+      properties: {
+        ...eventCounts,
+        saveRate: rate('Saves per view, null without views'),
+        applicationRate: rate('Applications per view, null without views')
+      }
+    },
+    daily: {
+      type: 'array',
+      description: 'Every day of the period, in order',
+      items: {
+        type: 'object',
+        properties: { date: { type: 'string', format: 'date' }, ...eventCounts }
+      }
+    },
+    funnel: {
+      type: 'object',
+      properties: {
+        stages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['Pending', 'Reviewed', 'Interviewing', 'Hired'] },
+              count: { type: 'integer' },
+              conversionRate: rate('Share of the previous stage, null for the first stage or an empty previous one')
+            }
+          }
+        },
+        rejected: { type: 'integer' }
+      }
+    }
+  }
+};
+
+// `pool` says what is scored: the newest jobs or carers, within radiusKm of what
+const matchDescription = (pool) => 'Scores go from 0 to 100. Requirements mentioning English, a driving licence or ' +
+  'live-in work are compared with those profile fields, the other requirements with the carer\'s ' +
+  'qualifications and care experience, and the job\'s location with the carer\'s. Criteria weights: ' +
+  Object.entries(MATCH_WEIGHTS).map(([criterion, weight]) => `${criterion} ${weight}`).join(', ') +
+  `. Criteria the job doesn't ask for are left out. The ${MATCH_POOL_SIZE} newest ${pool} are scored.`;
+
+const withMatch = (schema) => ({
+  allOf: [schema, { type: 'object', properties: { match: ref('Match') } }]
+});
+
+const importDescription = 'Employers with a verified email only. Each job is checked like POST /api/jobs/create; ' +
+  'jobs that fail are reported by row and skipped, the others are imported. With `dryRun` nothing is imported. ' +
+  `At most ${MAX_IMPORT_ROWS} jobs per file. CSV files need a header row with any of the columns ` +
+  Object.keys(IMPORT_COLUMNS).map(column => `\`${column}\``).join(', ') +
+  ', separated by commas or semicolons; other columns are ignored. Requirements go one per line or separated ' +
+  'by semicolons. CSV rows are numbered as in a spreadsheet, the header being row 1. JSON files hold an array ' +
+  'of jobs as POST /api/jobs/create takes them, or an object with a `jobs` array; rows are numbered from 1.';
+
+const importReport = (jobProperties) => ({
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    dryRun: { type: 'boolean' },
+    total: { type: 'integer', description: 'Jobs in the file' },
+    imported: { type: 'integer' },
+    failed: { type: 'integer' },
+    jobs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          row: { type: 'integer' },
+          title: { type: 'string' },
+          status: { type: 'string', enum: ['draft', 'scheduled', 'published'] },
+          ...jobProperties
+        }
+      }
+    },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          row: { type: 'integer' },
+          title: { type: 'string', nullable: true },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', description: 'CSV column or JSON field' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    ignoredColumns: { type: 'array', items: { type: 'string' }, description: 'Unknown CSV columns' }
+  }
+});
+
+const periodTooLong = `Period longer than ${MAX_ANALYTICS_DAYS} days (PERIOD_TOO_LONG)`;
+
+export default {
+  prefix: '/api/jobs',
+  tag: 'Jobs',
+  description: 'Job postings and saved jobs',
+  operations: {
+    'POST /create': {
+      summary: 'Post a job',
+      description: 'Employers with a verified email only. Jobs are published right away, or scheduled when ' +
+        '`publishAt` is given. Drafts are only visible to the employer until published.',
+      auth: true,
+      validation: createJobSchema,
+      responses: {
+        201: json('Job created', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            jobId: objectId,
+            status: { type: 'string', enum: ['draft', 'scheduled', 'published'] }
+          }
+        }),
+        403: 'Not an employer or email not verified (EMPLOYERS_ONLY, EMAIL_NOT_VERIFIED)'
+      }
+    },
+    'GET /': {
+      summary: 'Search active jobs',
+      description: searchDescription,
+      validation: listJobsSchema,
+      responses: {
+        200: json('Page of jobs with facet counts', searchPage),
+        400: 'Place in `near` not found (UNKNOWN_LOCATION)'
+      }
+    },
+    'GET /my-jobs': {
+      summary: "List the current employer's jobs",
+      description: sortDescription,
+      auth: true,
+      validation: myJobsSchema,
+      responses: {
+        200: json('Page of jobs', pageOf('jobs', 'Job')),
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    },
+    'POST /import': {
+      summary: 'Import jobs from a CSV or JSON file',
+      description: importDescription,
+      auth: true,
+      validation: importJobsSchema,
+      upload: { field: 'file', description: 'CSV or JSON file, at most 5MB', required: true },
+      responses: {
+        200: json('Dry run report', importReport()),
+        201: json('Import report', importReport({ jobId: objectId })),
+        400: 'No file, or a file that can\'t be read or has too many jobs (FILE_REQUIRED, INVALID_IMPORT_FILE, TOO_MANY_ROWS)',
+        403: 'Not an employer or email not verified (EMPLOYERS_ONLY, EMAIL_NOT_VERIFIED)',
+        413: 'File larger than 5MB (FILE_TOO_LARGE)',
+        415: 'Not a CSV or JSON file (UNSUPPORTED_FILE_TYPE)',
+        422: 'None of the jobs can be imported (IMPORT_FAILED), with the import report'
+      }
+    },
+    'GET /my-jobs/export': {
+      summary: "Export the current employer's jobs",
+      description: 'Downloads the jobs as CSV or JSON, with the number of applications in each status. ' +
+        'The job columns and fields are those of POST /api/jobs/import, so the file can be edited and imported again: ' +
+        'jobs that are live or scheduled are exported as published and the others as drafts, with the status they have ' +
+        'now as `currentStatus`. Publish and closing dates that have passed are left out.',
+      auth: true,
+      validation: exportJobsSchema,
+      responses: {
+        200: {
+          description: 'CSV or JSON file',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  exportedAt: { type: 'string', format: 'date-time' },
+                  jobs: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: objectId,
+                        title: { type: 'string' },
+                        salary: { type: 'object', description: 'As sent to POST /api/jobs/create', nullable: true },
+                        employmentType: { type: 'string' },
+                        location: { type: 'string' },
+                        description: { type: 'string' },
+                        requirements: { type: 'array', items: { type: 'string' } },
+                        status: { type: 'string', enum: ['draft', 'published'], description: 'The status to import the job with' },
+                        currentStatus: { type: 'string', enum: JOB_STATUSES },
+                        publishAt: { type: 'string', format: 'date-time', nullable: true },
+                        closingDate: { type: 'string', format: 'date-time', nullable: true },
+                        postedDate: { type: 'string', format: 'date-time', nullable: true },
+                        applications: {
+                          type: 'object',
+                          properties: Object.fromEntries(['total', ...APPLICATION_STATUSES].map(key => [key, { type: 'integer' }]))
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    },
+    'GET /recommended': {
+      summary: 'Jobs recommended for the current jobseeker',
+      description: `Open jobs the jobseeker hasn't applied for, best match first. ${matchDescription('jobs, within `radiusKm` of the profile location if given,')}`,
+      auth: true,
+      validation: recommendedJobsSchema,
+      responses: {
+        200: json('Page of jobs with their match', pageOf('jobs', withMatch(ref('Job')))),
+        400: 'Radius search without a known profile location (PROFILE_LOCATION_UNKNOWN)',
+        403: 'Not a jobseeker (JOBSEEKERS_ONLY)',
+        404: 'User not found'
+      }
+    },
+    'GET /analytics': {
+      summary: "Analytics across the current employer's jobs",
+      description: `${analyticsDescription} Also lists the totals of every job, most viewed first.`,
+      auth: true,
+      validation: employerAnalyticsSchema,
+      responses: {
+        200: json('Analytics of all jobs', {
+          allOf: [
+            analytics,
+            {
+              type: 'object',
+              properties: {
+                jobs: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      jobId: objectId,
+                      title: { type: 'string' },
+                      status: { type: 'string' },
+                      ...eventCounts
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        }),
+        400: periodTooLong,
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    },
+    'PUT /:id': {
+      summary: 'Update a job',
+      description: 'Only the employer who posted the job. The status is changed with PUT /api/jobs/{id}/status.',
+      auth: true,
+      validation: updateJobSchema,
+      responses: {
+        200: message('Job updated'),
+        400: 'Nothing changed, or a closing date before publishAt (CLOSING_DATE_BEFORE_PUBLISH)',
+        403: 'Not an employer (EMPLOYERS_ONLY)',
+        404: 'Job not found or not yours',
+        409: 'Job archived (JOB_ARCHIVED)'
+      }
+    },
+    'PUT /:id/status': {
+      summary: 'Change the status of a job',
+      description: 'Only the employer who posted the job. Allowed changes: ' +
+        Object.entries(JOB_TRANSITIONS)
+          .map(([from, to]) => `${from} → ${to.length > 0 ? to.join(', ') : 'none'}`)
+          .join('; ') +
+        '. Scheduled jobs are published at `publishAt`, and jobs are closed at their closing date. ' +
+        'Applicants with a pending application are notified when a job closes.',
+      auth: true,
+      validation: jobStatusSchema,
+      responses: {
+        200: json('Status changed', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            status: { type: 'string' }
+          }
+        }),
+        400: 'Closing date has passed (CLOSING_DATE_PASSED)',
+        403: 'Not an employer, or publishing a job unpublished by a moderator (EMPLOYERS_ONLY, JOB_UNPUBLISHED_BY_ADMIN)',
+        404: 'Job not found or not yours',
+        409: 'Change not allowed from the current status, or the job changed meanwhile (INVALID_STATUS_TRANSITION, CONFLICT)'
+      }
+    },
+    'POST /:id/duplicate': {
+      summary: 'Copy a job as a new draft',
+      description: 'Only the employer who posted the job. Copies the content, not the status, dates or applications.',
+      auth: true,
+      validation: jobIdSchema,
+      responses: {
+        201: json('Draft created', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            jobId: objectId,
+            status: { type: 'string', enum: ['draft'] }
+          }
+        }),
+        403: 'Not an employer (EMPLOYERS_ONLY)',
+        404: 'Job not found or not yours'
+      }
+    },
+    'GET /:id/analytics': {
+      summary: 'Analytics of a job',
+      description: `Only the employer who posted the job. ${analyticsDescription}`,
+      auth: true,
+      validation: jobAnalyticsSchema,
+      responses: {
+        200: json('Analytics of the job', {
+          allOf: [
+            analytics,
+            { type: 'object', properties: { jobId: objectId, title: { type: 'string' } } }
+          ]
+        }),
+        400: periodTooLong,
+        403: 'Not an employer (EMPLOYERS_ONLY)',
+        404: 'Job not found or not yours'
+      }
+    },
+    'GET /:id/candidates': {
+      summary: 'Carers matching a job',
+      description: `Only the employer who posted the job. Jobseekers with a completed profile, best match first. ${matchDescription('carers, within `radiusKm` of the job if given,')}`,
+      auth: true,
+      validation: jobCandidatesSchema,
+      responses: {
+        200: json('Page of carers with their match', pageOf('candidates', withMatch({
+          allOf: [
+            ref('User'),
+            {
+              type: 'object',
+              properties: {
+                id: objectId,
+                hasApplied: { type: 'boolean', description: 'Whether the carer applied for the job' }
+              }
+            }
+          ]
+        }))),
+        400: 'Radius search for a job whose location isn\'t on the map (JOB_LOCATION_UNKNOWN)',
+        403: 'Not an employer (EMPLOYERS_ONLY)',
+        404: 'Job not found or not yours'
+      }
+    },
+    'DELETE /:id': {
+      summary: 'Delete a job',
+      auth: true,
+      validation: jobIdSchema,
+      responses: {
+        200: message('Job deleted'),
+        403: 'Not an employer (EMPLOYERS_ONLY)',
+        404: 'Job not found or not yours'
+      }
+    },
+    'GET /saved/check/:jobId': {
+      summary: 'Check whether a job is saved',
+      auth: true,
+      validation: savedJobIdSchema,
+      responses: {
+        200: json('Saved status', {
+          type: 'object',
+          properties: {
+            isSaved: { type: 'boolean' }
+          }
+        }),
+        404: 'Job not found'
+      }
+    },
+    'GET /saved-jobs': {
+      summary: 'List saved jobs',
+      description: 'Most recently saved first, unless another sort order is chosen. Jobs that are no longer listed ' +
+        `only have their _id, title, status and savedDate. ${sortDescription}`,
+      auth: true,
+      validation: savedJobsSchema,
+      responses: {
+        200: json('Page of saved jobs', pageOf('jobs', {
+          allOf: [
+            ref('Job'),
+            { type: 'object', properties: { savedDate: { type: 'string', format: 'date-time' } } }
+          ]
+        }))
+      }
+    },
+    'GET /:id': {
+      summary: 'Get a job',
+      description: 'Jobs that are not listed, e.g. drafts or closed jobs, are only found by their employer and admins.',
+      auth: 'optional',
+      validation: jobIdSchema,
+      responses: {
+        200: json('The job, with the email of the employer', {
+          allOf: [
+            ref('Job'),
+            { type: 'object', properties: { employerEmail: { type: 'string', format: 'email' } } }
+          ]
+        }),
+        404: 'Job not found'
+      }
+    },
+    'POST /saved/:jobId': {
+      summary: 'Save a job',
+      auth: true,
+      validation: savedJobIdSchema,
+      responses: {
+        200: message('Job was already saved'),
+        201: message('Job saved'),
+        404: 'Job not found or not listed'
+      }
+    },
+    'DELETE /saved/:jobId': {
+      summary: 'Remove a saved job',
+      auth: true,
+      validation: savedJobIdSchema,
+      responses: {
+        200: message('Job removed from saved jobs'),
+        404: 'Saved job not found'
+      }
+    }
+  }
+};
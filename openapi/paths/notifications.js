@@ -0,0 +1,66 @@
+import { notificationIdSchema } from '../../validators/notifications.js';
+import { json, message, listOf } from '../responses.js';
+
+const count = (description) => ({ type: 'integer', description });
+
+export default {
+  prefix: '/api/notifications',
+  tag: 'Notifications',
+  description: "The current user's notifications",
+  operations: {
+    'GET /my-notifications': {
+      summary: 'List notifications',
+      auth: true,
+      responses: {
+        200: json('Notifications, newest first', listOf('Notification'))
+      }
+    },
+    'GET /unread-count': {
+      summary: 'Count unread notifications',
+      auth: true,
+      responses: {
+        200: json('Unread count', {
+          type: 'object',
+          properties: {
+            count: count('Number of unread notifications')
+          }
+        })
+      }
+    },
+    'PUT /:id/mark-read': {
+      summary: 'Mark a notification as read',
+      auth: true,
+      validation: notificationIdSchema,
+      responses: {
+        200: message('Marked as read'),
+        400: 'Notification not updated',
+        403: 'Not your notification',
+        404: 'Notification not found'
+      }
+    },
+    'PUT /mark-all-read': {
+      summary: 'Mark all notifications as read',
+      auth: true,
+      responses: {
+        200: json('Marked as read', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            count: count('Number of notifications marked as read')
+          }
+        })
+      }
+    },
+    'DELETE /:id': {
+      summary: 'Delete a notification',
+      auth: true,
+      validation: notificationIdSchema,
+      responses: {
+        200: message('Notification deleted'),
+        400: 'Notification not deleted',
+        403: 'Not your notification',
+        404: 'Notification not found'
+      }
+    }
+  }
+};
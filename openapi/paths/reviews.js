@@ -0,0 +1,88 @@
+import {
+  createReviewSchema,
+  jobseekerIdSchema,
+  checkReviewSchema
+} from '../../validators/reviews.js';
+import { ref, objectId } from '../schemas.js';
+import { json } from '../responses.js';
+
+const person = (properties) => ({
+  type: 'object',
+  nullable: true,
+  properties: {
+    id: objectId,
+    fullName: { type: 'string' },
+    ...properties
+  }
+});
+
+export default {
+  prefix: '/api/reviews',
+  tag: 'Reviews',
+  description: 'Reviews of job seekers by employers',
+  operations: {
+    'POST /': {
+      summary: 'Review a job seeker',
+      description: 'Employers only, one review per job seeker.',
+      auth: true,
+      validation: createReviewSchema,
+      responses: {
+        201: json('Review created', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            review: ref('Review')
+          }
+        }),
+        400: 'Job seeker already reviewed',
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    },
+    'GET /jobseeker/:id': {
+      summary: "List a job seeker's reviews",
+      validation: jobseekerIdSchema,
+      responses: {
+        200: json('Reviews and average rating', {
+          type: 'object',
+          properties: {
+            reviews: {
+              type: 'array',
+              items: {
+                allOf: [ref('Review'), { type: 'object', properties: { employer: person({ companyName: { type: 'string' } }) } }]
+              }
+            },
+            averageRating: { type: 'number' },
+            reviewCount: { type: 'integer' }
+          }
+        })
+      }
+    },
+    'GET /employer': {
+      summary: 'List the reviews written by the current employer',
+      auth: true,
+      responses: {
+        200: json('Reviews', {
+          type: 'array',
+          items: {
+            allOf: [ref('Review'), { type: 'object', properties: { jobseeker: person() } }]
+          }
+        }),
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    },
+    'GET /check/:jobseekerId': {
+      summary: 'Check whether the current employer reviewed a job seeker',
+      auth: true,
+      validation: checkReviewSchema,
+      responses: {
+        200: json('Review status', {
+          type: 'object',
+          properties: {
+            hasReviewed: { type: 'boolean' }
+          }
+        }),
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    }
+  }
+};
@@ -0,0 +1,88 @@
+import {
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  listSavedSearchesSchema,
+  savedSearchIdSchema,
+  savedSearchJobsSchema,
+  MAX_SAVED_SEARCHES
+} from '../../validators/savedSearches.js';
+import { ref } from '../schemas.js';
+import { json, message, pageOf } from '../responses.js';
+import { searchPage } from './jobs.js';
+
+const savedSearchResponse = (description) => json(description, {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    savedSearch: ref('SavedSearch')
+  }
+});
+
+export default {
+  prefix: '/api/saved-searches',
+  tag: 'Saved searches',
+  description: 'Job searches saved to run again and to be alerted about new jobs they match. ' +
+    'With `instant` alerts the user gets a notification for every newly published matching job, ' +
+    'with `daily` ones a single notification a day listing them.',
+  operations: {
+    'POST /': {
+      summary: 'Save a job search',
+      description: `\`filters\` are the query parameters of GET /api/jobs. At most ${MAX_SAVED_SEARCHES} searches per user.`,
+      auth: true,
+      validation: createSavedSearchSchema,
+      responses: {
+        201: savedSearchResponse('Search saved'),
+        400: 'Place in `near` not found (UNKNOWN_LOCATION)',
+        409: 'Name already used, or too many saved searches (SAVED_SEARCH_NAME_TAKEN, SAVED_SEARCH_LIMIT)'
+      }
+    },
+    'GET /': {
+      summary: 'List saved searches',
+      auth: true,
+      validation: listSavedSearchesSchema,
+      responses: {
+        200: json('Page of saved searches, newest first', pageOf('savedSearches', 'SavedSearch'))
+      }
+    },
+    'GET /:id': {
+      summary: 'Get a saved search',
+      auth: true,
+      validation: savedSearchIdSchema,
+      responses: {
+        200: json('The saved search', ref('SavedSearch')),
+        404: 'Saved search not found'
+      }
+    },
+    'GET /:id/jobs': {
+      summary: 'Run a saved search',
+      description: 'Same results as GET /api/jobs with the saved filters.',
+      auth: true,
+      validation: savedSearchJobsSchema,
+      responses: {
+        200: json('Page of jobs with facet counts', searchPage),
+        404: 'Saved search not found'
+      }
+    },
+    'PUT /:id': {
+      summary: 'Edit a saved search',
+      description: 'New `filters` replace the saved ones.',
+      auth: true,
+      validation: updateSavedSearchSchema,
+      responses: {
+        200: savedSearchResponse('Saved search updated'),
+        400: 'Place in `near` not found (UNKNOWN_LOCATION)',
+        404: 'Saved search not found',
+        409: 'Name already used (SAVED_SEARCH_NAME_TAKEN)'
+      }
+    },
+    'DELETE /:id': {
+      summary: 'Delete a saved search',
+      auth: true,
+      validation: savedSearchIdSchema,
+      responses: {
+        200: message('Saved search deleted'),
+        404: 'Saved search not found'
+      }
+    }
+  }
+};
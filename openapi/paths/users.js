@@ -0,0 +1,151 @@
+import {
+  registerSchema,
+  loginSchema,
+  deleteAccountSchema,
+  userIdSchema,
+  profileSchema,
+  listJobseekersSchema
+} from '../../validators/users.js';
+import { ref } from '../schemas.js';
+import { json, message } from '../responses.js';
+
+const sessionWithUser = {
+  allOf: [
+    ref('TokenPair'),
+    {
+      type: 'object',
+      properties: {
+        user: ref('User')
+      }
+    }
+  ]
+};
+
+export default {
+  prefix: '/api/users',
+  tag: 'Users',
+  description: 'Current user, profiles, account export and deletion',
+  operations: {
+    'POST /register': {
+      summary: 'Register and log in',
+      description: 'Like POST /api/auth/register, but also starts a session and returns the new user with a token pair.',
+      validation: registerSchema,
+      responses: {
+        201: json('Account created and logged in', sessionWithUser),
+        409: 'Email already in use (EMAIL_IN_USE)'
+      }
+    },
+    'POST /login': {
+      summary: 'Log in without choosing a role',
+      description: 'Like POST /api/auth/login, but finds the account by email alone and returns the user with the token pair.',
+      validation: loginSchema,
+      rateLimited: true,
+      responses: {
+        200: json('Logged in, or second factor required', { oneOf: [sessionWithUser, ref('TwoFactorChallenge')] }),
+        401: 'Wrong email or password (INVALID_CREDENTIALS)',
+        403: 'Account suspended (ACCOUNT_SUSPENDED)'
+      }
+    },
+    'GET /me': {
+      summary: 'Get the current user',
+      auth: true,
+      responses: {
+        200: json('The user', ref('User')),
+        404: 'User not found'
+      }
+    },
+    'GET /me/export': {
+      summary: 'Download all personal data',
+      description: 'Zip archive with data.json and the uploaded resumes.',
+      auth: true,
+      responses: {
+        200: {
+          description: 'Zip archive',
+          content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+        },
+        404: 'User not found'
+      }
+    },
+    'DELETE /me': {
+      summary: 'Delete the account and its data',
+      description: 'Needs the password, and a two-factor or recovery code when two-factor authentication is enabled. ' +
+        'Wrong passwords and codes count towards the limit of POST /api/auth/change-password.',
+      auth: true,
+      validation: deleteAccountSchema,
+      rateLimited: true,
+      responses: {
+        200: message('Account deleted'),
+        401: 'Wrong password or code (INVALID_CREDENTIALS, INVALID_TWO_FACTOR_CODE)',
+        404: 'User not found'
+      }
+    },
+    'PUT /profile': {
+      summary: 'Replace the profile data',
+      auth: true,
+      validation: profileSchema,
+      responses: {
+        200: message('Profile updated'),
+        404: 'User not found'
+      }
+    },
+    'POST /upload-profile-picture': {
+      summary: 'Upload a profile picture',
+      auth: true,
+      upload: { field: 'profilePicture', description: 'JPG or PNG image, at most 5MB', required: true },
+      responses: {
+        200: json('Picture uploaded', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            profilePicture: { type: 'string', format: 'uri' }
+          }
+        }),
+        400: 'No file uploaded',
+        404: 'User not found',
+        413: 'File too large (FILE_TOO_LARGE)',
+        415: 'Not an image (UNSUPPORTED_FILE_TYPE)'
+      }
+    },
+    'GET /jobseekers': {
+      summary: 'List job seekers with a completed profile',
+      description: 'Employers only. With `near` (a place name or `lat,lng`) only job seekers within ' +
+        '`radiusKm` of it are listed, nearest first, with their distance.',
+      auth: true,
+      validation: listJobseekersSchema,
+      responses: {
+        200: json('Job seekers', {
+          type: 'array',
+          items: {
+            allOf: [
+              ref('User'),
+              { type: 'object', properties: { distanceKm: { type: 'number', description: 'Only in radius searches' } } }
+            ]
+          }
+        }),
+        400: 'Place in `near` not found (UNKNOWN_LOCATION)',
+        403: 'Not an employer (EMPLOYERS_ONLY)'
+      }
+    },
+    'GET /profile-stats': {
+      summary: 'Get profile statistics',
+      auth: true,
+      responses: {
+        200: json('Statistics', {
+          type: 'object',
+          properties: {
+            viewCount: { type: 'integer' }
+          }
+        })
+      }
+    },
+    'GET /:id': {
+      summary: 'Get a user',
+      auth: true,
+      validation: userIdSchema,
+      responses: {
+        200: json('The user', ref('User')),
+        404: 'User not found'
+      }
+    }
+  }
+};
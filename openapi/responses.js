@@ -0,0 +1,23 @@
+import { ref } from './schemas.js';
+
+// Successful JSON response with the given schema
+export const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+// Successful response that only carries a message
+export const message = (description) => json(description, ref('Message'));
+
+export const listOf = (name) => ({ type: 'array', items: ref(name) });
+
+// Paginated list, `item` is a schema name or a schema
+export const pageOf = (key, item) => ({
+  type: 'object',
+  properties: {
+    [key]: typeof item === 'string' ? listOf(item) : { type: 'array', items: item },
+    total: { type: 'integer' },
+    page: { type: 'integer' },
+    limit: { type: 'integer' }
+  }
+});
@@ -0,0 +1,423 @@
+import { joiToSchema } from './joiToSchema.js';
+import { profileSchema } from '../validators/users.js';
+import { APPLICATION_STATUSES } from '../validators/applications.js';
+import { SALARY_PERIODS, CURRENCIES, JOB_STATUSES } from '../validators/jobs.js';
+import { createSavedSearchSchema, ALERT_FREQUENCIES } from '../validators/savedSearches.js';
+import { INTERVIEW_FORMATS, INTERVIEW_STATUSES } from '../validators/interviews.js';
+import { MATCH_WEIGHTS } from '../services/matching.js';
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// $ref can't have siblings in OpenAPI 3.0, so null is allowed through allOf
+export const nullableRef = (name) => ({ allOf: [ref(name)], nullable: true });
+
+export const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '665f1c2ab4d5e6f7a8b9c0d1' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const amountRange = (description) => ({
+  type: 'object',
+  description,
+  properties: {
+    min: { type: 'number' },
+    max: { type: 'number' }
+  }
+});
+
+// Stored documents can carry fields older versions of the API wrote,
+// so response schemas list the known fields without forbidding others.
+export const schemas = {
+  Error: {
+    type: 'object',
+    required: ['code', 'message', 'requestId'],
+    properties: {
+      code: { type: 'string', description: 'Stable machine-readable error code', example: 'NOT_FOUND' },
+      message: { type: 'string', description: 'Human-readable description' },
+      requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+      error: { type: 'string', description: 'Internal error details, only outside production' }
+    }
+  },
+  ValidationError: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        properties: {
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', nullable: true, example: 'email' },
+                location: { type: 'string', enum: ['params', 'query', 'body'] },
+                message: { type: 'string', example: 'email is required' }
+              }
+            }
+          }
+        }
+      }
+    ]
+  },
+  TooManyAttempts: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        properties: {
+          retryAfter: { type: 'integer', description: 'Seconds to wait, also sent as the Retry-After header' }
+        }
+      }
+    ]
+  },
+  Message: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' }
+    }
+  },
+  TokenPair: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      token: { type: 'string', description: 'Access token for the Authorization header' },
+      refreshToken: { type: 'string', description: 'Exchange at /api/auth/refresh for a new token pair' },
+      expiresIn: { type: 'string', description: 'Lifetime of the access token', example: '15m' },
+      passwordTemporary: { type: 'boolean', description: 'The user must choose a new password' }
+    }
+  },
+  TwoFactorChallenge: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      twoFactorRequired: { type: 'boolean', enum: [true] },
+      challengeToken: { type: 'string', description: 'Send to /api/auth/login/2fa with a code, valid for 5 minutes' }
+    }
+  },
+  ProfileData: joiToSchema(profileSchema.body.extract('profileData')),
+  GeoPoint: {
+    type: 'object',
+    nullable: true,
+    description: 'GeoJSON point geocoded from the location, null when the place is unknown',
+    properties: {
+      type: { type: 'string', enum: ['Point'] },
+      coordinates: {
+        type: 'array',
+        items: { type: 'number' },
+        minItems: 2,
+        maxItems: 2,
+        description: 'Longitude and latitude'
+      }
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      id: objectId,
+      fullName: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: ['jobseeker', 'employer', 'admin'] },
+      emailVerified: { type: 'boolean' },
+      profileCompleted: { type: 'boolean' },
+      profileData: ref('ProfileData'),
+      geoLocation: ref('GeoPoint'),
+      profilePicture: { type: 'string', format: 'uri' },
+      twoFactorEnabled: { type: 'boolean' },
+      passwordTemporary: { type: 'boolean' },
+      suspended: { type: 'boolean' },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  Salary: {
+    type: 'object',
+    properties: {
+      min: { type: 'number' },
+      max: { type: 'number', description: 'Same as min for a fixed salary' },
+      currency: { type: 'string', enum: CURRENCIES },
+      period: { type: 'string', enum: SALARY_PERIODS },
+      annual: amountRange('Per year, for a 40 hour week'),
+      hourly: amountRange('Per hour, for a 40 hour week')
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      employerId: objectId,
+      title: { type: 'string' },
+      salary: ref('Salary'),
+      employmentType: { type: 'string' },
+      location: { type: 'string' },
+      geoLocation: ref('GeoPoint'),
+      description: { type: 'string' },
+      requirements: { type: 'array', items: { type: 'string' } },
+      postedDate: dateTime,
+      status: { type: 'string', enum: JOB_STATUSES },
+      active: { type: 'boolean', description: 'Listed and accepting applications' },
+      publishAt: nullable({ ...dateTime, description: 'When a scheduled job is published' }),
+      closingDate: nullable({ ...dateTime, description: 'When the job closes automatically' }),
+      statusChangedAt: dateTime,
+      publishedAt: nullable(dateTime),
+      closedAt: dateTime,
+      closedReason: { type: 'string', enum: ['employer', 'closing_date', 'employer_deleted'] },
+      archivedAt: dateTime,
+      duplicatedFrom: { ...objectId, description: 'The job this one was copied from' },
+      templateId: { ...objectId, description: 'The template this job was created from' },
+      importedAt: { ...dateTime, description: 'When the job was created by a bulk import' },
+      applications: { type: 'array', items: objectId, description: 'IDs of the applications' },
+      unpublishedByAdmin: { type: 'boolean' },
+      unpublishedReason: { type: 'string' },
+      statusBeforeUnpublish: { type: 'string', enum: ['published', 'scheduled'], description: 'Status a job unpublished by an admin gets back when republished' }
+    }
+  },
+  JobTemplate: {
+    type: 'object',
+    description: 'Any of the job fields can be missing, they are given when the template is used',
+    properties: {
+      _id: objectId,
+      employerId: objectId,
+      name: { type: 'string' },
+      title: { type: 'string' },
+      salary: { type: 'object', description: 'As sent to POST /api/jobs/create' },
+      employmentType: { type: 'string' },
+      location: { type: 'string' },
+      description: { type: 'string' },
+      requirements: { type: 'array', items: { type: 'string' } },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  Match: {
+    type: 'object',
+    description: 'How well a carer fits a job. Only the criteria the job asks for are scored.',
+    properties: {
+      score: { type: 'integer', minimum: 0, maximum: 100 },
+      breakdown: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            criterion: { type: 'string', enum: Object.keys(MATCH_WEIGHTS) },
+            weight: { type: 'integer', description: 'Points the criterion is worth' },
+            score: { type: 'number', minimum: 0, maximum: 1 },
+            detail: { type: 'string', example: '2 of 3 requirements met' },
+            matched: { type: 'array', items: { type: 'string' }, description: 'Requirements met, only for `requirements`' },
+            missing: { type: 'array', items: { type: 'string' }, description: 'Requirements not or partly met, only for `requirements`' },
+            distanceKm: { type: 'number', description: 'Only for `location` when both places are on the map' }
+          }
+        }
+      }
+    }
+  },
+  SavedSearch: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      userId: objectId,
+      name: { type: 'string' },
+      filters: {
+        ...joiToSchema(createSavedSearchSchema.body.extract('filters')),
+        description: 'Query parameters of GET /api/jobs, without sort and paging'
+      },
+      origin: { ...nullableRef('GeoPoint'), description: 'Where `filters.near` is' },
+      frequency: { type: 'string', enum: ALERT_FREQUENCIES },
+      pendingJobs: {
+        type: 'array',
+        description: 'Matching jobs waiting for the next daily digest',
+        items: {
+          type: 'object',
+          properties: {
+            jobId: objectId,
+            title: { type: 'string' },
+            location: { type: 'string' },
+            matchedAt: dateTime
+          }
+        }
+      },
+      lastDigestAt: dateTime,
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  Application: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      jobId: objectId,
+      applicantId: nullable(objectId),
+      employerId: objectId,
+      coverLetter: { type: 'string' },
+      additionalNotes: { type: 'string' },
+      resumePath: nullable({ type: 'string', description: 'Where the server stores the resume, download it from GET /api/applications/{id}/resume' }),
+      resumeText: nullable({ type: 'string', description: 'Text of the resume, left out of lists' }),
+      resumeTextStatus: nullable({
+        type: 'string',
+        enum: ['extracted', 'empty', 'unsupported', 'failed'],
+        description: 'Whether the resume text could be read: empty for e.g. scanned PDFs, unsupported for old .doc files. Missing on applications from before it was read.'
+      }),
+      resumeTextExtractedAt: nullable(dateTime),
+      status: { type: 'string', enum: APPLICATION_STATUSES },
+      appliedDate: dateTime,
+      lastStatusUpdate: dateTime,
+      statusHistory: { type: 'array', items: ref('StatusChange'), description: 'Missing on applications from before it was kept' },
+      applicantName: { type: 'string' },
+      applicantEmail: nullable({ type: 'string' }),
+      applicantDeleted: { type: 'boolean' }
+    }
+  },
+  ResumeMatch: {
+    type: 'object',
+    description: 'Where a resume matches a keyword search',
+    properties: {
+      score: { type: 'integer', description: 'Higher for more of the keywords found, then for more occurrences' },
+      keywords: { type: 'array', items: { type: 'string' }, description: 'The keywords found, lowercased and without accents' },
+      snippets: {
+        type: 'array',
+        description: 'Parts of the resume around the first matches',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            highlights: {
+              type: 'array',
+              description: 'Positions of the matches in the text, the end excluded',
+              items: {
+                type: 'object',
+                properties: {
+                  start: { type: 'integer' },
+                  end: { type: 'integer' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  ProfileSuggestion: {
+    type: 'object',
+    description: 'A profile field the resume says something about that the profile leaves empty',
+    properties: {
+      field: { type: 'string', enum: ['phone', 'englishLevel', 'drivingLicence', 'liveInExperience', 'qualification', 'careExperience'] },
+      value: {
+        oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        description: 'The value to set, or for qualification and careExperience the items to add'
+      },
+      found: { type: 'string', description: 'Where in the resume it comes from' }
+    }
+  },
+  StatusChange: {
+    type: 'object',
+    properties: {
+      from: nullable({ type: 'string', enum: APPLICATION_STATUSES, description: 'Null for the application itself' }),
+      to: { type: 'string', enum: APPLICATION_STATUSES },
+      changedBy: nullable(objectId),
+      changedAt: dateTime,
+      reason: nullable({ type: 'string', description: 'Null for the applicant unless the employer shared it' }),
+      reasonShared: { type: 'boolean' }
+    }
+  },
+  Interview: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      applicationId: objectId,
+      jobId: objectId,
+      jobTitle: { type: 'string' },
+      employerId: objectId,
+      employerName: { type: 'string' },
+      applicantId: nullable(objectId),
+      applicantName: { type: 'string' },
+      format: { type: 'string', enum: INTERVIEW_FORMATS },
+      address: nullable({ type: 'string', description: 'For in-person interviews' }),
+      phone: nullable({ type: 'string', description: 'For phone interviews' }),
+      videoLink: nullable({ type: 'string', description: 'For video interviews' }),
+      durationMinutes: { type: 'integer' },
+      notes: { type: 'string' },
+      slots: {
+        type: 'array',
+        description: 'Times offered, earliest first',
+        items: {
+          type: 'object',
+          properties: {
+            id: objectId,
+            startsAt: dateTime
+          }
+        }
+      },
+      status: { type: 'string', enum: INTERVIEW_STATUSES },
+      startsAt: nullable({ ...dateTime, description: 'The accepted time' }),
+      endsAt: nullable(dateTime),
+      acceptedSlotId: nullable(objectId),
+      alternativesRequest: nullable({
+        type: 'object',
+        description: 'Why the applicant asked for other times',
+        properties: {
+          message: { type: 'string' },
+          requestedAt: dateTime
+        }
+      }),
+      remindersSent: { type: 'array', items: { type: 'string' } },
+      sequence: { type: 'integer', description: 'Raised with every change' },
+      cancelledBy: nullable(objectId),
+      cancelledAt: nullable(dateTime),
+      cancellationReason: nullable({ type: 'string' }),
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  Notification: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      recipientId: objectId,
+      senderId: nullable(objectId),
+      type: { type: 'string', example: 'job_application' },
+      title: { type: 'string' },
+      message: { type: 'string' },
+      relatedId: nullable(objectId),
+      relatedType: nullable({ type: 'string', example: 'application' }),
+      isRead: { type: 'boolean' },
+      createdAt: dateTime
+    }
+  },
+  Review: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      employerId: nullable(objectId),
+      jobseekerId: nullable(objectId),
+      rating: { type: 'integer', minimum: 1, maximum: 5 },
+      comment: { type: 'string' },
+      jobId: nullable(objectId),
+      createdAt: dateTime
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      userId: objectId,
+      userAgent: { type: 'string' },
+      ipAddress: { type: 'string' },
+      createdAt: dateTime,
+      lastUsedAt: dateTime,
+      expiresAt: dateTime,
+      current: { type: 'boolean', description: 'The session of the access token used for this request' }
+    }
+  },
+  AdminAction: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      adminId: objectId,
+      action: { type: 'string', example: 'user_suspended' },
+      targetType: { type: 'string', enum: ['user', 'job', 'review', 'application'] },
+      targetId: nullable(objectId),
+      reason: nullable({ type: 'string' }),
+      details: nullable({ type: 'object' }),
+      createdAt: dateTime
+    }
+  }
+};
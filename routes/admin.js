@@ -0,0 +1,542 @@
+import express from 'express';
+import { connectDB } from '../db.js';
+import { ObjectId } from 'mongodb';
+import { verifyToken, isAdmin } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { jobCollection } from '../models/jobs.js';
+import { jobStatus, statusFields } from '../services/jobLifecycle.js';
+import { adminActionCollection, recordAdminAction } from '../models/adminActions.js';
+import { jobStatsCollection } from '../models/jobStats.js';
+import * as reviewModel from '../models/reviews.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { issueTemporaryPassword } from '../services/passwords.js';
+import { isTwoFactorEnabled, disableTwoFactor } from '../services/twoFactor.js';
+import { createNotification } from './notifications.js';
+import {
+  listUsersSchema,
+  idSchema,
+  requiredReasonSchema,
+  optionalReasonSchema,
+  listApplicationsSchema,
+  listActionsSchema
+} from '../validators/admin.js';
+import { logger } from '../utils/logger.js';
+import { escapeRegex, getPagination } from '../utils/query.js';
+
+const router = express.Router();
+
+// Every admin route requires a logged in admin
+router.use(verifyToken, isAdmin);
+
+// List and search users
+router.get('/users', validate(listUsersSchema), async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filter.$or = [{ fullName: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      filter.role = role;
+    }
+
+    if (status === 'suspended') {
+      filter.suspended = true;
+    } else if (status === 'active') {
+      filter.suspended = { $ne: true };
+    }
+
+    const db = await connectDB();
+    const users = db.collection('users');
+
+    const [results, total] = await Promise.all([
+      users.find(filter, { projection: { password: 0, twoFactor: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      users.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ users: results, total, page, limit });
+  } catch (error) {
+    logger.error('Error listing users', { err: error });
+    res.status(500).json({ message: 'Error listing users' });
+  }
+});
+
+// Get a single user with a summary of their activity
+router.get('/users/:id', validate(idSchema), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const db = await connectDB();
+
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { password: 0, twoFactor: 0 } }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [jobCount, applicationCount, reviewsGiven, reviewsReceived] = await Promise.all([
+      db.collection('jobs').countDocuments({ employerId: userId }),
+      db.collection('applications').countDocuments({ $or: [{ applicantId: userId }, { employerId: userId }] }),
+      db.collection('reviews').countDocuments({ employerId: new ObjectId(userId) }),
+      db.collection('reviews').countDocuments({ jobseekerId: new ObjectId(userId) })
+    ]);
+
+    res.status(200).json({
+      ...user,
+      stats: { jobCount, applicationCount, reviewsGiven, reviewsReceived }
+    });
+  } catch (error) {
+    logger.error('Error fetching user', { err: error });
+    res.status(500).json({ message: 'Error fetching user' });
+  }
+});
+
+// Suspend an account and sign it out everywhere
+router.put('/users/:id/suspend', validate(requiredReasonSchema), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { reason } = req.body;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot suspend your own account' });
+    }
+
+    const db = await connectDB();
+    const users = db.collection('users');
+
+    const user = await users.findOne({ _id: new ObjectId(userId) });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.suspended) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    await users.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          suspended: true,
+          suspendedAt: new Date().toISOString(),
+          suspendedReason: reason,
+          suspendedBy: req.user.id
+        }
+      }
+    );
+
+    await revokeAllSessions(db, userId, 'suspended');
+
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'user_suspended',
+      targetType: 'user',
+      targetId: userId,
+      reason
+    });
+
+    res.status(200).json({ message: 'User suspended successfully' });
+  } catch (error) {
+    logger.error('Error suspending user', { err: error });
+    res.status(500).json({ message: 'Error suspending user' });
+  }
+});
+
+// Reinstate a suspended account
+router.put('/users/:id/reinstate', validate(optionalReasonSchema), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { reason } = req.body;
+
+    const db = await connectDB();
+
+    const result = await db.collection('users').updateOne(
+      { _id: new ObjectId(userId), suspended: true },
+      {
+        $set: { suspended: false, reinstatedAt: new Date().toISOString() },
+        $unset: { suspendedAt: "", suspendedReason: "", suspendedBy: "" }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Suspended user not found' });
+    }
+
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'user_reinstated',
+      targetType: 'user',
+      targetId: userId,
+      reason
+    });
+
+    res.status(200).json({ message: 'User reinstated successfully' });
+  } catch (error) {
+    logger.error('Error reinstating user', { err: error });
+    res.status(500).json({ message: 'Error reinstating user' });
+  }
+});
+
+// Force a password reset: the user gets a temporary password by email
+router.post('/users/:id/reset-password', validate(optionalReasonSchema), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { reason } = req.body;
+
+    const db = await connectDB();
+
+    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await issueTemporaryPassword(db, user);
+
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'user_password_reset',
+      targetType: 'user',
+      targetId: userId,
+      reason
+    });
+
+    res.status(200).json({ message: 'Temporary password sent to the user' });
+  } catch (error) {
+    logger.error('Error resetting user password', { err: error });
+    res.status(500).json({ message: 'Error resetting user password' });
+  }
+});
+
+// Turn off 2FA for a user who lost their authenticator and recovery codes
+router.post('/users/:id/disable-2fa', validate(requiredReasonSchema), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { reason } = req.body;
+
+    const db = await connectDB();
+
+    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    await disableTwoFactor(db, user);
+    await revokeAllSessions(db, userId, 'two_factor_reset');
+
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'user_2fa_disabled',
+      targetType: 'user',
+      targetId: userId,
+      reason
+    });
+
+    res.status(200).json({ message: 'Two-factor authentication disabled for the user' });
+  } catch (error) {
+    logger.error('Error disabling two-factor authentication', { err: error });
+    res.status(500).json({ message: 'Error disabling two-factor authentication' });
+  }
+});
+
+// Unpublish a job; the employer can't republish it themselves
+router.put('/jobs/:id/unpublish', validate(requiredReasonSchema), async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const { reason } = req.body;
+
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+
+    const job = await jobs.findOne({ _id: new ObjectId(jobId) });
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Live and scheduled jobs are paused, so status filters and reports don't count them
+    // as published. Republishing brings back the status they had.
+    const status = jobStatus(job);
+    const paused = ['published', 'scheduled'].includes(status)
+      ? { ...statusFields(job, 'paused'), statusBeforeUnpublish: status }
+      : { status };
+
+    const result = await jobs.updateOne(
+      { _id: job._id, status: job.status ?? { $exists: false } },
+      {
+        $set: {
+          ...paused,
+          active: false,
+          unpublishedByAdmin: true,
+          unpublishedAt: new Date().toISOString(),
+          unpublishedReason: reason
+        }
+      }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ code: 'CONFLICT', message: 'The job was changed meanwhile, please try again' });
+    }
+
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'job_unpublished',
+      targetType: 'job',
+      targetId: jobId,
+      reason
+    });
+
+    if (job.employerId) {
+      await createNotification(db, {
+        recipientId: job.employerId,
+        senderId: req.user.id,
+        type: 'moderation',
+        title: 'Job Unpublished',
+        message: `Your job "${job.title}" was unpublished by a moderator. Reason: ${reason}`,
+        relatedId: jobId,
+        relatedType: 'job'
+      });
+    }
+
+    res.status(200).json({ message: 'Job unpublished successfully' });
+  } catch (error) {
+    logger.error('Error unpublishing job', { err: error });
+    res.status(500).json({ message: 'Error unpublishing job' });
+  }
+});
+
+// Allow an unpublished job to be published again
+router.put('/jobs/:id/republish', validate(optionalReasonSchema), async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const { reason } = req.body;
+
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+
+    // A job paused by the unpublish gets its status back, unless the employer has
+    // changed it since. It is listed again only if that status is published.
+    const restore = { $and: [{ $eq: ['$status', 'paused'] }, { $ne: [{ $ifNull: ['$statusBeforeUnpublish', null] }, null] }] };
+    const job = await jobs.findOneAndUpdate(
+      { _id: new ObjectId(jobId), unpublishedByAdmin: true },
+      [
+        {
+          $set: {
+            status: { $cond: [restore, '$statusBeforeUnpublish', '$status'] },
+            statusChangedAt: { $cond: [restore, new Date().toISOString(), '$statusChangedAt'] }
+          }
+        },
+        { $set: { active: { $eq: ['$status', 'published'] } } },
+        { $unset: ['unpublishedByAdmin', 'unpublishedAt', 'unpublishedReason', 'statusBeforeUnpublish'] }
+      ]
+    );
+
+    if (!job) {
+      return res.status(404).json({ message: 'Unpublished job not found' });
+    }
+
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'job_republished',
+      targetType: 'job',
+      targetId: jobId,
+      reason
+    });
+
+    res.status(200).json({ message: 'Job republished successfully' });
+  } catch (error) {
+    logger.error('Error republishing job', { err: error });
+    res.status(500).json({ message: 'Error republishing job' });
+  }
+});
+
+// Delete any job
+router.delete('/jobs/:id', validate(optionalReasonSchema), async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const { reason } = req.body;
+
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+
+    const job = await jobs.findOne({ _id: new ObjectId(jobId) });
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    await jobs.deleteOne({ _id: job._id });
+    const jobStats = await jobStatsCollection(db);
+    await jobStats.deleteMany({ jobId });
+
+    // Keep a copy of the job in the audit log in case it has to be looked at later
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'job_deleted',
+      targetType: 'job',
+      targetId: jobId,
+      reason,
+      details: { job }
+    });
+
+    res.status(200).json({ message: 'Job deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting job', { err: error });
+    res.status(500).json({ message: 'Error deleting job' });
+  }
+});
+
+// Remove a review
+router.delete('/reviews/:id', validate(optionalReasonSchema), async (req, res) => {
+  try {
+    const reviewId = req.params.id;
+    const { reason } = req.body;
+
+    const review = await reviewModel.getReviewById(reviewId);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await reviewModel.deleteReview(reviewId);
+
+    const db = await connectDB();
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'review_removed',
+      targetType: 'review',
+      targetId: reviewId,
+      reason,
+      details: { review }
+    });
+
+    res.status(200).json({ message: 'Review removed successfully' });
+  } catch (error) {
+    logger.error('Error removing review', { err: error });
+    res.status(500).json({ message: 'Error removing review' });
+  }
+});
+
+// View applications for support cases, filtered by job, applicant or employer
+router.get('/applications', validate(listApplicationsSchema), async (req, res) => {
+  try {
+    const { jobId, applicantId, employerId, status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (jobId) filter.jobId = jobId;
+    if (applicantId) filter.applicantId = applicantId;
+    if (employerId) filter.employerId = employerId;
+    if (status) filter.status = status;
+
+    const db = await connectDB();
+    const applications = db.collection('applications');
+
+    const [results, total] = await Promise.all([
+      applications.find(filter)
+        .sort({ appliedDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      applications.countDocuments(filter)
+    ]);
+
+    // Looking at applicants' data is logged too
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'applications_viewed',
+      targetType: 'application',
+      targetId: null,
+      details: { filter }
+    });
+
+    res.status(200).json({ applications: results, total, page, limit });
+  } catch (error) {
+    logger.error('Error listing applications', { err: error });
+    res.status(500).json({ message: 'Error listing applications' });
+  }
+});
+
+// View a single application with its job and applicant
+router.get('/applications/:id', validate(idSchema), async (req, res) => {
+  try {
+    const applicationId = req.params.id;
+
+    const db = await connectDB();
+
+    const application = await db.collection('applications').findOne({
+      _id: new ObjectId(applicationId)
+    });
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const [job, applicant] = await Promise.all([
+      ObjectId.isValid(application.jobId)
+        ? db.collection('jobs').findOne({ _id: new ObjectId(application.jobId) })
+        : null,
+      ObjectId.isValid(application.applicantId)
+        ? db.collection('users').findOne(
+          { _id: new ObjectId(application.applicantId) },
+          { projection: { password: 0, twoFactor: 0 } }
+        )
+        : null
+    ]);
+
+    await recordAdminAction(db, {
+      adminId: req.user.id,
+      action: 'application_viewed',
+      targetType: 'application',
+      targetId: applicationId
+    });
+
+    res.status(200).json({ ...application, job, applicant });
+  } catch (error) {
+    logger.error('Error fetching application', { err: error });
+    res.status(500).json({ message: 'Error fetching application' });
+  }
+});
+
+// Audit log of admin actions
+router.get('/actions', validate(listActionsSchema), async (req, res) => {
+  try {
+    const { adminId, targetType, targetId } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (adminId) filter.adminId = adminId;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    const db = await connectDB();
+    const adminActions = await adminActionCollection(db);
+
+    const [results, total] = await Promise.all([
+      adminActions.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      adminActions.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ actions: results, total, page, limit });
+  } catch (error) {
+    logger.error('Error fetching admin actions', { err: error });
+    res.status(500).json({ message: 'Error fetching admin actions' });
+  }
+});
+
+export default router;
@@ -1,33 +1,61 @@
 import express from 'express';
 import { connectDB } from '../db.js';
 import { ObjectId } from 'mongodb';
-import jwt from 'jsonwebtoken';
+import { verifyToken, requireVerifiedEmail } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  applicationIdSchema,
+  jobIdSchema,
+  applySchema,
+  updateStatusSchema,
+  resumeDownloadSchema,
+  jobApplicationsSchema,
+  resumeSearchSchema,
+  APPLICATION_TRANSITIONS
+} from '../validators/applications.js';
 import dotenv from 'dotenv';
 import multer from 'multer';
 import path from 'path';
+import fs from 'fs';
 import { createNotification } from './notifications.js';
+import { recordJobEvent } from '../services/jobAnalytics.js';
+import { cancelOpenInterviews } from '../services/interviews.js';
+import {
+  RESUME_DIR,
+  canAccessResume,
+  signResumeLink,
+  verifyResumeLink,
+  resumeFile,
+  resumeDownloadName
+} from '../services/resumes.js';
+import { recordResumeDownload } from '../models/resumeDownloads.js';
+import {
+  RESUME_SEARCH_POOL,
+  extractResumeText,
+  parseKeywords,
+  resumeKeywordFilter,
+  searchResumes,
+  profileSuggestions
+} from '../services/resumeText.js';
+import { getPagination } from '../utils/query.js';
+import {
+  appliedEntry,
+  applicantView,
+  canChangeStatus,
+  changeApplicationStatus,
+  statusHistory
+} from '../services/applicationStatus.js';
+import { AppError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ message: 'Invalid token' });
-    req.user = decoded;
-    next();
-  });
-};
 
 // Configure multer for resume uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'uploads/resumes');
+    cb(null, RESUME_DIR);
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -48,18 +76,46 @@ const upload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF and Word documents are allowed.'));
+      cb(new AppError(415, 'UNSUPPORTED_FILE_TYPE', 'Invalid file type. Only PDF and Word documents are allowed.'));
     }
   }
 });
 
-router.get('/job/:jobId', verifyToken, async (req, res) => {
+// Middleware to check if user is an employer
+const isEmployer = (req, res, next) => {
+  if (req.user.role !== 'employer') {
+    return res.status(403).json({ code: 'EMPLOYERS_ONLY', message: 'Access denied. Employers only.' });
+  }
+  next();
+};
+
+// Resume text is long, lists leave it out
+const WITHOUT_RESUME_TEXT = { resumeText: 0, resumeSearchText: 0 };
+
+// Where the resume of an application is downloaded, with the access token
+const resumeUrl = (application) => (application.resumePath ? `/api/applications/${application._id}/resume` : null);
+
+// Resume downloads are authorized by the access token, or by a signed link for browsers
+// that open the file directly and can't send the Authorization header
+const verifyResumeAccess = (req, res, next) => {
+  if (!req.query.token) {
+    return verifyToken(req, res, next);
+  }
+
+  const userId = verifyResumeLink(req.query.token, req.params.id);
+  if (!userId) {
+    return res.status(401).json({ code: 'LINK_INVALID', message: 'The download link is invalid or has expired' });
+  }
+  req.user = { id: userId };
+  req.resumeLink = true;
+  next();
+};
+
+// Get the applications for a job, or with `q` those whose resume has the keywords, best match first
+router.get('/job/:jobId', verifyToken, validate(jobApplicationsSchema), async (req, res) => {
   try {
     const jobId = req.params.jobId;
-    
-    if (!ObjectId.isValid(jobId)) {
-      return res.status(400).json({ message: 'Invalid job ID' });
-    }
+    const keywords = req.query.q ? parseKeywords(req.query.q) : null;
     
     const db = await connectDB();
     
@@ -74,11 +130,15 @@ router.get('/job/:jobId', verifyToken, async (req, res) => {
     }
     
     // Find all applications for this job
-    const applications = await db.collection('applications').find({
-      jobId: jobId
-    }).toArray();
+    const applications = keywords
+      ? searchResumes(
+        await db.collection('applications').find({ jobId, ...resumeKeywordFilter(keywords, req.query.match) }).toArray(),
+        keywords,
+        req.query.match
+      )
+      : await db.collection('applications').find({ jobId }).project(WITHOUT_RESUME_TEXT).toArray();
     
-    console.log(`Found ${applications.length} applications for job ${jobId}`);
+    logger.debug('Found applications for job', { jobId, count: applications.length });
     
     if (applications.length === 0) {
       return res.status(200).json([]);
@@ -89,7 +149,7 @@ router.get('/job/:jobId', verifyToken, async (req, res) => {
       try {
         return new ObjectId(app.applicantId);
       } catch (e) {
-        console.error(`Invalid ObjectId for applicantId: ${app.applicantId}`);
+        logger.warn('Invalid ObjectId for applicantId', { applicantId: app.applicantId });
         return null;
       }
     }).filter(id => id !== null);
@@ -125,7 +185,7 @@ router.get('/job/:jobId', verifyToken, async (req, res) => {
         ...app,
         applicant: formattedApplicant,
         // If there's resume information, format it properly
-        resumeUrl: app.resumePath ? `/uploads/resumes/${app.resumePath.split('/').pop()}` : null,
+        resumeUrl: resumeUrl(app),
         // Extra data to help with display
         experience: applicant?.profileData?.careExperience?.length || 0,
         skills: applicant?.profileData?.qualification || []
@@ -134,24 +194,24 @@ router.get('/job/:jobId', verifyToken, async (req, res) => {
     
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error fetching job applications:', error);
+    logger.error('Error fetching job applications', { err: error });
     res.status(500).json({ message: 'Error fetching job applications' });
   }
 });
 
 // Get all applications for current user (jobseeker)
-router.get('/my-applications', verifyToken, async (req, res) => {
+router.get('/my-applications', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     
-    console.log('Fetching applications for user ID:', req.user.id);
+    logger.debug('Fetching applications for user');
     
     // Find applications for this user
     const applications = await db.collection('applications').find({
       applicantId: req.user.id
-    }).toArray();
+    }).project(WITHOUT_RESUME_TEXT).toArray();
     
-    console.log(`Found ${applications.length} applications`);
+    logger.debug('Found applications', { count: applications.length });
     
     if (applications.length === 0) {
       return res.status(200).json([]);
@@ -162,18 +222,18 @@ router.get('/my-applications', verifyToken, async (req, res) => {
       try {
         return new ObjectId(app.jobId);
       } catch (e) {
-        console.error(`Invalid ObjectId for jobId: ${app.jobId}`);
+        logger.warn('Invalid ObjectId for jobId', { jobId: app.jobId });
         return null;
       }
     }).filter(id => id !== null);
     
-    console.log(`Fetching details for ${jobIds.length} jobs`);
+    logger.debug('Fetching job details', { count: jobIds.length });
     
     const jobs = await db.collection('jobs').find({
       _id: { $in: jobIds }
     }).toArray();
     
-    console.log(`Found ${jobs.length} job details`);
+    logger.debug('Found job details', { count: jobs.length });
     
     // Combine application data with job details
     const result = applications.map(app => {
@@ -181,40 +241,39 @@ router.get('/my-applications', verifyToken, async (req, res) => {
       const jobMatch = jobs.find(j => j._id.toString() === app.jobId);
       
       if (!jobMatch) {
-        console.log(`No job found for jobId: ${app.jobId}`);
+        logger.debug('No job found for application', { jobId: app.jobId });
       }
       
       const job = jobMatch || { 
         title: 'Unknown Job', 
         company: 'Unknown', 
         location: 'Unknown',
-        salary: 0,
-        salaryPeriod: 'monthly'
+        salary: null
       };
       
       return {
-        ...app,
+        ...applicantView(app),
         job: job
       };
     });
     
-    console.log(`Returning ${result.length} combined application records`);
+    logger.debug('Returning combined application records', { count: result.length });
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error fetching applications:', error);
+    logger.error('Error fetching applications', { err: error });
     res.status(500).json({ message: 'Error fetching applications' });
   }
 });
 
 // Get all applications for the employer
-router.get('/employer-applications', verifyToken, async (req, res) => {
+router.get('/employer-applications', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     
     // Find applications where the employer is the current user
     const applications = await db.collection('applications').find({
       employerId: req.user.id
-    }).toArray();
+    }).project(WITHOUT_RESUME_TEXT).toArray();
     
     // Get job details for each application
     const jobIds = applications.map(app => new ObjectId(app.jobId));
@@ -228,7 +287,7 @@ const applicantIds = applications.map(app => {
     // Handle cases where applicantId might be a string
     return new ObjectId(app.applicantId);
   } catch (e) {
-    console.error(`Invalid ObjectId for applicantId: ${app.applicantId}`);
+    logger.warn('Invalid ObjectId for applicantId', { applicantId: app.applicantId });
     return null;
   }
 }).filter(id => id !== null);
@@ -244,7 +303,7 @@ const applicants = await db.collection('users').find({
   phone: 1
 }).toArray();
 
-console.log(`Found ${applicants.length} applicants for ${applicantIds.length} IDs`);
+logger.debug('Found applicants', { count: applicants.length, requested: applicantIds.length });
 
   // Combine application data with job and applicant details
   const result = applications.map(app => {
@@ -255,7 +314,7 @@ console.log(`Found ${applicants.length} applicants for ${applicantIds.length} ID
     
     // Log if applicant not found for debugging
     if (!applicant && applicantIdStr) {
-      console.log(`No applicant found for ID: ${applicantIdStr}`);
+      logger.debug('No applicant found for application', { applicantId: applicantIdStr });
     }
     
     return {
@@ -267,20 +326,60 @@ console.log(`Found ${applicants.length} applicants for ${applicantIds.length} ID
     
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error fetching employer applications:', error);
+    logger.error('Error fetching employer applications', { err: error });
     res.status(500).json({ message: 'Error fetching applications' });
   }
 });
 
+// Search the resumes of everyone who applied to the employer's jobs, best match first
+router.get('/resume-search', verifyToken, isEmployer, validate(resumeSearchSchema), async (req, res) => {
+  try {
+    const { q, match, jobId, status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    const keywords = parseKeywords(q);
+    
+    const db = await connectDB();
+    
+    const candidates = await db.collection('applications').find({
+      employerId: req.user.id,
+      ...(jobId ? { jobId } : {}),
+      ...(status ? { status } : {}),
+      ...resumeKeywordFilter(keywords, match)
+    }).sort({ appliedDate: -1 }).limit(RESUME_SEARCH_POOL).toArray();
+    
+    const ranked = searchResumes(candidates, keywords, match);
+    const items = ranked.slice(skip, skip + limit);
+    
+    // Titles of the jobs the applications are for
+    const jobIds = [...new Set(items.map(app => app.jobId))].filter(id => ObjectId.isValid(id));
+    const jobs = await db.collection('jobs').find(
+      { _id: { $in: jobIds.map(id => new ObjectId(id)) } },
+      { projection: { title: 1 } }
+    ).toArray();
+    const titles = new Map(jobs.map(job => [job._id.toString(), job.title]));
+    
+    res.status(200).json({
+      applications: items.map(app => ({
+        ...app,
+        resumeUrl: resumeUrl(app),
+        job: { _id: app.jobId, title: titles.get(app.jobId) || 'Unknown Job' }
+      })),
+      keywords,
+      total: ranked.length,
+      page,
+      limit
+    });
+  } catch (error) {
+    logger.error('Error searching resumes', { err: error });
+    res.status(500).json({ message: 'Error searching resumes' });
+  }
+});
+
 // Check if user has already applied to a job
-router.get('/check/:jobId', verifyToken, async (req, res) => {
+router.get('/check/:jobId', verifyToken, validate(jobIdSchema), async (req, res) => {
   try {
     const jobId = req.params.jobId;
     
-    if (!ObjectId.isValid(jobId)) {
-      return res.status(400).json({ message: 'Invalid job ID' });
-    }
-    
     const db = await connectDB();
     const existingApplication = await db.collection('applications').findOne({
       jobId,
@@ -291,24 +390,16 @@ router.get('/check/:jobId', verifyToken, async (req, res) => {
       hasApplied: !!existingApplication
     });
   } catch (error) {
-    console.error('Error checking application status:', error);
+    logger.error('Error checking application status', { err: error });
     res.status(500).json({ message: 'Error checking application status' });
   }
 });
 
 // Apply for a job
-router.post('/apply', verifyToken, upload.single('resume'), async (req, res) => {
+router.post('/apply', verifyToken, requireVerifiedEmail, upload.single('resume'), validate(applySchema), async (req, res) => {
   try {
     const { jobId, coverLetter, additionalNotes } = req.body;
     
-    if (!jobId || !coverLetter) {
-      return res.status(400).json({ message: 'Job ID and cover letter are required' });
-    }
-    
-    if (!ObjectId.isValid(jobId)) {
-      return res.status(400).json({ message: 'Invalid job ID' });
-    }
-    
     const db = await connectDB();
     
     // Check if job exists
@@ -320,6 +411,11 @@ router.post('/apply', verifyToken, upload.single('resume'), async (req, res) =>
       return res.status(404).json({ message: 'Job not found' });
     }
     
+    // Drafts, paused and closed jobs don't take applications
+    if (job.active === false) {
+      return res.status(409).json({ code: 'JOB_NOT_OPEN', message: 'This job is not accepting applications' });
+    }
+    
     // Check if user has already applied
     const existingApplication = await db.collection('applications').findOne({
       jobId,
@@ -335,7 +431,11 @@ router.post('/apply', verifyToken, upload.single('resume'), async (req, res) =>
       _id: new ObjectId(req.user.id)
     });
     
+    // The resume's text is kept for keyword searches and profile suggestions
+    const resume = req.file ? await extractResumeText(req.file.path) : null;
+    
     // Create application
+    const appliedDate = new Date().toISOString();
     const application = {
       jobId,
       applicantId: req.user.id,
@@ -343,9 +443,11 @@ router.post('/apply', verifyToken, upload.single('resume'), async (req, res) =>
       coverLetter,
       additionalNotes: additionalNotes || '',
       resumePath: req.file ? req.file.path : null,
+      ...resume,
       status: 'Pending',
-      appliedDate: new Date().toISOString(),
-      lastStatusUpdate: new Date().toISOString(),
+      appliedDate,
+      lastStatusUpdate: appliedDate,
+      statusHistory: [appliedEntry(req.user.id, appliedDate)],
       // Store the applicant's name directly in the application document as well
       applicantName: applicant ? `${applicant.firstName} ${applicant.lastName}` : "Unknown Applicant",
       applicantEmail: applicant ? applicant.email : "unknown@example.com"
@@ -371,32 +473,33 @@ router.post('/apply', verifyToken, upload.single('resume'), async (req, res) =>
         relatedType: 'application'
       });
       
+      await recordJobEvent(db, job, 'applications');
+      
       res.status(201).json({
         message: 'Application submitted successfully',
-        applicationId: result.insertedId
+        applicationId: result.insertedId,
+        resumeTextStatus: resume ? resume.resumeTextStatus : null,
+        profileSuggestions: profileSuggestions(resume?.resumeText, applicant?.profileData)
       });
     } else {
       res.status(500).json({ message: 'Failed to submit application' });
     }
   } catch (error) {
-    console.error('Error submitting application:', error);
+    logger.error('Error submitting application', { err: error });
     res.status(500).json({ message: 'Error submitting application' });
   }
 });
 
 // Get a single application by ID
-router.get('/:id', verifyToken, async (req, res) => {
+router.get('/:id', verifyToken, validate(applicationIdSchema), async (req, res) => {
   try {
     const applicationId = req.params.id;
     
-    if (!ObjectId.isValid(applicationId)) {
-      return res.status(400).json({ message: 'Invalid application ID' });
-    }
-    
     const db = await connectDB();
-    const application = await db.collection('applications').findOne({
-      _id: new ObjectId(applicationId)
-    });
+    const application = await db.collection('applications').findOne(
+      { _id: new ObjectId(applicationId) },
+      { projection: { resumeSearchText: 0 } }
+    );
     
     if (!application) {
       return res.status(404).json({ message: 'Application not found' });
@@ -415,34 +518,148 @@ router.get('/:id', verifyToken, async (req, res) => {
     // Get applicant details if needed
     let applicant = null;
     if (application.applicantId && ObjectId.isValid(application.applicantId)) {
-      applicant = await db.collection('users').findOne({
-        _id: new ObjectId(application.applicantId)
-      });
+      applicant = await db.collection('users').findOne(
+        { _id: new ObjectId(application.applicantId) },
+        { projection: { password: 0, twoFactor: 0 } } // Exclude password
+      );
     }
     
     // Combine application with job details
     const result = {
-      ...application,
+      ...(application.employerId === req.user.id ? application : applicantView(application)),
+      resumeUrl: resumeUrl(application),
       job,
       applicant
     };
     
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error fetching application:', error);
+    logger.error('Error fetching application', { err: error });
     res.status(500).json({ message: 'Error fetching application details' });
   }
 });
 
-// Withdraw/delete application (jobseeker)
-router.delete('/:id', verifyToken, async (req, res) => {
+// Profile fields the applicant could fill in from their resume, against their current profile
+router.get('/:id/profile-suggestions', verifyToken, validate(applicationIdSchema), async (req, res) => {
   try {
-    const applicationId = req.params.id;
+    const db = await connectDB();
+    const application = await db.collection('applications').findOne(
+      { _id: new ObjectId(req.params.id) },
+      { projection: { applicantId: 1, resumeText: 1, resumeTextStatus: 1 } }
+    );
+    
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
     
-    if (!ObjectId.isValid(applicationId)) {
-      return res.status(400).json({ message: 'Invalid application ID' });
+    if (application.applicantId !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view this application' });
     }
     
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(req.user.id) },
+      { projection: { profileData: 1 } }
+    );
+    
+    res.status(200).json({
+      resumeTextStatus: application.resumeTextStatus || null,
+      suggestions: profileSuggestions(application.resumeText, user?.profileData)
+    });
+  } catch (error) {
+    logger.error('Error fetching profile suggestions', { err: error });
+    res.status(500).json({ message: 'Error fetching profile suggestions' });
+  }
+});
+
+// Make a short-lived link that downloads the resume of an application without the access token
+router.post('/:id/resume-link', verifyToken, validate(applicationIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const application = await db.collection('applications').findOne({
+      _id: new ObjectId(req.params.id)
+    });
+    
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    
+    if (!canAccessResume(application, req.user.id)) {
+      return res.status(403).json({ message: 'Not authorized to download this resume' });
+    }
+    
+    if (!resumeFile(application)) {
+      return res.status(404).json({ code: 'RESUME_NOT_FOUND', message: 'This application has no resume' });
+    }
+    
+    res.status(200).json(signResumeLink(req.params.id, req.user.id));
+  } catch (error) {
+    logger.error('Error creating resume link', { err: error });
+    res.status(500).json({ message: 'Error creating resume link' });
+  }
+});
+
+// Download the resume of an application. Every download is logged.
+router.get('/:id/resume', verifyResumeAccess, validate(resumeDownloadSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const application = await db.collection('applications').findOne({
+      _id: new ObjectId(req.params.id)
+    });
+    
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    
+    // Checked again for links, access may have ended since the link was made
+    if (!canAccessResume(application, req.user.id)) {
+      logger.warn('Resume download denied', { applicationId: req.params.id, userId: req.user.id });
+      return res.status(403).json({ message: 'Not authorized to download this resume' });
+    }
+    
+    const file = resumeFile(application);
+    if (!file) {
+      return res.status(404).json({ code: 'RESUME_NOT_FOUND', message: 'This application has no resume' });
+    }
+    if (!fs.existsSync(file)) {
+      logger.error('Resume file missing', { applicationId: req.params.id, file });
+      return res.status(404).json({ code: 'RESUME_NOT_FOUND', message: 'The resume file is missing' });
+    }
+    
+    res.attachment(resumeDownloadName(application));
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(file, async (error) => {
+      if (error) {
+        // E.g. the client went away halfway through
+        logger.error('Error sending resume', { err: error, applicationId: req.params.id });
+        if (!res.headersSent) {
+          res.removeHeader('Content-Disposition');
+          res.type('json').status(500).json({ message: 'Error downloading resume' });
+        }
+        return;
+      }
+      
+      const via = req.resumeLink ? 'link' : 'token';
+      logger.info('Resume downloaded', { applicationId: req.params.id, userId: req.user.id, via });
+      try {
+        await recordResumeDownload(db, { application, userId: req.user.id, via, req });
+      } catch (recordError) {
+        logger.error('Error recording resume download', { err: recordError });
+      }
+    });
+  } catch (error) {
+    logger.error('Error downloading resume', { err: error });
+    res.status(500).json({ message: 'Error downloading resume' });
+  }
+});
+
+// Withdraw/delete application (jobseeker)
+router.delete('/:id', verifyToken, validate(applicationIdSchema), async (req, res) => {
+  try {
+    const applicationId = req.params.id;
+    
     const db = await connectDB();
     
     // Find the application
@@ -481,29 +698,15 @@ router.delete('/:id', verifyToken, async (req, res) => {
       res.status(400).json({ message: 'Failed to withdraw application' });
     }
   } catch (error) {
-    console.error('Error withdrawing application:', error);
+    logger.error('Error withdrawing application', { err: error });
     res.status(500).json({ message: 'Error withdrawing application' });
   }
 });
 
-router.put('/:id/status', verifyToken, async (req, res) => {
+router.put('/:id/status', verifyToken, validate(updateStatusSchema), async (req, res) => {
   try {
     const applicationId = req.params.id;
-    const { status } = req.body;
-    
-    if (!ObjectId.isValid(applicationId)) {
-      return res.status(400).json({ message: 'Invalid application ID' });
-    }
-    
-    if (!status) {
-      return res.status(400).json({ message: 'Status is required' });
-    }
-    
-    // Validate status
-    const validStatuses = ['Pending', 'Reviewed', 'Interviewing', 'Hired', 'Rejected'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
-    }
+    const { status, reason, shareReason } = req.body;
     
     const db = await connectDB();
     
@@ -521,55 +724,90 @@ router.put('/:id/status', verifyToken, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this application' });
     }
     
+    if (!canChangeStatus(application.status, status)) {
+      return res.status(409).json({
+        code: 'INVALID_STATUS_TRANSITION',
+        message: `An application can't go from ${application.status} to ${status}`,
+        allowed: APPLICATION_TRANSITIONS[application.status] || []
+      });
+    }
+    
     // Update the application
-    const result = await db.collection('applications').updateOne(
-      { _id: new ObjectId(applicationId) },
-      { 
-        $set: { 
-          status, 
-          lastStatusUpdate: new Date().toISOString() 
-        } 
-      }
-    );
+    const change = await changeApplicationStatus(db, application, {
+      status,
+      reason,
+      shareReason,
+      changedBy: req.user.id
+    });
     
-    if (result.modifiedCount === 1) {
-      // Get the applicant to create a notification
-      let applicant = null;
-      if (ObjectId.isValid(application.applicantId)) {
-        applicant = await db.collection('users').findOne({
-          _id: new ObjectId(application.applicantId)
-        });
-      }
-      
-      // Get the job details
-      const job = await db.collection('jobs').findOne({
-        _id: new ObjectId(application.jobId)
-      });
-      
-      // Create notification for the applicant
-      if (application.applicantId && job) {
-        await createNotification(db, {
-          recipientId: application.applicantId,
-          senderId: req.user.id,
-          type: 'application_status',
-          title: 'Application Status Update',
-          message: `Your application for ${job.title} has been updated to ${status}`,
-          relatedId: applicationId,
-          relatedType: 'application'
-        });
-      }
-      
-      res.status(200).json({ 
-        message: 'Application status updated successfully',
-        status
+    if (!change) {
+      return res.status(409).json({ code: 'CONFLICT', message: 'The application was updated meanwhile, reload it and try again' });
+    }
+    
+    // Get the job details
+    const job = await db.collection('jobs').findOne({
+      _id: new ObjectId(application.jobId)
+    });
+    
+    // Create notification for the applicant, with the reason if the employer shares it
+    if (application.applicantId && job) {
+      await createNotification(db, {
+        recipientId: application.applicantId,
+        senderId: req.user.id,
+        type: 'application_status',
+        title: 'Application Status Update',
+        message: `Your application for ${job.title} has been updated to ${status}` +
+          (change.reasonShared ? `. Message from the employer: ${change.reason}` : ''),
+        relatedId: applicationId,
+        relatedType: 'application'
       });
-    } else {
-      res.status(400).json({ message: 'Failed to update application status' });
     }
+    
+    // Interviews still to come are no longer needed
+    if (status === 'Rejected') {
+      await cancelOpenInterviews(db, { applicationId }, { cancelledBy: req.user.id });
+    }
+    
+    res.status(200).json({ 
+      message: 'Application status updated successfully',
+      status,
+      change
+    });
   } catch (error) {
-    console.error('Error updating application status:', error);
+    logger.error('Error updating application status', { err: error });
     res.status(500).json({ message: 'Error updating application status' });
   }
 });
 
+// Status changes of an application, oldest first. Applicants don't see the reasons
+// the employer kept to themselves.
+router.get('/:id/history', verifyToken, validate(applicationIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const application = await db.collection('applications').findOne({
+      _id: new ObjectId(req.params.id)
+    });
+    
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    
+    const isEmployer = application.employerId === req.user.id;
+    if (!isEmployer && application.applicantId !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view this application' });
+    }
+    
+    const history = statusHistory(application);
+    
+    res.status(200).json({
+      applicationId: req.params.id,
+      status: application.status,
+      history: isEmployer ? history : applicantView({ statusHistory: history }).statusHistory
+    });
+  } catch (error) {
+    logger.error('Error fetching application history', { err: error });
+    res.status(500).json({ message: 'Error fetching application history' });
+  }
+});
+
 export default router;
\ No newline at end of file
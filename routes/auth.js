@@ -1,6 +1,14 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
+import { verifyToken } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import {
+    loginProtection,
+    forgotPasswordProtection,
+    changePasswordProtection,
+    profilePasswordProtection,
+    twoFactorProtection
+} from '../middlewares/bruteForce.js';
 import dotenv from 'dotenv';
 import { userCollection } from '../models/user.js';
 import { connectDB } from '../db.js';
@@ -8,117 +16,456 @@ import { ObjectId } from 'mongodb';
 import path from 'path';
 import fs from 'fs';
 import { uploadMiddleware } from '../middlewares/cloudinaryConfig.js';
+import {
+    ACCESS_TOKEN_TTL,
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} from '../services/sessions.js';
+import { requestPasswordReset, resetPassword } from '../services/passwords.js';
+import { sendVerificationEmail, verifyEmail, isEmailVerified } from '../services/emailVerification.js';
+import { geocode } from '../services/geocoding.js';
+import {
+    isTwoFactorEnabled,
+    startEnrollment,
+    confirmEnrollment,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifySecondFactor,
+    createLoginChallenge,
+    verifyLoginChallenge
+} from '../services/twoFactor.js';
+import {
+    registerSchema,
+    loginSchema,
+    twoFactorLoginSchema,
+    tokenSchema,
+    refreshSchema,
+    sessionIdSchema,
+    totpCodeSchema,
+    disableTwoFactorSchema,
+    updateProfileSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    changePasswordSchema
+} from '../validators/auth.js';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET;
-
-
-
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-    const token = req.headers['authorization']?.split(' ')[1];  // Extract token from 'Authorization' header
-    if (!token) return res.status(401).json({ message: 'No token provided' });
-  
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) return res.status(401).json({ message: 'Invalid token' });
-      req.user = decoded;  // Attach user info to request
-      next();  // Proceed to next middleware/route handler
-    });
-  };
 
 // register
-  router.post('/register', async (req, res) => {
+  router.post('/register', validate(registerSchema), async (req, res) => {
     try {
         const { fullName, email, password, role } = req.body;
 
-        if (!fullName || !email || !password || !role) {
-            return res.status(400).json({ message: 'All fields are required.'});
-        }
-
-        const validRoles = ['jobseeker', 'employer'];
-        if (!validRoles.includes(role)) {
-            return res.status(400).json({ message: 'Invalid role selected.'});
-        }
-
         const db = await connectDB();
         const users = await userCollection(db);
 
         const existingUser = await users.findOne({ email });
         if (existingUser) {
-            return res.status(400).json({ message: 'Email already in use.'});
+            return res.status(409).json({ code: 'EMAIL_IN_USE', message: 'Email already in use.'});
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
-        await users.insertOne({ 
+        const newUser = { 
             fullName, 
             email, 
             password: hashedPassword, 
             role,
+            emailVerified: false,
             createdAt: new Date().toISOString()
-        });
+        };
+        await users.insertOne(newUser);
+
+        // A failed email shouldn't fail the registration, the user can ask for a new one
+        try {
+            await sendVerificationEmail(db, newUser);
+        } catch (mailError) {
+            logger.error('Error sending verification email', { err: mailError });
+        }
 
-        res.status(201).json({ message: 'User registered successfully.'});
+        res.status(201).json({ message: 'User registered successfully. Please check your email to verify your account.'});
     } catch (error) {
-        console.error('Error in registration:', error);
-        res.status(500).json({ message: 'Registration failed', error: error.message });
+        logger.error('Error in registration', { err: error });
+        res.status(500).json({ message: 'Registration failed' });
     }
 });
 
 
 // Login route
-router.post('/login', async (req, res) => {
-    const { email, password, role } = req.body;
+router.post('/login', validate(loginSchema), loginProtection, async (req, res) => {
+    try {
+        const { email, password, role } = req.body;
 
-    if (!email || !password || !role) {
-        return res.status(400).json({ message: 'All fields are required.' });
+        const db = await connectDB();
+        const users = await userCollection(db);
+
+        const user = await users.findOne({ email, role });
+        if (!user) {
+            await req.bruteForce.fail();
+            return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Invalid email, password or role.'});
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            await req.bruteForce.fail(user);
+            return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Invalid email or password.'})
+        }
+
+        await req.bruteForce.succeed();
+
+        if (user.suspended) {
+            return res.status(403).json({ code: 'ACCOUNT_SUSPENDED', message: 'Your account has been suspended.'});
+        }
+
+        // With 2FA the password alone isn't enough: finish at /login/2fa
+        if (isTwoFactorEnabled(user)) {
+            return res.status(200).json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: createLoginChallenge(user)
+            });
+        }
+
+        const { token, refreshToken } = await createSession(db, user, req);
+
+        res.status(200).json({
+            message: 'Login successful',
+            token,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            // The user must choose a new password (e.g. after an admin reset)
+            passwordTemporary: !!user.passwordTemporary
+        });
+    } catch (error) {
+        logger.error('Error logging in', { err: error });
+        res.status(500).json({ message: 'Error logging in' });
     }
+});
+
+// Second login step: exchange the challenge token and a TOTP or recovery code for a session
+router.post('/login/2fa', validate(twoFactorLoginSchema), twoFactorProtection, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = verifyLoginChallenge(challengeToken);
+        if (!userId) {
+            return res.status(401).json({ code: 'INVALID_LOGIN_CHALLENGE', message: 'Login challenge is invalid or has expired. Please log in again.' });
+        }
+
+        const db = await connectDB();
+        const users = await userCollection(db);
+
+        const user = await users.findOne({ _id: new ObjectId(userId) });
+        if (!user || user.suspended) {
+            return res.status(401).json({ code: 'INVALID_LOGIN_CHALLENGE', message: 'Login challenge is invalid or has expired. Please log in again.' });
+        }
+
+        const verified = await verifySecondFactor(db, user, { code, recoveryCode });
+        if (!verified) {
+            await req.bruteForce.fail(user);
+            return res.status(400).json({ code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid authentication code.' });
+        }
+
+        await req.bruteForce.succeed();
 
-    const validRoles = ['jobseeker', 'employer'];
-    if (!validRoles.includes(role)) {
-        return res.status(400).json({ message: 'Invalid role selected.'});
+        const { token, refreshToken } = await createSession(db, user, req);
+
+        res.status(200).json({
+            message: 'Login successful',
+            token,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            passwordTemporary: !!user.passwordTemporary
+        });
+    } catch (error) {
+        logger.error('Error completing two-factor login', { err: error });
+        res.status(500).json({ message: 'Error logging in' });
     }
+});
 
-    const db = await connectDB();
-    const users = await userCollection(db);
+// Start 2FA enrollment - returns the secret and an otpauth:// URI for the QR code
+router.post('/2fa/setup', verifyToken, validate(), async (req, res) => {
+    try {
+        const db = await connectDB();
+        const users = await userCollection(db);
 
-    const user = await users.findOne({ email, role });
-    if (!user) {
-        return res.status(400).json({ message: 'Invalid email, password or role.'});
+        const user = await users.findOne({ _id: new ObjectId(req.user.id) });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (isTwoFactorEnabled(user)) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const { secret, otpauthUrl } = await startEnrollment(db, user);
+
+        res.status(200).json({ secret, otpauthUrl });
+    } catch (error) {
+        logger.error('Error starting two-factor setup', { err: error });
+        res.status(500).json({ message: 'Error setting up two-factor authentication' });
+    }
+});
+
+// Confirm enrollment with a code from the authenticator app; returns the recovery codes once
+router.post('/2fa/confirm', verifyToken, validate(totpCodeSchema), twoFactorProtection, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const db = await connectDB();
+        const users = await userCollection(db);
+
+        const user = await users.findOne({ _id: new ObjectId(req.user.id) });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (isTwoFactorEnabled(user)) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        if (!user.twoFactor?.pendingSecret) {
+            return res.status(400).json({ message: 'Start two-factor setup first.' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(db, user, code);
+        if (!recoveryCodes) {
+            await req.bruteForce.fail(user);
+            return res.status(400).json({ code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid authentication code.' });
+        }
+
+        await req.bruteForce.succeed();
+
+        res.status(200).json({
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            recoveryCodes
+        });
+    } catch (error) {
+        logger.error('Error confirming two-factor setup', { err: error });
+        res.status(500).json({ message: 'Error enabling two-factor authentication' });
+    }
+});
+
+// Generate new recovery codes (the old ones stop working)
+router.post('/2fa/recovery-codes', verifyToken, validate(totpCodeSchema), twoFactorProtection, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const db = await connectDB();
+        const users = await userCollection(db);
+
+        const user = await users.findOne({ _id: new ObjectId(req.user.id) });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+
+        if (!(await verifySecondFactor(db, user, { code }))) {
+            await req.bruteForce.fail(user);
+            return res.status(400).json({ code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid authentication code.' });
+        }
+
+        await req.bruteForce.succeed();
+
+        const recoveryCodes = await regenerateRecoveryCodes(db, user);
+
+        res.status(200).json({ message: 'New recovery codes generated.', recoveryCodes });
+    } catch (error) {
+        logger.error('Error regenerating recovery codes', { err: error });
+        res.status(500).json({ message: 'Error generating recovery codes' });
+    }
+});
+
+// Turn 2FA off - needs the password and a TOTP or recovery code
+router.post('/2fa/disable', verifyToken, validate(disableTwoFactorSchema), twoFactorProtection, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const db = await connectDB();
+        const users = await userCollection(db);
+
+        const user = await users.findOne({ _id: new ObjectId(req.user.id) });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid || !(await verifySecondFactor(db, user, { code, recoveryCode }))) {
+            await req.bruteForce.fail(user);
+            return res.status(400).json({ message: 'Invalid password or authentication code.' });
+        }
+
+        await req.bruteForce.succeed();
+        await disableTwoFactor(db, user);
+
+        res.status(200).json({ message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+        logger.error('Error disabling two-factor authentication', { err: error });
+        res.status(500).json({ message: 'Error disabling two-factor authentication' });
+    }
+});
+
+// Verify email address using the token from the verification email
+router.post('/verify-email', validate(tokenSchema), async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const db = await connectDB();
+        const verified = await verifyEmail(db, token);
+
+        if (!verified) {
+            return res.status(400).json({ message: 'Verification link is invalid or has expired.' });
+        }
+
+        res.status(200).json({ message: 'Email verified successfully.' });
+    } catch (error) {
+        logger.error('Error verifying email', { err: error });
+        res.status(500).json({ message: 'Error verifying email' });
     }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', verifyToken, validate(), async (req, res) => {
+    try {
+        const db = await connectDB();
+        const users = await userCollection(db);
+
+        const user = await users.findOne({ _id: new ObjectId(req.user.id) });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (isEmailVerified(user)) {
+            return res.status(400).json({ message: 'Email is already verified.' });
+        }
+
+        await sendVerificationEmail(db, user);
+
+        res.status(200).json({ message: 'Verification email sent.' });
+    } catch (error) {
+        logger.error('Error resending verification email', { err: error });
+        res.status(500).json({ message: 'Error sending verification email' });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate(refreshSchema), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const db = await connectDB();
+        const session = await rotateSession(db, refreshToken, req);
+
+        if (!session) {
+            return res.status(401).json({ code: 'INVALID_REFRESH_TOKEN', message: 'Invalid or expired refresh token.' });
+        }
+
+        res.status(200).json({
+            message: 'Token refreshed',
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL
+        });
+    } catch (error) {
+        logger.error('Error refreshing token', { err: error });
+        res.status(500).json({ message: 'Error refreshing token' });
+    }
+});
+
+// Logout - revoke the session behind the current access token
+router.post('/logout', verifyToken, validate(), async (req, res) => {
+    try {
+        const db = await connectDB();
+        await revokeSession(db, req.user.id, req.user.sid, 'logout');
+
+        res.status(200).json({ message: 'Logged out successfully' });
+    } catch (error) {
+        logger.error('Error logging out', { err: error });
+        res.status(500).json({ message: 'Error logging out' });
+    }
+});
+
+// List the current user's active sessions (devices)
+router.get('/sessions', verifyToken, validate(), async (req, res) => {
+    try {
+        const db = await connectDB();
+        const sessions = await listSessions(db, req.user.id, req.user.sid);
+
+        res.status(200).json(sessions);
+    } catch (error) {
+        logger.error('Error fetching sessions', { err: error });
+        res.status(500).json({ message: 'Error fetching sessions' });
+    }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', verifyToken, validate(), async (req, res) => {
+    try {
+        const db = await connectDB();
+        const count = await revokeAllSessions(db, req.user.id, 'revoked_by_user', req.user.sid);
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-        return res.status(400).json({ message: 'Invalid email or password.'})
+        res.status(200).json({ message: 'Other sessions revoked', count });
+    } catch (error) {
+        logger.error('Error revoking sessions', { err: error });
+        res.status(500).json({ message: 'Error revoking sessions' });
     }
+});
+
+// Revoke a single session, e.g. a lost device
+router.delete('/sessions/:id', verifyToken, validate(sessionIdSchema), async (req, res) => {
+    try {
+        const sessionId = req.params.id;
+
+        const db = await connectDB();
+        const revoked = await revokeSession(db, req.user.id, sessionId, 'revoked_by_user');
 
-    const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, JWT_SECRET);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
 
-    res.status(200).json({ message: 'Login successful', token});
-})
+        res.status(200).json({ message: 'Session revoked' });
+    } catch (error) {
+        logger.error('Error revoking session', { err: error });
+        res.status(500).json({ message: 'Error revoking session' });
+    }
+});
 
-router.get('/profile', verifyToken, async (req, res) => {
+router.get('/profile', verifyToken, validate(), async (req, res) => {
     try {
       const userId = req.user.id;  
       const db = await connectDB();
       const users = await userCollection(db);
 
-      const user = await users.findOne({ _id: new ObjectId(userId) });
+      const user = await users.findOne(
+        { _id: new ObjectId(userId) },
+        { projection: { password: 0 } }
+      );
       if (user) {
-        res.status(200).json(user);  
+        const { twoFactor, ...profile } = user;
+        res.status(200).json({ ...profile, twoFactorEnabled: isTwoFactorEnabled(user) });  
       } else {
         res.status(404).json({ message: 'User not found' });
       }
     } catch (err) {
-      console.error('Error in /profile route:', err);
+      logger.error('Error in /profile route', { err });
       res.status(500).json({ message: 'Error fetching user profile' });
     }
   });
 
 // Route to upload profile picture
-router.post('/upload-profile-picture', verifyToken, uploadMiddleware.single('profilePicture'), async (req, res) => {
+router.post('/upload-profile-picture', verifyToken, uploadMiddleware.single('profilePicture'), validate(), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ message: 'No file uploaded' });
   }
@@ -143,13 +490,13 @@ router.post('/upload-profile-picture', verifyToken, uploadMiddleware.single('pro
       profilePicture: profilePictureUrl
     });
   } catch (err) {
-    console.error('Error uploading profile picture:', err);
+    logger.error('Error uploading profile picture', { err });
     res.status(500).json({ message: 'Error uploading profile picture' });
   }
 });
 
 // Route to update profile
-router.put('/update-profile', verifyToken, async (req, res) => {
+router.put('/update-profile', verifyToken, validate(updateProfileSchema), profilePasswordProtection, async (req, res) => {
   const userId = req.user.id;
   const { 
     email, 
@@ -176,21 +523,31 @@ router.put('/update-profile', verifyToken, async (req, res) => {
     }
 
     // Update email if provided
+    let emailChanged = false;
     if (email) {
       const existingUser = await users.findOne({ email });
       if (existingUser && existingUser._id.toString() !== userId) {
-        return res.status(400).json({ message: 'Email is already in use.' });
+        return res.status(409).json({ code: 'EMAIL_IN_USE', message: 'Email is already in use.' });
+      }
+      // A new address has to be verified again
+      if (email !== user.email) {
+        user.emailVerified = false;
+        emailChanged = true;
       }
       user.email = email;
     }
 
     // Update password if provided
+    let passwordChanged = false;
     if (currentPassword && newPassword) {
       const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
       if (!isPasswordValid) {
+        await req.bruteForce.fail(user);
         return res.status(400).json({ message: 'Current password is incorrect.' });
       }
+      await req.bruteForce.succeed();
       user.password = await bcrypt.hash(newPassword, 10);
+      passwordChanged = true;
     }
 
     // Initialize profileData if it doesn't exist
@@ -244,36 +601,47 @@ router.put('/update-profile', verifyToken, async (req, res) => {
                             
     user.profileCompleted = profileComplete;
 
-    // Log the data being saved to debug
-    console.log('Updating user profile with data:', {
-      email: user.email,
-      profileData: user.profileData,
-      profileCompleted: user.profileCompleted
-    });
+    logger.debug('Updating user profile', { profileCompleted: user.profileCompleted });
 
     await users.updateOne(
       { _id: new ObjectId(userId) },
       {
         $set: {
           email: user.email,
+          emailVerified: isEmailVerified(user),
           password: user.password,
           profileData: user.profileData,
+          geoLocation: geocode(user.profileData.location),
           profileCompleted: user.profileCompleted
         },
       }
     );
 
-    // Return updated profile data to frontend
-    res.status(200).json({ message: 'Profile updated successfully', user: user });
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(db, user);
+      } catch (mailError) {
+        logger.error('Error sending verification email', { err: mailError });
+      }
+    }
+
+    // Sign out other devices after a password change
+    if (passwordChanged) {
+      await revokeAllSessions(db, userId, 'password_changed', req.user.sid);
+    }
+
+    // Return updated profile data to frontend, without the password and 2FA secrets
+    const { password, twoFactor, ...profile } = user;
+    res.status(200).json({ message: 'Profile updated successfully', user: profile });
 
   } catch (err) {
-    console.error('Error updating profile:', err);
+    logger.error('Error updating profile', { err });
     res.status(500).json({ message: 'Error updating profile' });
   }
 });
 
 // Route to get all carers/job seekers
-router.get('/carers', verifyToken, async (req, res) => {
+router.get('/carers', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     const users = await userCollection(db);
@@ -283,85 +651,63 @@ router.get('/carers', verifyToken, async (req, res) => {
       role: 'jobseeker'
     }).toArray();
 
-    console.log(`Found ${carers.length} job seekers`);
+    logger.debug('Found job seekers', { count: carers.length });
 
     // Remove sensitive information before sending to client
     const safeCarers = carers.map(carer => {
-      const { password, ...safeData } = carer;
+      const { password, twoFactor, ...safeData } = carer;
       return safeData;
     });
 
     res.status(200).json(safeCarers);
   } catch (err) {
-    console.error('Error fetching carers:', err);
+    logger.error('Error fetching carers', { err });
     res.status(500).json({ message: 'Error fetching carers' });
   }
 });
 
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPasswordProtection, async (req, res) => {
   try {
     const { email } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
-    }
-    
     const db = await connectDB();
     
-    // Find user by email
-    const user = await db.collection('users').findOne({ email });
+    // Email a single-use reset link; the response is the same whether or not the account exists
+    await requestPasswordReset(db, email);
     
-    if (!user) {
-      return res.status(200).json({ 
-        message: 'If an account with that email exists, a temporary password has been generated.' 
-      });
-    }
-    
-    // Generate simple temporary password
-    const tempPassword = Math.random().toString(36).slice(-8); // 8-character random string
-    
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(tempPassword, salt);
-    
-    // Update user's password
-    await db.collection('users').updateOne(
-      { _id: user._id },
-      { 
-        $set: { 
-          password: hashedPassword,
-          passwordTemporary: true,
-          updatedAt: new Date().toISOString()
-        } 
-      }
-    );
-    
-    console.log(`Temporary password for ${email}: ${tempPassword}`);
-    
-    // Return the temporary password directly 
     res.status(200).json({ 
-      message: 'Temporary password generated successfully',
-      tempPassword: tempPassword  
+      message: 'If an account with that email exists, a password reset link has been sent.' 
     });
   } catch (error) {
-    console.error('Error in forgot password:', error);
+    logger.error('Error in forgot password', { err: error });
     res.status(500).json({ message: 'An error occurred' });
   }
 });
 
-// Change password
-router.post('/change-password', verifyToken, async (req, res) => {
+// Reset password using the token from the reset email
+router.post('/reset-password', validate(resetPasswordSchema), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { token, newPassword } = req.body;
     
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ message: 'Current password and new password are required' });
-    }
+    const db = await connectDB();
+    const reset = await resetPassword(db, token, newPassword);
     
-    if (newPassword.length < 8) {
-      return res.status(400).json({ message: 'New password must be at least 8 characters long' });
+    if (!reset) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
     }
     
+    res.status(200).json({ message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    logger.error('Error resetting password', { err: error });
+    res.status(500).json({ message: 'An error occurred' });
+  }
+});
+
+// Change password
+router.post('/change-password', verifyToken, validate(changePasswordSchema), changePasswordProtection, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
     const db = await connectDB();
     
     // Find user by ID
@@ -375,9 +721,12 @@ router.post('/change-password', verifyToken, async (req, res) => {
     const isMatch = await bcrypt.compare(currentPassword, user.password);
     
     if (!isMatch) {
+      await req.bruteForce.fail(user);
       return res.status(401).json({ message: 'Current password is incorrect' });
     }
     
+    await req.bruteForce.succeed();
+    
     // Hash new password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
@@ -396,9 +745,18 @@ router.post('/change-password', verifyToken, async (req, res) => {
       }
     );
     
-    res.status(200).json({ message: 'Password changed successfully' });
+    // Revoke every existing session and start a fresh one for this device
+    await revokeAllSessions(db, user._id.toString(), 'password_changed');
+    const { token, refreshToken } = await createSession(db, user, req);
+    
+    res.status(200).json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
   } catch (error) {
-    console.error('Error changing password:', error);
+    logger.error('Error changing password', { err: error });
     res.status(500).json({ message: 'An error occurred' });
   }
 });
@@ -0,0 +1,25 @@
+import authRoutes from './auth.js';
+import jobsRoutes from './jobs.js';
+import jobTemplatesRoutes from './jobTemplates.js';
+import applicationsRoutes from './applications.js';
+import usersRoutes from './users.js';
+import notificationRoutes from './notifications.js';
+import reviewsRoutes from './reviews.js';
+import savedSearchesRoutes from './savedSearches.js';
+import interviewsRoutes from './interviews.js';
+import adminRoutes from './admin.js';
+
+// Every API router and the path it is mounted at. scripts/checkOpenApi.js
+// uses this list to find routes missing from the OpenAPI document.
+export const apiRoutes = [
+  ['/api/auth', authRoutes],
+  ['/api/jobs', jobsRoutes],
+  ['/api/saved-searches', savedSearchesRoutes],
+  ['/api/job-templates', jobTemplatesRoutes],
+  ['/api/applications', applicationsRoutes],
+  ['/api/interviews', interviewsRoutes],
+  ['/api/users', usersRoutes],
+  ['/api/notifications', notificationRoutes],
+  ['/api/reviews', reviewsRoutes],
+  ['/api/admin', adminRoutes]
+];
@@ -0,0 +1,441 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { connectDB } from '../db.js';
+import { interviewCollection } from '../models/interviews.js';
+import { verifyToken } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  proposeInterviewSchema,
+  listInterviewsSchema,
+  interviewIdSchema,
+  acceptInterviewSchema,
+  requestAlternativesSchema,
+  rescheduleInterviewSchema,
+  cancelInterviewSchema,
+  OPEN_INTERVIEW_STATUSES
+} from '../validators/interviews.js';
+import { canChangeStatus, changeApplicationStatus } from '../services/applicationStatus.js';
+import {
+  newSlots,
+  interviewDetails,
+  isInterviewParty,
+  hasStarted,
+  updateInterview,
+  interviewCalendar,
+  notifyInterview,
+  sendInterviewEmails,
+  cancelOpenInterviews,
+  formatInterviewTime
+} from '../services/interviews.js';
+import { getPagination } from '../utils/query.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const router = express.Router();
+
+// Middleware to check if user is an employer
+const isEmployer = (req, res, next) => {
+  if (req.user.role !== 'employer') {
+    return res.status(403).json({ code: 'EMPLOYERS_ONLY', message: 'Access denied. Employers only.' });
+  }
+  next();
+};
+
+const notFound = (res) => res.status(404).json({ message: 'Interview not found' });
+
+const conflict = (res) => res.status(409).json({ code: 'CONFLICT', message: 'The interview was updated meanwhile, reload it and try again' });
+
+const invalidStatus = (res, interview, action) => res.status(409).json({
+  code: 'INVALID_INTERVIEW_STATUS',
+  message: `Can't ${action} an interview that is ${interview.status.replace('_', ' ')}`
+});
+
+const interviewPassed = (res) => res.status(409).json({ code: 'INTERVIEW_PASSED', message: 'The interview has already started' });
+
+const findInterview = async (db, id) => {
+  const interviews = await interviewCollection(db);
+  return interviews.findOne({ _id: new ObjectId(id) });
+};
+
+// Fields that give up an agreed time
+const withoutTime = { startsAt: null, endsAt: null, acceptedSlotId: null };
+
+// An updated interview with the time it had, to take that time out of calendars
+const withTimeOf = (updated, interview) => ({ ...updated, startsAt: interview.startsAt, endsAt: interview.endsAt });
+
+const slotCount = (slots) => (slots.length === 1 ? 'a time' : `${slots.length} possible times`);
+
+// Propose interview times for an application. An application that isn't in the
+// Interviewing status yet is moved there.
+router.post('/', verifyToken, isEmployer, validate(proposeInterviewSchema), async (req, res) => {
+  try {
+    const { applicationId, slots, durationMinutes, notes } = req.body;
+
+    const db = await connectDB();
+    const application = await db.collection('applications').findOne({ _id: new ObjectId(applicationId) });
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    if (application.employerId !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to interview for this application' });
+    }
+    if (!application.applicantId) {
+      return res.status(409).json({ code: 'APPLICANT_DELETED', message: 'The applicant deleted their account' });
+    }
+    if (application.status !== 'Interviewing' && !canChangeStatus(application.status, 'Interviewing')) {
+      return res.status(409).json({
+        code: 'INVALID_STATUS_TRANSITION',
+        message: `An application that is ${application.status} can't be interviewed`
+      });
+    }
+
+    const interviews = await interviewCollection(db);
+    const open = await interviews.findOne({ applicationId, status: { $in: OPEN_INTERVIEW_STATUSES } });
+    if (open) {
+      return res.status(409).json({
+        code: 'INTERVIEW_EXISTS',
+        message: 'The application already has an interview, reschedule or cancel it',
+        interviewId: open._id
+      });
+    }
+
+    if (application.status !== 'Interviewing') {
+      const change = await changeApplicationStatus(db, application, {
+        status: 'Interviewing',
+        reason: 'Interview proposed',
+        shareReason: true,
+        changedBy: req.user.id
+      });
+      if (!change) {
+        return res.status(409).json({ code: 'CONFLICT', message: 'The application was updated meanwhile, reload it and try again' });
+      }
+    }
+
+    const [job, employer, applicant] = await Promise.all([
+      ObjectId.isValid(application.jobId) ? db.collection('jobs').findOne({ _id: new ObjectId(application.jobId) }) : null,
+      db.collection('users').findOne({ _id: new ObjectId(req.user.id) }),
+      ObjectId.isValid(application.applicantId) ? db.collection('users').findOne({ _id: new ObjectId(application.applicantId) }) : null
+    ]);
+
+    const now = new Date().toISOString();
+    const interview = {
+      applicationId,
+      jobId: application.jobId,
+      jobTitle: job?.title || 'Deleted job',
+      employerId: req.user.id,
+      employerName: employer?.profileData?.companyName || employer?.fullName || 'Employer',
+      applicantId: application.applicantId,
+      applicantName: applicant?.fullName || application.applicantName,
+      ...interviewDetails(req.body),
+      durationMinutes,
+      notes: notes || '',
+      slots: newSlots(slots),
+      status: 'proposed',
+      ...withoutTime,
+      alternativesRequest: null,
+      remindersSent: [],
+      sequence: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await interviews.insertOne(interview);
+    interview._id = result.insertedId;
+
+    await notifyInterview(db, interview, {
+      recipientId: interview.applicantId,
+      senderId: req.user.id,
+      title: 'Interview Invitation',
+      message: `${interview.employerName} invites you to interview for ${interview.jobTitle} and offers ${slotCount(interview.slots)}. ` +
+        'Accept one or ask for others.'
+    });
+
+    res.status(201).json({ message: 'Interview proposed successfully', interview });
+  } catch (error) {
+    logger.error('Error proposing interview', { err: error });
+    res.status(500).json({ message: 'Error proposing interview' });
+  }
+});
+
+// List the interviews of the current user, as employer or applicant
+router.get('/', verifyToken, validate(listInterviewsSchema), async (req, res) => {
+  try {
+    const { status, applicationId, upcoming } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const db = await connectDB();
+    const interviews = await interviewCollection(db);
+
+    const conditions = [{ $or: [{ employerId: req.user.id }, { applicantId: req.user.id }] }];
+    if (status) conditions.push({ status });
+    if (applicationId) conditions.push({ applicationId });
+    if (upcoming) {
+      conditions.push(
+        { status: { $in: OPEN_INTERVIEW_STATUSES } },
+        { $or: [{ startsAt: null }, { startsAt: { $gt: new Date().toISOString() } }] }
+      );
+    }
+    const filter = { $and: conditions };
+
+    // Upcoming interviews soonest first, the ones still being arranged before them
+    const sort = upcoming ? { startsAt: 1, createdAt: 1 } : { createdAt: -1, _id: -1 };
+
+    const [items, total] = await Promise.all([
+      interviews.find(filter).sort(sort).skip(skip).limit(limit).toArray(),
+      interviews.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ interviews: items, total, page, limit });
+  } catch (error) {
+    logger.error('Error fetching interviews', { err: error });
+    res.status(500).json({ message: 'Error fetching interviews' });
+  }
+});
+
+// Get an interview
+router.get('/:id', verifyToken, validate(interviewIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const interview = await findInterview(db, req.params.id);
+
+    if (!interview) {
+      return notFound(res);
+    }
+    if (!isInterviewParty(interview, req.user.id)) {
+      return res.status(403).json({ message: 'Not authorized to view this interview' });
+    }
+
+    res.status(200).json(interview);
+  } catch (error) {
+    logger.error('Error fetching interview', { err: error });
+    res.status(500).json({ message: 'Error fetching interview' });
+  }
+});
+
+// Download a scheduled interview as an iCalendar file
+router.get('/:id/calendar', verifyToken, validate(interviewIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const interview = await findInterview(db, req.params.id);
+
+    if (!interview) {
+      return notFound(res);
+    }
+    if (!isInterviewParty(interview, req.user.id)) {
+      return res.status(403).json({ message: 'Not authorized to view this interview' });
+    }
+    // Cancelled interviews that had a time still download, as cancelled events
+    if (!interview.startsAt) {
+      return res.status(409).json({ code: 'INTERVIEW_NOT_SCHEDULED', message: 'No time has been agreed for this interview yet' });
+    }
+
+    res.attachment(`carematch-interview-${interview.startsAt.slice(0, 10)}.ics`);
+    res.type('text/calendar; charset=utf-8');
+    res.status(200).send(interviewCalendar(interview));
+  } catch (error) {
+    logger.error('Error creating interview calendar file', { err: error });
+    res.status(500).json({ message: 'Error creating interview calendar file' });
+  }
+});
+
+// Accept one of the offered times. Both sides get a calendar invitation by email.
+router.post('/:id/accept', verifyToken, validate(acceptInterviewSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const interview = await findInterview(db, req.params.id);
+
+    if (!interview) {
+      return notFound(res);
+    }
+    if (interview.applicantId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the applicant can accept an interview' });
+    }
+    // Times offered before asking for others can still be accepted
+    if (!['proposed', 'alternatives_requested'].includes(interview.status)) {
+      return invalidStatus(res, interview, 'accept');
+    }
+
+    const slot = interview.slots.find(offered => offered.id === req.body.slotId);
+    if (!slot) {
+      return res.status(400).json({ code: 'SLOT_NOT_FOUND', message: 'This time was not offered for the interview' });
+    }
+    if (slot.startsAt <= new Date().toISOString()) {
+      return res.status(409).json({ code: 'SLOT_PASSED', message: 'This time has already passed, ask for others' });
+    }
+
+    const updated = await updateInterview(db, interview, {
+      status: 'scheduled',
+      startsAt: slot.startsAt,
+      endsAt: new Date(new Date(slot.startsAt).getTime() + interview.durationMinutes * 60 * 1000).toISOString(),
+      acceptedSlotId: slot.id,
+      alternativesRequest: null,
+      remindersSent: []
+    });
+    if (!updated) {
+      return conflict(res);
+    }
+
+    const time = formatInterviewTime(updated.startsAt);
+    await notifyInterview(db, updated, {
+      recipientId: updated.employerId,
+      senderId: req.user.id,
+      title: 'Interview Accepted',
+      message: `${updated.applicantName} accepted the interview for ${updated.jobTitle} on ${time}`
+    });
+    await sendInterviewEmails(db, updated, {
+      subject: `Interview scheduled: ${updated.jobTitle}`,
+      text: `The interview for ${updated.jobTitle} is scheduled for ${time}. The calendar invitation is attached.`
+    });
+
+    res.status(200).json({ message: 'Interview accepted successfully', interview: updated });
+  } catch (error) {
+    logger.error('Error accepting interview', { err: error });
+    res.status(500).json({ message: 'Error accepting interview' });
+  }
+});
+
+// Ask the employer for other times, instead of the offered ones or the accepted one
+router.post('/:id/request-alternatives', verifyToken, validate(requestAlternativesSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const interview = await findInterview(db, req.params.id);
+
+    if (!interview) {
+      return notFound(res);
+    }
+    if (interview.applicantId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the applicant can ask for other times' });
+    }
+    if (!['proposed', 'scheduled'].includes(interview.status)) {
+      return invalidStatus(res, interview, 'ask for other times for');
+    }
+    if (hasStarted(interview)) {
+      return interviewPassed(res);
+    }
+
+    const updated = await updateInterview(db, interview, {
+      ...withoutTime,
+      status: 'alternatives_requested',
+      alternativesRequest: { message: req.body.message, requestedAt: new Date().toISOString() }
+    });
+    if (!updated) {
+      return conflict(res);
+    }
+
+    await notifyInterview(db, updated, {
+      recipientId: updated.employerId,
+      senderId: req.user.id,
+      title: 'Other Interview Times Requested',
+      message: `${updated.applicantName} asks for other times for the interview for ${updated.jobTitle}: ${req.body.message}`
+    });
+    // The accepted time is given up, calendars drop it
+    if (interview.status === 'scheduled') {
+      await sendInterviewEmails(db, withTimeOf(updated, interview), {
+        subject: `Interview time withdrawn: ${updated.jobTitle}`,
+        text: `The interview for ${updated.jobTitle} on ${formatInterviewTime(interview.startsAt)} will be moved to another time.`
+      });
+    }
+
+    res.status(200).json({ message: 'Other times requested successfully', interview: updated });
+  } catch (error) {
+    logger.error('Error requesting other interview times', { err: error });
+    res.status(500).json({ message: 'Error requesting other interview times' });
+  }
+});
+
+// Offer new times, e.g. after the applicant asked for others. An agreed time is given up
+// and the applicant picks again.
+router.post('/:id/reschedule', verifyToken, validate(rescheduleInterviewSchema), async (req, res) => {
+  try {
+    const { slots, durationMinutes, notes, message } = req.body;
+
+    const db = await connectDB();
+    const interview = await findInterview(db, req.params.id);
+
+    if (!interview) {
+      return notFound(res);
+    }
+    if (interview.employerId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the employer can reschedule an interview' });
+    }
+    if (!OPEN_INTERVIEW_STATUSES.includes(interview.status)) {
+      return invalidStatus(res, interview, 'reschedule');
+    }
+    if (hasStarted(interview)) {
+      return interviewPassed(res);
+    }
+
+    const updated = await updateInterview(db, interview, {
+      ...(req.body.format ? interviewDetails(req.body) : {}),
+      ...(durationMinutes ? { durationMinutes } : {}),
+      ...(notes !== undefined ? { notes } : {}),
+      ...withoutTime,
+      slots: newSlots(slots),
+      status: 'proposed',
+      alternativesRequest: null,
+      remindersSent: []
+    });
+    if (!updated) {
+      return conflict(res);
+    }
+
+    await notifyInterview(db, updated, {
+      recipientId: updated.applicantId,
+      senderId: req.user.id,
+      title: 'Interview Rescheduled',
+      message: `${updated.employerName} offers ${slotCount(updated.slots)} for the interview for ${updated.jobTitle}` +
+        (message ? `: ${message}` : '')
+    });
+    // Calendars drop the old time until a new one is accepted
+    if (interview.status === 'scheduled') {
+      await sendInterviewEmails(db, withTimeOf(updated, interview), {
+        subject: `Interview rescheduled: ${updated.jobTitle}`,
+        text: `The interview for ${updated.jobTitle} on ${formatInterviewTime(interview.startsAt)} is being moved to another time.`
+      });
+    }
+
+    res.status(200).json({ message: 'Interview rescheduled successfully', interview: updated });
+  } catch (error) {
+    logger.error('Error rescheduling interview', { err: error });
+    res.status(500).json({ message: 'Error rescheduling interview' });
+  }
+});
+
+// Call off an interview, by either side. The application keeps its status.
+router.post('/:id/cancel', verifyToken, validate(cancelInterviewSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const interview = await findInterview(db, req.params.id);
+
+    if (!interview) {
+      return notFound(res);
+    }
+    if (!isInterviewParty(interview, req.user.id)) {
+      return res.status(403).json({ message: 'Not authorized to cancel this interview' });
+    }
+    if (!OPEN_INTERVIEW_STATUSES.includes(interview.status)) {
+      return invalidStatus(res, interview, 'cancel');
+    }
+    if (hasStarted(interview)) {
+      return interviewPassed(res);
+    }
+
+    const cancelled = await cancelOpenInterviews(db, { _id: interview._id, sequence: interview.sequence }, {
+      cancelledBy: req.user.id,
+      reason: req.body.reason || null
+    });
+    if (cancelled === 0) {
+      return conflict(res);
+    }
+
+    res.status(200).json({ message: 'Interview cancelled successfully', interview: await findInterview(db, req.params.id) });
+  } catch (error) {
+    logger.error('Error cancelling interview', { err: error });
+    res.status(500).json({ message: 'Error cancelling interview' });
+  }
+});
+
+export default router;
@@ -0,0 +1,217 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { connectDB } from '../db.js';
+import { jobCollection } from '../models/jobs.js';
+import { jobTemplateCollection } from '../models/jobTemplates.js';
+import { verifyToken, requireVerifiedEmail } from '../middlewares/auth.js';
+import { validate, validateValue } from '../middlewares/validate.js';
+import {
+  createTemplateSchema,
+  updateTemplateSchema,
+  listTemplatesSchema,
+  templateIdSchema,
+  useTemplateSchema
+} from '../validators/jobTemplates.js';
+import { createJobSchema } from '../validators/jobs.js';
+import { newJobPosting, jobContent } from '../services/jobPostings.js';
+import { notifyMatchingSearches } from '../services/savedSearches.js';
+import { getPagination } from '../utils/query.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const router = express.Router();
+
+// Middleware to check if user is an employer
+const isEmployer = (req, res, next) => {
+  if (req.user.role !== 'employer') {
+    return res.status(403).json({ code: 'EMPLOYERS_ONLY', message: 'Access denied. Employers only.' });
+  }
+  next();
+};
+
+// Duplicate key error from the unique (employerId, name) index
+const isDuplicateName = (error) => error.code === 11000;
+
+const nameTaken = (res, name) => res.status(409).json({
+  code: 'TEMPLATE_NAME_TAKEN',
+  message: `You already have a template named "${name}"`
+});
+
+// Save a job template, optionally based on one of the employer's jobs
+router.post('/', verifyToken, isEmployer, validate(createTemplateSchema), async (req, res) => {
+  try {
+    const { name, jobId, ...fields } = req.body;
+
+    const db = await connectDB();
+    const templates = await jobTemplateCollection(db);
+
+    let content = {};
+    if (jobId) {
+      const jobs = await jobCollection(db);
+      const job = await jobs.findOne({ _id: new ObjectId(jobId), employerId: req.user.id });
+
+      if (!job) {
+        return res.status(404).json({ message: 'Job not found or not yours' });
+      }
+      content = jobContent(job);
+    }
+
+    const now = new Date().toISOString();
+    const template = {
+      employerId: req.user.id,
+      name,
+      ...content,
+      ...fields,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await templates.insertOne(template);
+
+    res.status(201).json({
+      message: 'Template saved successfully',
+      template: { ...template, _id: result.insertedId }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return nameTaken(res, req.body.name);
+    }
+    logger.error('Error saving job template', { err: error });
+    res.status(500).json({ message: 'Error saving job template' });
+  }
+});
+
+// List the employer's templates by name
+router.get('/', verifyToken, isEmployer, validate(listTemplatesSchema), async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+
+    const db = await connectDB();
+    const templates = await jobTemplateCollection(db);
+
+    const filter = { employerId: req.user.id };
+    const [items, total] = await Promise.all([
+      templates.find(filter).sort({ name: 1 }).skip(skip).limit(limit).toArray(),
+      templates.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ templates: items, total, page, limit });
+  } catch (error) {
+    logger.error('Error fetching job templates', { err: error });
+    res.status(500).json({ message: 'Error fetching job templates' });
+  }
+});
+
+// Get one of the employer's templates
+router.get('/:id', verifyToken, isEmployer, validate(templateIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const templates = await jobTemplateCollection(db);
+
+    const template = await templates.findOne({ _id: new ObjectId(req.params.id), employerId: req.user.id });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.status(200).json(template);
+  } catch (error) {
+    logger.error('Error fetching job template', { err: error });
+    res.status(500).json({ message: 'Error fetching job template' });
+  }
+});
+
+// Change a template's name or job fields
+router.put('/:id', verifyToken, isEmployer, validate(updateTemplateSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const templates = await jobTemplateCollection(db);
+
+    const template = await templates.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), employerId: req.user.id },
+      { $set: { ...req.body, updatedAt: new Date().toISOString() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.status(200).json({ message: 'Template updated successfully', template });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return nameTaken(res, req.body.name);
+    }
+    logger.error('Error updating job template', { err: error });
+    res.status(500).json({ message: 'Error updating job template' });
+  }
+});
+
+// Delete a template. Jobs created from it are kept.
+router.delete('/:id', verifyToken, isEmployer, validate(templateIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const templates = await jobTemplateCollection(db);
+
+    const result = await templates.deleteOne({ _id: new ObjectId(req.params.id), employerId: req.user.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.status(200).json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting job template', { err: error });
+    res.status(500).json({ message: 'Error deleting job template' });
+  }
+});
+
+// Create a job from a template. Fields in the body override the template's.
+router.post('/:id/jobs', verifyToken, isEmployer, requireVerifiedEmail, validate(useTemplateSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const templates = await jobTemplateCollection(db);
+
+    const template = await templates.findOne({ _id: new ObjectId(req.params.id), employerId: req.user.id });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    // The template and the overrides together must make a complete job
+    const fields = { ...jobContent(template), ...req.body };
+    const { value, errors } = validateValue(createJobSchema.body, fields, 'body');
+    if (errors) {
+      return res.status(422).json({
+        code: 'VALIDATION_FAILED',
+        message: 'The template and the given fields do not make a complete job',
+        errors
+      });
+    }
+
+    const jobs = await jobCollection(db);
+    const jobPosting = {
+      ...newJobPosting(req.user.id, value),
+      templateId: req.params.id
+    };
+
+    const result = await jobs.insertOne(jobPosting);
+
+    if (jobPosting.status === 'published') {
+      await notifyMatchingSearches(db, { ...jobPosting, _id: result.insertedId });
+    }
+
+    res.status(201).json({
+      message: 'Job posted successfully',
+      jobId: result.insertedId,
+      status: jobPosting.status
+    });
+  } catch (error) {
+    logger.error('Error creating job from template', { err: error });
+    res.status(500).json({ message: 'Error creating job from template' });
+  }
+});
+
+export default router;
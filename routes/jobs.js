@@ -2,151 +2,344 @@ import express from 'express';
 import { connectDB } from '../db.js';
 import { jobCollection } from '../models/jobs.js';
 import { ObjectId } from 'mongodb';
-import jwt from 'jsonwebtoken';
+import multer from 'multer';
+import { verifyToken, optionalToken, requireVerifiedEmail } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  createJobSchema,
+  updateJobSchema,
+  listJobsSchema,
+  jobIdSchema,
+  savedJobIdSchema,
+  myJobsSchema,
+  savedJobsSchema,
+  jobStatusSchema,
+  jobAnalyticsSchema,
+  employerAnalyticsSchema,
+  recommendedJobsSchema,
+  jobCandidatesSchema,
+  importJobsSchema,
+  exportJobsSchema,
+  JOB_TRANSITIONS,
+  MAX_ANALYTICS_DAYS
+} from '../validators/jobs.js';
+import { listJobs, searchJobs, savedDateStages } from '../services/jobListings.js';
+import { geocode, resolveNear, withinRadius } from '../services/geocoding.js';
+import { buildSalary } from '../services/salaries.js';
+import { newJobPosting, jobContent } from '../services/jobPostings.js';
+import { jobStatus, canViewJob, canTransition, transitionJob } from '../services/jobLifecycle.js';
+import {
+  recordJobEvent,
+  jobAnalytics,
+  jobTotals,
+  analyticsPeriod,
+  periodDays
+} from '../services/jobAnalytics.js';
+import { notifyMatchingSearches } from '../services/savedSearches.js';
+import { scoreMatch, rankByMatch, MATCH_POOL_SIZE } from '../services/matching.js';
+import { importFormat, readImportFile, exportJobs, exportCsv } from '../services/jobImport.js';
+import { jobStatsCollection } from '../models/jobStats.js';
+import { getPagination } from '../utils/query.js';
+import { AppError } from '../utils/errors.js';
 import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ message: 'Invalid token' });
-    req.user = decoded;
-    next();
-  });
-};
 
 // Middleware to check if user is an employer
 const isEmployer = (req, res, next) => {
   if (req.user.role !== 'employer') {
-    return res.status(403).json({ message: 'Access denied. Employers only.' });
+    return res.status(403).json({ code: 'EMPLOYERS_ONLY', message: 'Access denied. Employers only.' });
   }
   next();
 };
 
-// Create a new job posting
-router.post('/create', verifyToken, isEmployer, async (req, res) => {
-  try {
-    const {
-      title,
-      salary,
-      salaryPeriod,
-      employmentType,
-      location,
-      description,
-      requirements,
-      postedDate,
-      active
-    } = req.body;
+// Middleware to check if user is a jobseeker
+const isJobseeker = (req, res, next) => {
+  if (req.user.role !== 'jobseeker') {
+    return res.status(403).json({ code: 'JOBSEEKERS_ONLY', message: 'Access denied. Jobseekers only.' });
+  }
+  next();
+};
 
-    // Validate required fields
-    if (!title || !salary || !employmentType || !location || !description) {
-      return res.status(400).json({ message: 'Missing required fields' });
+// Import files are read from memory, they are never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
+  fileFilter: function (req, file, cb) {
+    if (importFormat(file)) {
+      cb(null, true);
+    } else {
+      cb(new AppError(415, 'UNSUPPORTED_FILE_TYPE', 'Invalid file type. Only CSV and JSON files can be imported.'));
     }
+  }
+});
 
+// Period of an analytics request, or a 400 response when it is too long
+const requestedPeriod = (req, res) => {
+  const period = analyticsPeriod(req.query);
+  if (periodDays(period) > MAX_ANALYTICS_DAYS) {
+    res.status(400).json({
+      code: 'PERIOD_TOO_LONG',
+      message: `Analytics cover at most ${MAX_ANALYTICS_DAYS} days at a time`
+    });
+    return null;
+  }
+  return period;
+};
+
+// Create a new job posting
+router.post('/create', verifyToken, isEmployer, requireVerifiedEmail, validate(createJobSchema), async (req, res) => {
+  try {
     const db = await connectDB();
     const jobs = await jobCollection(db);
 
     // Create job posting
-    const jobPosting = {
-      employerId: req.user.id,
-      title,
-      salary,
-      salaryPeriod,
-      employmentType,
-      location,
-      description,
-      requirements: requirements || [],
-      postedDate: postedDate || new Date().toISOString(),
-      active: active !== undefined ? active : true,
-      applications: []
-    };
+    const jobPosting = newJobPosting(req.user.id, req.body);
 
     const result = await jobs.insertOne(jobPosting);
     
     if (result.acknowledged) {
+      if (jobPosting.status === 'published') {
+        await notifyMatchingSearches(db, { ...jobPosting, _id: result.insertedId });
+      }
+      
       res.status(201).json({ 
         message: 'Job posted successfully',
-        jobId: result.insertedId 
+        jobId: result.insertedId,
+        status: jobPosting.status
       });
     } else {
       res.status(500).json({ message: 'Failed to create job posting' });
     }
   } catch (error) {
-    console.error('Error creating job posting:', error);
+    logger.error('Error creating job posting', { err: error });
     res.status(500).json({ message: 'Error creating job posting' });
   }
 });
 
-router.get('/', async (req, res) => {
+router.get('/', validate(listJobsSchema), async (req, res) => {
   try {
-    const { location, employmentType, keyword } = req.query;
+    const origin = req.query.near ? resolveNear(req.query.near) : null;
+    if (req.query.near && !origin) {
+      return res.status(400).json({ code: 'UNKNOWN_LOCATION', message: `Unknown location: ${req.query.near}` });
+    }
+    
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const jobListings = await searchJobs(jobs, {
+      ...req.query,
+      origin,
+      ...getPagination(req.query)
+    });
+    
+    res.status(200).json(jobListings);
+  } catch (error) {
+    logger.error('Error getting job listings', { err: error });
+    res.status(500).json({ message: 'Error fetching job listings' });
+  }
+});
+
+// Get jobs posted by the current employer
+router.get('/my-jobs', verifyToken, isEmployer, validate(myJobsSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const filter = { employerId: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+    
+    const employerJobs = await listJobs(jobs, filter, {
+      sort: req.query.sort,
+      ...getPagination(req.query)
+    });
+    
+    res.status(200).json(employerJobs);
+  } catch (error) {
+    logger.error('Error getting employer jobs', { err: error });
+    res.status(500).json({ message: 'Error fetching your job listings' });
+  }
+});
+
+// Create jobs from a CSV or JSON file. Rows that fail validation are reported and
+// skipped, the others are imported. With dryRun nothing is imported.
+router.post('/import', verifyToken, isEmployer, requireVerifiedEmail, importUpload.single('file'), validate(importJobsSchema), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ code: 'FILE_REQUIRED', message: 'Upload a CSV or JSON file as "file"' });
+    }
+    
+    const result = readImportFile(req.file);
+    if (result.error) {
+      return res.status(400).json(result.error);
+    }
+    
+    const { dryRun } = req.query;
+    const { total, valid, invalid, ignoredColumns } = result;
+    const report = { dryRun, total, failed: invalid.length, errors: invalid, ignoredColumns };
     
-    // Build filter criteria
-    let filter = { active: true };
+    const postings = valid.map(({ row, value }) => ({ row, jobPosting: newJobPosting(req.user.id, value) }));
     
-    if (location) {
-      filter.location = { $regex: location, $options: 'i' };
+    if (dryRun) {
+      return res.status(200).json({
+        message: `${valid.length} of ${total} jobs can be imported`,
+        ...report,
+        imported: 0,
+        jobs: postings.map(({ row, jobPosting }) => ({ row, title: jobPosting.title, status: jobPosting.status }))
+      });
     }
     
-    if (employmentType) {
-      filter.employmentType = employmentType;
+    if (postings.length === 0) {
+      return res.status(422).json({ code: 'IMPORT_FAILED', message: 'None of the jobs can be imported', ...report, imported: 0, jobs: [] });
     }
     
-    if (keyword) {
-      filter.$or = [
-        { title: { $regex: keyword, $options: 'i' } },
-        { description: { $regex: keyword, $options: 'i' } }
-      ];
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const importedAt = new Date().toISOString();
+    const documents = postings.map(({ jobPosting }) => ({ ...jobPosting, importedAt }));
+    const { insertedIds } = await jobs.insertMany(documents);
+    
+    for (const [index, jobPosting] of documents.entries()) {
+      if (jobPosting.status === 'published') {
+        await notifyMatchingSearches(db, { ...jobPosting, _id: insertedIds[index] });
+      }
     }
     
+    res.status(201).json({
+      message: `${documents.length} of ${total} jobs imported`,
+      ...report,
+      imported: documents.length,
+      jobs: postings.map(({ row, jobPosting }, index) => ({
+        row,
+        jobId: insertedIds[index],
+        title: jobPosting.title,
+        status: jobPosting.status
+      }))
+    });
+  } catch (error) {
+    logger.error('Error importing jobs', { err: error });
+    res.status(500).json({ message: 'Error importing jobs' });
+  }
+});
+
+// Download the current employer's jobs with their application counts
+router.get('/my-jobs/export', verifyToken, isEmployer, validate(exportJobsSchema), async (req, res) => {
+  try {
+    const { format, status } = req.query;
+    
     const db = await connectDB();
     const jobs = await jobCollection(db);
     
-    // Get jobs with filter and sort by posted date (newest first)
-    const jobListings = await jobs.find(filter)
-      .sort({ postedDate: -1 })
-      .toArray();
+    const filter = { employerId: req.user.id };
+    if (status) filter.status = status;
     
-    res.status(200).json(jobListings);
+    const [employerJobs, counts] = await Promise.all([
+      jobs.find(filter).sort({ postedDate: -1, _id: -1 }).toArray(),
+      db.collection('applications').aggregate([
+        { $match: { employerId: req.user.id } },
+        { $group: { _id: { jobId: '$jobId', status: '$status' }, count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+    
+    const applicationCounts = new Map();
+    for (const { _id, count } of counts) {
+      applicationCounts.set(_id.jobId, { ...applicationCounts.get(_id.jobId), [_id.status]: count });
+    }
+    
+    const exported = exportJobs(employerJobs.map(job => ({ ...job, status: jobStatus(job) })), applicationCounts);
+    const date = new Date().toISOString().slice(0, 10);
+    
+    res.attachment(`carematch-jobs-${date}.${format}`);
+    if (format === 'json') {
+      return res.status(200).json({ exportedAt: new Date().toISOString(), jobs: exported });
+    }
+    
+    // The byte order mark makes spreadsheet programs read the file as UTF-8
+    res.type('text/csv; charset=utf-8');
+    res.status(200).send(`\uFEFF${exportCsv(exported)}`);
   } catch (error) {
-    console.error('Error getting job listings:', error);
-    res.status(500).json({ message: 'Error fetching job listings' });
+    logger.error('Error exporting jobs', { err: error });
+    res.status(500).json({ message: 'Error exporting jobs' });
   }
 });
 
-// Get jobs posted by the current employer
-router.get('/my-jobs', verifyToken, isEmployer, async (req, res) => {
+// Open jobs ranked by how well they match the current jobseeker's profile
+router.get('/recommended', verifyToken, isJobseeker, validate(recommendedJobsSchema), async (req, res) => {
   try {
+    const { minScore, radiusKm } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
     const db = await connectDB();
+    const carer = await db.collection('users').findOne(
+      { _id: new ObjectId(req.user.id) },
+      { projection: { profileData: 1, geoLocation: 1 } }
+    );
+    
+    if (!carer) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (radiusKm && !carer.geoLocation) {
+      return res.status(400).json({
+        code: 'PROFILE_LOCATION_UNKNOWN',
+        message: 'Add a known location to your profile to search within a radius'
+      });
+    }
+    
+    // Jobs already applied for aren't recommended again
+    const appliedJobIds = await db.collection('applications').distinct('jobId', { applicantId: req.user.id });
+    
     const jobs = await jobCollection(db);
+    const pool = await jobs.find({
+      active: true,
+      _id: { $nin: appliedJobIds.filter(ObjectId.isValid).map(id => new ObjectId(id)) },
+      ...(radiusKm && withinRadius('geoLocation', carer.geoLocation, radiusKm))
+    }).sort({ postedDate: -1, _id: -1 }).limit(MATCH_POOL_SIZE).toArray();
     
-    const employerJobs = await jobs.find({ 
-      employerId: req.user.id 
-    }).sort({ postedDate: -1 }).toArray();
+    const ranked = rankByMatch(pool, job => scoreMatch(job, carer)).filter(job => job.match.score >= minScore);
     
-    res.status(200).json(employerJobs);
+    res.status(200).json({ jobs: ranked.slice(skip, skip + limit), total: ranked.length, page, limit });
   } catch (error) {
-    console.error('Error getting employer jobs:', error);
-    res.status(500).json({ message: 'Error fetching your job listings' });
+    logger.error('Error getting recommended jobs', { err: error });
+    res.status(500).json({ message: 'Error fetching recommended jobs' });
+  }
+});
+
+// Views, saves, applications and the application funnel across all of the employer's jobs
+router.get('/analytics', verifyToken, isEmployer, validate(employerAnalyticsSchema), async (req, res) => {
+  try {
+    const period = requestedPeriod(req, res);
+    if (!period) return;
+    
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const employerJobs = await jobs.find(
+      { employerId: req.user.id },
+      { projection: { title: 1, status: 1, active: 1, closedAt: 1 } }
+    ).toArray();
+    
+    const jobIds = employerJobs.map(job => job._id.toString());
+    const [analytics, perJob] = await Promise.all([
+      jobAnalytics(db, jobIds, period),
+      jobTotals(db, employerJobs, period)
+    ]);
+    
+    res.status(200).json({ ...analytics, jobs: perJob });
+  } catch (error) {
+    logger.error('Error getting employer job analytics', { err: error });
+    res.status(500).json({ message: 'Error fetching job analytics' });
   }
 });
 
 // Update a job posting
-router.put('/:id', verifyToken, isEmployer, async (req, res) => {
+router.put('/:id', verifyToken, isEmployer, validate(updateJobSchema), async (req, res) => {
   try {
     const jobId = req.params.id;
     
-    if (!ObjectId.isValid(jobId)) {
-      return res.status(400).json({ message: 'Invalid job ID' });
-    }
-    
     const db = await connectDB();
     const jobs = await jobCollection(db);
     
@@ -160,17 +353,28 @@ router.put('/:id', verifyToken, isEmployer, async (req, res) => {
       return res.status(404).json({ message: 'Job not found or not authorized to update' });
     }
     
+    if (jobStatus(existingJob) === 'archived') {
+      return res.status(409).json({ code: 'JOB_ARCHIVED', message: 'Archived jobs cannot be changed' });
+    }
+    
     // Update job fields
     const updateData = {};
     
     if (req.body.title) updateData.title = req.body.title;
-    if (req.body.salary) updateData.salary = req.body.salary;
-    if (req.body.salaryPeriod) updateData.salaryPeriod = req.body.salaryPeriod;
+    if (req.body.salary) updateData.salary = buildSalary(req.body.salary);
     if (req.body.employmentType) updateData.employmentType = req.body.employmentType;
-    if (req.body.location) updateData.location = req.body.location;
+    if (req.body.location) {
+      updateData.location = req.body.location;
+      updateData.geoLocation = geocode(req.body.location);
+    }
     if (req.body.description) updateData.description = req.body.description;
     if (req.body.requirements) updateData.requirements = req.body.requirements;
-    if (req.body.active !== undefined) updateData.active = req.body.active;
+    if (req.body.closingDate && existingJob.status === 'scheduled' && req.body.closingDate.toISOString() <= existingJob.publishAt) {
+      return res.status(400).json({ code: 'CLOSING_DATE_BEFORE_PUBLISH', message: 'The closing date must be after publishAt' });
+    }
+    if (req.body.closingDate !== undefined) {
+      updateData.closingDate = req.body.closingDate ? req.body.closingDate.toISOString() : null;
+    }
     
     const result = await jobs.updateOne(
       { _id: new ObjectId(jobId) },
@@ -183,20 +387,187 @@ router.put('/:id', verifyToken, isEmployer, async (req, res) => {
       res.status(400).json({ message: 'No changes made to job' });
     }
   } catch (error) {
-    console.error('Error updating job:', error);
+    logger.error('Error updating job', { err: error });
     res.status(500).json({ message: 'Error updating job posting' });
   }
 });
 
-// Delete a job posting
-router.delete('/:id', verifyToken, isEmployer, async (req, res) => {
+// Change the status of a job posting (publish, schedule, pause, close, archive)
+router.put('/:id/status', verifyToken, isEmployer, validate(jobStatusSchema), async (req, res) => {
   try {
-    const jobId = req.params.id;
+    const { status, publishAt } = req.body;
+    
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const job = await jobs.findOne({
+      _id: new ObjectId(req.params.id),
+      employerId: req.user.id
+    });
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found or not authorized to update' });
+    }
+    
+    const currentStatus = jobStatus(job);
+    if (!canTransition(currentStatus, status)) {
+      return res.status(409).json({
+        code: 'INVALID_STATUS_TRANSITION',
+        message: `A ${currentStatus} job cannot be changed to ${status}`,
+        allowed: JOB_TRANSITIONS[currentStatus]
+      });
+    }
+    
+    // Jobs taken down by a moderator stay down until an admin republishes them
+    if (job.unpublishedByAdmin && ['published', 'scheduled'].includes(status)) {
+      return res.status(403).json({
+        code: 'JOB_UNPUBLISHED_BY_ADMIN',
+        message: 'This job was unpublished by a moderator and cannot be reactivated'
+      });
+    }
+    
+    // A job can't go live after its closing date
+    const goesLiveAt = publishAt ? publishAt.toISOString() : new Date().toISOString();
+    if (['published', 'scheduled'].includes(status) && job.closingDate && job.closingDate <= goesLiveAt) {
+      return res.status(400).json({
+        code: 'CLOSING_DATE_PASSED',
+        message: 'The closing date has passed. Set a new closing date first.'
+      });
+    }
+    
+    const extraFields = {};
+    if (status === 'scheduled') extraFields.publishAt = publishAt.toISOString();
+    if (status === 'closed') extraFields.closedReason = 'employer';
+    
+    const changed = await transitionJob(db, job, status, extraFields);
+    if (!changed) {
+      return res.status(409).json({ code: 'CONFLICT', message: 'The job was changed meanwhile, please try again' });
+    }
+    
+    res.status(200).json({ message: `Job ${status}`, status });
+  } catch (error) {
+    logger.error('Error changing job status', { err: error });
+    res.status(500).json({ message: 'Error changing job status' });
+  }
+});
+
+// Copy a job posting as a new draft
+router.post('/:id/duplicate', verifyToken, isEmployer, validate(jobIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const job = await jobs.findOne({
+      _id: new ObjectId(req.params.id),
+      employerId: req.user.id
+    });
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found or not authorized to duplicate' });
+    }
+    
+    const duplicate = {
+      ...newJobPosting(req.user.id, { ...jobContent(job), status: 'draft' }),
+      duplicatedFrom: req.params.id
+    };
+    
+    const result = await jobs.insertOne(duplicate);
+    
+    res.status(201).json({
+      message: 'Job duplicated as a draft',
+      jobId: result.insertedId,
+      status: duplicate.status
+    });
+  } catch (error) {
+    logger.error('Error duplicating job', { err: error });
+    res.status(500).json({ message: 'Error duplicating job posting' });
+  }
+});
+
+// Views, saves, applications and the application funnel of one of the employer's jobs
+router.get('/:id/analytics', verifyToken, isEmployer, validate(jobAnalyticsSchema), async (req, res) => {
+  try {
+    const period = requestedPeriod(req, res);
+    if (!period) return;
+    
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const job = await jobs.findOne(
+      { _id: new ObjectId(req.params.id), employerId: req.user.id },
+      { projection: { title: 1 } }
+    );
     
-    if (!ObjectId.isValid(jobId)) {
-      return res.status(400).json({ message: 'Invalid job ID' });
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found or not yours' });
     }
     
+    const analytics = await jobAnalytics(db, [req.params.id], period);
+    
+    res.status(200).json({ jobId: req.params.id, title: job.title, ...analytics });
+  } catch (error) {
+    logger.error('Error getting job analytics', { err: error });
+    res.status(500).json({ message: 'Error fetching job analytics' });
+  }
+});
+
+// Carers ranked by how well they match one of the employer's jobs
+router.get('/:id/candidates', verifyToken, isEmployer, validate(jobCandidatesSchema), async (req, res) => {
+  try {
+    const { minScore, radiusKm } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
+    const db = await connectDB();
+    const jobs = await jobCollection(db);
+    
+    const job = await jobs.findOne({ _id: new ObjectId(req.params.id), employerId: req.user.id });
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found or not yours' });
+    }
+    if (radiusKm && !job.geoLocation) {
+      return res.status(400).json({
+        code: 'JOB_LOCATION_UNKNOWN',
+        message: "The job's location can't be found on the map, search without a radius"
+      });
+    }
+    
+    const [pool, applicantIds] = await Promise.all([
+      db.collection('users').find(
+        {
+          role: 'jobseeker',
+          profileCompleted: true,
+          ...(radiusKm && withinRadius('geoLocation', job.geoLocation, radiusKm))
+        },
+        { projection: { password: 0, twoFactor: 0 } }
+      ).sort({ _id: -1 }).limit(MATCH_POOL_SIZE).toArray(),
+      db.collection('applications').distinct('applicantId', { jobId: req.params.id })
+    ]);
+    
+    const applied = new Set(applicantIds);
+    const ranked = rankByMatch(pool, carer => scoreMatch(job, carer)).filter(carer => carer.match.score >= minScore);
+    
+    res.status(200).json({
+      candidates: ranked.slice(skip, skip + limit).map(carer => ({
+        ...carer,
+        id: carer._id.toString(),
+        hasApplied: applied.has(carer._id.toString())
+      })),
+      total: ranked.length,
+      page,
+      limit
+    });
+  } catch (error) {
+    logger.error('Error getting job candidates', { err: error });
+    res.status(500).json({ message: 'Error fetching candidates' });
+  }
+});
+
+// Delete a job posting
+router.delete('/:id', verifyToken, isEmployer, validate(jobIdSchema), async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    
     const db = await connectDB();
     const jobs = await jobCollection(db);
     
@@ -214,27 +585,25 @@ router.delete('/:id', verifyToken, isEmployer, async (req, res) => {
     const result = await jobs.deleteOne({ _id: new ObjectId(jobId) });
     
     if (result.deletedCount === 1) {
+      const jobStats = await jobStatsCollection(db);
+      await jobStats.deleteMany({ jobId });
+      
       res.status(200).json({ message: 'Job deleted successfully' });
     } else {
       res.status(400).json({ message: 'Failed to delete job' });
     }
   } catch (error) {
-    console.error('Error deleting job:', error);
+    logger.error('Error deleting job', { err: error });
     res.status(500).json({ message: 'Error deleting job posting' });
   }
 });
 
 // Check if a job is saved by the current user
-router.get('/saved/check/:jobId', verifyToken, async (req, res) => {
+router.get('/saved/check/:jobId', verifyToken, validate(savedJobIdSchema), async (req, res) => {
   try {
     const db = await connectDB();
     const jobId = req.params.jobId;
     
-    // Validate job ID
-    if (!ObjectId.isValid(jobId)) {
-      return res.status(400).json({ message: 'Invalid job ID' });
-    }
-    
     // Check if job exists first
     const job = await db.collection('jobs').findOne({ 
       _id: new ObjectId(jobId)
@@ -254,64 +623,54 @@ router.get('/saved/check/:jobId', verifyToken, async (req, res) => {
       isSaved: !!savedJob
     });
   } catch (error) {
-    console.error('Error checking saved job status:', error);
+    logger.error('Error checking saved job status', { err: error });
     res.status(500).json({ message: 'Error checking saved job status' });
   }
 });
 
 // Get saved jobs for current user
-router.get('/saved-jobs', verifyToken, async (req, res) => {
+router.get('/saved-jobs', verifyToken, validate(savedJobsSchema), async (req, res) => {
   try {
     const db = await connectDB();
     
-    console.log('Fetching saved jobs for user:', req.user.id);
+    logger.debug('Fetching saved jobs');
     
     const savedJobs = await db.collection('savedJobs').find({ 
       userId: req.user.id
     }).toArray();
     
-    // Get the full job details for each saved job
     const jobIds = savedJobs.map(saved => new ObjectId(saved.jobId));
     
-    if (jobIds.length === 0) {
-      return res.status(200).json([]);
-    }
-    
-    const jobs = await db.collection('jobs').find({ 
-      _id: { $in: jobIds } 
-    }).toArray();
-    
-    // Combine saved date with job details
-    const result = jobs.map(job => {
-      const savedJob = savedJobs.find(s => s.jobId.toString() === job._id.toString());
-      return {
-        ...job,
-        savedDate: savedJob.savedDate
-      };
+    // Get the full job details for each saved job, with the date it was saved
+    const result = await listJobs(db.collection('jobs'), { _id: { $in: jobIds } }, {
+      sort: req.query.sort,
+      ...getPagination(req.query),
+      stages: savedDateStages(req.user.id)
     });
     
+    // Jobs that are no longer listed only show what became of them
+    result.jobs = result.jobs.map(job => (canViewJob(job, req.user)
+      ? job
+      : { _id: job._id, title: job.title, status: jobStatus(job), savedDate: job.savedDate }));
+    
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error fetching saved jobs:', error);
+    logger.error('Error fetching saved jobs', { err: error });
     res.status(500).json({ message: 'Error fetching saved jobs' });
   }
 });
 
 // include employer email
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalToken, validate(jobIdSchema), async (req, res) => {
   try {
     const jobId = req.params.id;
     
-    if (!ObjectId.isValid(jobId)) {
-      return res.status(400).json({ message: 'Invalid job ID' });
-    }
-    
     const db = await connectDB();
     const jobs = await jobCollection(db);
     
     const job = await jobs.findOne({ _id: new ObjectId(jobId) });
     
-    if (!job) {
+    if (!job || !canViewJob(job, req.user)) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
@@ -329,19 +688,24 @@ router.get('/:id', async (req, res) => {
           job.employerEmail = employer.email;
         }
       } catch (err) {
-        console.error('Error fetching employer details:', err);
+        logger.error('Error fetching employer details', { err });
       }
     }
     
+    // Only views of listed jobs by others count, not employers looking at their own
+    if (job.active !== false && req.user?.id !== job.employerId) {
+      await recordJobEvent(db, job, 'views');
+    }
+    
     res.status(200).json(job);
   } catch (error) {
-    console.error('Error getting job details:', error);
+    logger.error('Error getting job details', { err: error });
     res.status(500).json({ message: 'Error fetching job details' });
   }
 });
 
 // Save a job
-router.post('/saved/:jobId', verifyToken, async (req, res) => {
+router.post('/saved/:jobId', verifyToken, validate(savedJobIdSchema), async (req, res) => {
   try {
     const db = await connectDB();
     
@@ -350,7 +714,7 @@ router.post('/saved/:jobId', verifyToken, async (req, res) => {
     
     // Check if job exists
     const job = await db.collection('jobs').findOne({ _id: new ObjectId(jobId) });
-    if (!job) {
+    if (!job || !canViewJob(job, req.user)) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
@@ -371,15 +735,17 @@ router.post('/saved/:jobId', verifyToken, async (req, res) => {
       savedDate: new Date().toISOString()
     });
     
+    await recordJobEvent(db, job, 'saves');
+    
     res.status(201).json({ message: 'Job saved successfully' });
   } catch (error) {
-    console.error('Error saving job:', error);
+    logger.error('Error saving job', { err: error });
     res.status(500).json({ message: 'Error saving job' });
   }
 });
 
 // Remove saved job
-router.delete('/saved/:jobId', verifyToken, async (req, res) => {
+router.delete('/saved/:jobId', verifyToken, validate(savedJobIdSchema), async (req, res) => {
   try {
     const db = await connectDB();
     
@@ -397,7 +763,7 @@ router.delete('/saved/:jobId', verifyToken, async (req, res) => {
     
     res.status(200).json({ message: 'Job removed from saved jobs' });
   } catch (error) {
-    console.error('Error removing saved job:', error);
+    logger.error('Error removing saved job', { err: error });
     res.status(500).json({ message: 'Error removing saved job' });
   }
 });
@@ -2,28 +2,18 @@ import express from 'express';
 import { connectDB } from '../db.js';
 import { notificationCollection } from '../models/notifications.js';
 import { ObjectId } from 'mongodb';
-import jwt from 'jsonwebtoken';
+import { verifyToken } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { notificationIdSchema } from '../validators/notifications.js';
 import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ message: 'Invalid token' });
-    req.user = decoded;
-    next();
-  });
-};
 
 // Get all notifications for the current user
-router.get('/my-notifications', verifyToken, async (req, res) => {
+router.get('/my-notifications', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     const notifications = await notificationCollection(db);
@@ -34,13 +24,13 @@ router.get('/my-notifications', verifyToken, async (req, res) => {
     
     res.status(200).json(userNotifications);
   } catch (error) {
-    console.error('Error fetching notifications:', error);
+    logger.error('Error fetching notifications', { err: error });
     res.status(500).json({ message: 'Error fetching notifications' });
   }
 });
 
 // Get unread notification count
-router.get('/unread-count', verifyToken, async (req, res) => {
+router.get('/unread-count', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     const notifications = await notificationCollection(db);
@@ -52,20 +42,16 @@ router.get('/unread-count', verifyToken, async (req, res) => {
     
     res.status(200).json({ count });
   } catch (error) {
-    console.error('Error fetching unread notification count:', error);
+    logger.error('Error fetching unread notification count', { err: error });
     res.status(500).json({ message: 'Error fetching unread notification count' });
   }
 });
 
 // Mark notification as read
-router.put('/:id/mark-read', verifyToken, async (req, res) => {
+router.put('/:id/mark-read', verifyToken, validate(notificationIdSchema), async (req, res) => {
   try {
     const notificationId = req.params.id;
     
-    if (!ObjectId.isValid(notificationId)) {
-      return res.status(400).json({ message: 'Invalid notification ID' });
-    }
-    
     const db = await connectDB();
     const notifications = await notificationCollection(db);
     
@@ -95,13 +81,13 @@ router.put('/:id/mark-read', verifyToken, async (req, res) => {
       res.status(400).json({ message: 'Failed to update notification' });
     }
   } catch (error) {
-    console.error('Error marking notification as read:', error);
+    logger.error('Error marking notification as read', { err: error });
     res.status(500).json({ message: 'Error marking notification as read' });
   }
 });
 
 // Mark all notifications as read
-router.put('/mark-all-read', verifyToken, async (req, res) => {
+router.put('/mark-all-read', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     const notifications = await notificationCollection(db);
@@ -117,20 +103,16 @@ router.put('/mark-all-read', verifyToken, async (req, res) => {
       count: result.modifiedCount
     });
   } catch (error) {
-    console.error('Error marking all notifications as read:', error);
+    logger.error('Error marking all notifications as read', { err: error });
     res.status(500).json({ message: 'Error marking all notifications as read' });
   }
 });
 
 // Delete a notification
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, validate(notificationIdSchema), async (req, res) => {
   try {
     const notificationId = req.params.id;
     
-    if (!ObjectId.isValid(notificationId)) {
-      return res.status(400).json({ message: 'Invalid notification ID' });
-    }
-    
     const db = await connectDB();
     const notifications = await notificationCollection(db);
     
@@ -159,7 +141,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
       res.status(400).json({ message: 'Failed to delete notification' });
     }
   } catch (error) {
-    console.error('Error deleting notification:', error);
+    logger.error('Error deleting notification', { err: error });
     res.status(500).json({ message: 'Error deleting notification' });
   }
 });
@@ -186,7 +168,7 @@ export async function createNotification(db, data) {
           }
         }
       } catch (userError) {
-        console.error('Error fetching user for notification:', userError);
+        logger.error('Error fetching user for notification', { err: userError });
       }
     }
     
@@ -205,7 +187,7 @@ export async function createNotification(db, data) {
     const result = await notifications.insertOne(notification);
     return result;
   } catch (error) {
-    console.error('Error creating notification:', error);
+    logger.error('Error creating notification', { err: error });
     throw error;
   }
 }
@@ -1,45 +1,30 @@
 // routes/reviews.js
 import express from 'express';
-import { ObjectId } from 'mongodb';
-import jwt from 'jsonwebtoken';
+import { verifyToken } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { createReviewSchema, jobseekerIdSchema, checkReviewSchema } from '../validators/reviews.js';
 import dotenv from 'dotenv';
 import * as reviewModel from '../models/reviews.js';
 import { connectDB } from '../db.js';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ message: 'Invalid token' });
-    req.user = decoded;
-    next();
-  });
-};
 
 // Middleware to check if user is an employer
 const isEmployer = (req, res, next) => {
   if (req.user.role !== 'employer') {
-    return res.status(403).json({ message: 'Access denied. Employers only.' });
+    return res.status(403).json({ code: 'EMPLOYERS_ONLY', message: 'Access denied. Employers only.' });
   }
   next();
 };
 
 // Create a new review (employers only)
-router.post('/', verifyToken, isEmployer, async (req, res) => {
+router.post('/', verifyToken, isEmployer, validate(createReviewSchema), async (req, res) => {
   try {
     const { jobseekerId, rating, comment, jobId } = req.body;
     
-    if (!jobseekerId || !rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ message: 'Jobseeker ID and valid rating (1-5) are required' });
-    }
-    
     // Check if the employer has already reviewed this jobseeker
     const hasReviewed = await reviewModel.hasEmployerReviewedJobseeker(req.user.id, jobseekerId);
     if (hasReviewed) {
@@ -62,20 +47,16 @@ router.post('/', verifyToken, isEmployer, async (req, res) => {
       review
     });
   } catch (error) {
-    console.error('Error creating review:', error);
+    logger.error('Error creating review', { err: error });
     res.status(500).json({ message: 'Error submitting review' });
   }
 });
 
 // Get reviews for a specific jobseeker
-router.get('/jobseeker/:id', async (req, res) => {
+router.get('/jobseeker/:id', validate(jobseekerIdSchema), async (req, res) => {
   try {
     const jobseekerId = req.params.id;
     
-    if (!ObjectId.isValid(jobseekerId)) {
-      return res.status(400).json({ message: 'Invalid jobseeker ID' });
-    }
-    
     const reviews = await reviewModel.getJobseekerReviews(jobseekerId);
     
     // Get employer details for each review
@@ -83,7 +64,7 @@ router.get('/jobseeker/:id', async (req, res) => {
     const reviewsWithEmployerDetails = await Promise.all(reviews.map(async (review) => {
       const employer = await db.collection('users').findOne(
         { _id: review.employerId },
-        { projection: { password: 0 } }
+        { projection: { password: 0, twoFactor: 0 } }
       );
       
       return {
@@ -105,13 +86,13 @@ router.get('/jobseeker/:id', async (req, res) => {
       reviewCount: averageRating.reviewCount
     });
   } catch (error) {
-    console.error('Error fetching jobseeker reviews:', error);
+    logger.error('Error fetching jobseeker reviews', { err: error });
     res.status(500).json({ message: 'Error fetching reviews' });
   }
 });
 
 // Get reviews created by a specific employer
-router.get('/employer', verifyToken, isEmployer, async (req, res) => {
+router.get('/employer', verifyToken, isEmployer, validate(), async (req, res) => {
   try {
     const reviews = await reviewModel.getEmployerReviews(req.user.id);
     
@@ -120,7 +101,7 @@ router.get('/employer', verifyToken, isEmployer, async (req, res) => {
     const reviewsWithJobseekerDetails = await Promise.all(reviews.map(async (review) => {
       const jobseeker = await db.collection('users').findOne(
         { _id: review.jobseekerId },
-        { projection: { password: 0 } }
+        { projection: { password: 0, twoFactor: 0 } }
       );
       
       return {
@@ -134,25 +115,21 @@ router.get('/employer', verifyToken, isEmployer, async (req, res) => {
     
     res.status(200).json(reviewsWithJobseekerDetails);
   } catch (error) {
-    console.error('Error fetching employer reviews:', error);
+    logger.error('Error fetching employer reviews', { err: error });
     res.status(500).json({ message: 'Error fetching reviews' });
   }
 });
 
 // Check if an employer has already reviewed a jobseeker
-router.get('/check/:jobseekerId', verifyToken, isEmployer, async (req, res) => {
+router.get('/check/:jobseekerId', verifyToken, isEmployer, validate(checkReviewSchema), async (req, res) => {
   try {
     const jobseekerId = req.params.jobseekerId;
     
-    if (!ObjectId.isValid(jobseekerId)) {
-      return res.status(400).json({ message: 'Invalid jobseeker ID' });
-    }
-    
     const hasReviewed = await reviewModel.hasEmployerReviewedJobseeker(req.user.id, jobseekerId);
     
     res.status(200).json({ hasReviewed });
   } catch (error) {
-    console.error('Error checking review status:', error);
+    logger.error('Error checking review status', { err: error });
     res.status(500).json({ message: 'Error checking review status' });
   }
 });
@@ -0,0 +1,210 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { connectDB } from '../db.js';
+import { jobCollection } from '../models/jobs.js';
+import { savedSearchCollection } from '../models/savedSearches.js';
+import { verifyToken } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  listSavedSearchesSchema,
+  savedSearchIdSchema,
+  savedSearchJobsSchema,
+  MAX_SAVED_SEARCHES
+} from '../validators/savedSearches.js';
+import { searchJobs } from '../services/jobListings.js';
+import { resolveNear } from '../services/geocoding.js';
+import { getPagination } from '../utils/query.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const router = express.Router();
+
+// Duplicate key error from the unique (userId, name) index
+const isDuplicateName = (error) => error.code === 11000;
+
+const nameTaken = (res, name) => res.status(409).json({
+  code: 'SAVED_SEARCH_NAME_TAKEN',
+  message: `You already have a saved search named "${name}"`
+});
+
+// Same response as GET /api/jobs for a `near` that can't be found
+const unknownLocation = (res, near) => res.status(400).json({ code: 'UNKNOWN_LOCATION', message: `Unknown location: ${near}` });
+
+// Save a job search
+router.post('/', verifyToken, validate(createSavedSearchSchema), async (req, res) => {
+  try {
+    const { name, filters, frequency } = req.body;
+
+    // The point is stored with the search, so alerts don't geocode `near` again
+    const origin = filters.near ? resolveNear(filters.near) : null;
+    if (filters.near && !origin) {
+      return unknownLocation(res, filters.near);
+    }
+
+    const db = await connectDB();
+    const savedSearches = await savedSearchCollection(db);
+
+    const count = await savedSearches.countDocuments({ userId: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(409).json({
+        code: 'SAVED_SEARCH_LIMIT',
+        message: `You can save at most ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    // Digests are sent at most once a day, counting from when the search was saved
+    const now = new Date().toISOString();
+    const savedSearch = {
+      userId: req.user.id,
+      name,
+      filters,
+      origin,
+      frequency,
+      pendingJobs: [],
+      lastDigestAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await savedSearches.insertOne(savedSearch);
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      savedSearch: { ...savedSearch, _id: result.insertedId }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return nameTaken(res, req.body.name);
+    }
+    logger.error('Error saving search', { err: error });
+    res.status(500).json({ message: 'Error saving search' });
+  }
+});
+
+// List the user's saved searches, newest first
+router.get('/', verifyToken, validate(listSavedSearchesSchema), async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+
+    const db = await connectDB();
+    const savedSearches = await savedSearchCollection(db);
+
+    const filter = { userId: req.user.id };
+    const [items, total] = await Promise.all([
+      savedSearches.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).toArray(),
+      savedSearches.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ savedSearches: items, total, page, limit });
+  } catch (error) {
+    logger.error('Error fetching saved searches', { err: error });
+    res.status(500).json({ message: 'Error fetching saved searches' });
+  }
+});
+
+// Get one of the user's saved searches
+router.get('/:id', verifyToken, validate(savedSearchIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const savedSearches = await savedSearchCollection(db);
+
+    const savedSearch = await savedSearches.findOne({ _id: new ObjectId(req.params.id), userId: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(200).json(savedSearch);
+  } catch (error) {
+    logger.error('Error fetching saved search', { err: error });
+    res.status(500).json({ message: 'Error fetching saved search' });
+  }
+});
+
+// Run a saved search, with the same results as GET /api/jobs
+router.get('/:id/jobs', verifyToken, validate(savedSearchJobsSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const savedSearches = await savedSearchCollection(db);
+
+    const savedSearch = await savedSearches.findOne({ _id: new ObjectId(req.params.id), userId: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    const jobs = await jobCollection(db);
+    const result = await searchJobs(jobs, {
+      ...savedSearch.filters,
+      origin: savedSearch.origin,
+      sort: req.query.sort,
+      ...getPagination(req.query)
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error running saved search', { err: error });
+    res.status(500).json({ message: 'Error running saved search' });
+  }
+});
+
+// Rename a saved search or change its filters or alert frequency
+router.put('/:id', verifyToken, validate(updateSavedSearchSchema), async (req, res) => {
+  try {
+    const update = { ...req.body, updatedAt: new Date().toISOString() };
+
+    if (req.body.filters) {
+      const { near } = req.body.filters;
+      update.origin = near ? resolveNear(near) : null;
+      if (near && !update.origin) {
+        return unknownLocation(res, near);
+      }
+    }
+
+    const db = await connectDB();
+    const savedSearches = await savedSearchCollection(db);
+
+    const savedSearch = await savedSearches.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), userId: req.user.id },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(200).json({ message: 'Saved search updated successfully', savedSearch });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return nameTaken(res, req.body.name);
+    }
+    logger.error('Error updating saved search', { err: error });
+    res.status(500).json({ message: 'Error updating saved search' });
+  }
+});
+
+// Delete a saved search. Jobs waiting for its next digest are dropped.
+router.delete('/:id', verifyToken, validate(savedSearchIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    const savedSearches = await savedSearchCollection(db);
+
+    const result = await savedSearches.deleteOne({ _id: new ObjectId(req.params.id), userId: req.user.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(200).json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting saved search', { err: error });
+    res.status(500).json({ message: 'Error deleting saved search' });
+  }
+});
+
+export default router;
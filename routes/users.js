@@ -1,29 +1,33 @@
 import express from 'express';
 import { connectDB } from '../db.js';
 import { ObjectId } from 'mongodb';
-import jwt from 'jsonwebtoken';
+import { verifyToken } from '../middlewares/auth.js';
 import dotenv from 'dotenv';
 import bcrypt from 'bcrypt';
 import multer from 'multer';
 import path from 'path';
 import { uploadMiddleware } from '../middlewares/cloudinaryConfig.js';
+import { ACCESS_TOKEN_TTL, createSession } from '../services/sessions.js';
+import { sendVerificationEmail, isEmailVerified } from '../services/emailVerification.js';
+import { loginProtection, changePasswordProtection } from '../middlewares/bruteForce.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  registerSchema,
+  loginSchema,
+  deleteAccountSchema,
+  userIdSchema,
+  profileSchema,
+  listJobseekersSchema
+} from '../validators/users.js';
+import { isTwoFactorEnabled, createLoginChallenge, verifySecondFactor } from '../services/twoFactor.js';
+import { collectUserData, writeExportArchive, deleteAccount } from '../services/accountData.js';
+import { geocode, resolveNear, withinRadius, distanceStage } from '../services/geocoding.js';
+import { AppError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ message: 'Invalid token' });
-    req.user = decoded;
-    next();
-  });
-};
 
 // Configure multer for profile picture uploads
 const storage = multer.diskStorage({
@@ -43,26 +47,22 @@ const upload = multer({
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed!'));
+      cb(new AppError(415, 'UNSUPPORTED_FILE_TYPE', 'Only image files are allowed!'));
     }
   }
 });
 
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', validate(registerSchema), async (req, res) => {
   try {
     const { fullName, email, password, role } = req.body;
     
-    if (!fullName || !email || !password || !role) {
-      return res.status(400).json({ message: 'All fields are required' });
-    }
-    
     const db = await connectDB();
     
     // Check if email already exists
     const existingUser = await db.collection('users').findOne({ email });
     if (existingUser) {
-      return res.status(400).json({ message: 'Email already in use' });
+      return res.status(409).json({ code: 'EMAIL_IN_USE', message: 'Email already in use' });
     }
     
     // Hash password
@@ -75,6 +75,7 @@ router.post('/register', async (req, res) => {
       email,
       password: hashedPassword,
       role,
+      emailVerified: false,
       createdAt: new Date().toISOString(),
       profileCompleted: false,
       profileData: {}
@@ -82,17 +83,15 @@ router.post('/register', async (req, res) => {
     
     const result = await db.collection('users').insertOne(newUser);
     
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        id: result.insertedId.toString(),
-        fullName,
-        email,
-        role
-      }, 
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // A failed email shouldn't fail the registration, the user can ask for a new one
+    try {
+      await sendVerificationEmail(db, newUser);
+    } catch (mailError) {
+      logger.error('Error sending verification email', { err: mailError });
+    }
+    
+    // Start a session for the new user
+    const { token, refreshToken } = await createSession(db, { ...newUser, _id: result.insertedId }, req);
     
     // Don't send password in response
     delete newUser.password;
@@ -103,50 +102,56 @@ router.post('/register', async (req, res) => {
         id: result.insertedId.toString(),
         ...newUser
       },
-      token
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
   } catch (error) {
-    console.error('Error registering user:', error);
+    logger.error('Error registering user', { err: error });
     res.status(500).json({ message: 'Error registering user' });
   }
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', validate(loginSchema), loginProtection, async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password are required' });
-    }
-    
     const db = await connectDB();
     
     // Find user by email
     const user = await db.collection('users').findOne({ email });
     
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      await req.bruteForce.fail();
+      return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Invalid credentials' });
     }
     
     // Compare password
     const isMatch = await bcrypt.compare(password, user.password);
     
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      await req.bruteForce.fail(user);
+      return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Invalid credentials' });
     }
     
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id.toString(),
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role
-      }, 
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await req.bruteForce.succeed();
+    
+    if (user.suspended) {
+      return res.status(403).json({ code: 'ACCOUNT_SUSPENDED', message: 'Your account has been suspended' });
+    }
+    
+    // With 2FA the password alone isn't enough: finish at /api/auth/login/2fa
+    if (isTwoFactorEnabled(user)) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
+      });
+    }
+    
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(db, user, req);
     
     res.status(200).json({
       message: 'Login successful',
@@ -155,18 +160,22 @@ router.post('/login', async (req, res) => {
         fullName: user.fullName,
         email: user.email,
         role: user.role,
-        profileCompleted: user.profileCompleted || false
+        profileCompleted: user.profileCompleted || false,
+        emailVerified: isEmailVerified(user),
+        passwordTemporary: !!user.passwordTemporary
       },
-      token
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
   } catch (error) {
-    console.error('Error logging in:', error);
+    logger.error('Error logging in', { err: error });
     res.status(500).json({ message: 'Error logging in' });
   }
 });
 
 // Get current user profile
-router.get('/me', verifyToken, async (req, res) => {
+router.get('/me', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     
@@ -179,55 +188,85 @@ router.get('/me', verifyToken, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    const { twoFactor, ...profile } = user;
+    
     res.status(200).json({
-      ...user,
-      id: user._id.toString()
+      ...profile,
+      id: user._id.toString(),
+      emailVerified: isEmailVerified(user),
+      twoFactorEnabled: isTwoFactorEnabled(user)
     });
   } catch (error) {
-    console.error('Error fetching profile:', error);
+    logger.error('Error fetching profile', { err: error });
     res.status(500).json({ message: 'Error fetching profile' });
   }
 });
 
-// Get user by ID 
-router.get('/:id', verifyToken, async (req, res) => {
+// Download everything stored about the current user as a zip archive
+router.get('/me/export', verifyToken, validate(), async (req, res) => {
   try {
-    // Validate the ID first
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid user ID format' });
+    const db = await connectDB();
+    
+    const data = await collectUserData(db, req.user.id);
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    const db = await connectDB();
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`carematch-export-${date}.zip`);
+    res.type('application/zip');
     
-    const user = await db.collection('users').findOne(
-      { _id: new ObjectId(req.params.id) },
-      { projection: { password: 0 } } // Exclude password
-    );
+    await writeExportArchive(data, res);
+  } catch (error) {
+    logger.error('Error exporting user data', { err: error });
+    // Headers are already sent once the archive started streaming
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error exporting user data' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Delete the current user's account and their data
+router.delete('/me', verifyToken, validate(deleteAccountSchema), changePasswordProtection, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    const db = await connectDB();
     
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.id) });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Return user data
-    res.status(200).json({
-      ...user,
-      id: user._id.toString()
-    });
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      await req.bruteForce.fail(user);
+      return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Password is incorrect' });
+    }
+    
+    if (isTwoFactorEnabled(user) && !(await verifySecondFactor(db, user, { code, recoveryCode }))) {
+      await req.bruteForce.fail(user);
+      return res.status(401).json({ code: 'INVALID_TWO_FACTOR_CODE', message: 'A valid authentication code is required' });
+    }
+    
+    await req.bruteForce.succeed();
+    
+    await deleteAccount(db, user);
+    
+    res.status(200).json({ message: 'Your account and data have been deleted' });
   } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ message: 'Error fetching user' });
+    logger.error('Error deleting account', { err: error });
+    res.status(500).json({ message: 'Error deleting account' });
   }
 });
 
 // Update user profile
-router.put('/profile', verifyToken, async (req, res) => {
+router.put('/profile', verifyToken, validate(profileSchema), async (req, res) => {
   try {
     const { profileData } = req.body;
     
-    if (!profileData) {
-      return res.status(400).json({ message: 'Profile data is required' });
-    }
-    
     const db = await connectDB();
     
     const result = await db.collection('users').updateOne(
@@ -235,6 +274,7 @@ router.put('/profile', verifyToken, async (req, res) => {
       { 
         $set: { 
           profileData,
+          geoLocation: geocode(profileData.location),
           profileCompleted: true,
           updatedAt: new Date().toISOString()
         } 
@@ -249,7 +289,7 @@ router.put('/profile', verifyToken, async (req, res) => {
       message: 'Profile updated successfully'
     });
   } catch (error) {
-    console.error('Error updating profile:', error);
+    logger.error('Error updating profile', { err: error });
     res.status(500).json({ message: 'Error updating profile' });
   }
 });
@@ -284,13 +324,13 @@ router.put('/profile', verifyToken, async (req, res) => {
       profilePicture
     });
   } catch (error) {
-    console.error('Error uploading profile picture:', error);
+    logger.error('Error uploading profile picture', { err: error });
     res.status(500).json({ message: 'Error uploading profile picture' });
   }
 });
 */
 // Upload profile picture with Cloudinary
-router.post('/upload-profile-picture', verifyToken, uploadMiddleware.single('profilePicture'), async (req, res) => {
+router.post('/upload-profile-picture', verifyToken, uploadMiddleware.single('profilePicture'), validate(), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -321,42 +361,52 @@ router.post('/upload-profile-picture', verifyToken, uploadMiddleware.single('pro
       profilePicture
     });
   } catch (error) {
-    console.error('Error uploading profile picture:', error);
+    logger.error('Error uploading profile picture', { err: error });
     res.status(500).json({ message: 'Error uploading profile picture' });
   }
 });
 
 // Get jobseekers for employers to browse
-router.get('/jobseekers', verifyToken, async (req, res) => {
+router.get('/jobseekers', verifyToken, validate(listJobseekersSchema), async (req, res) => {
   try {
     // Check if user is an employer
     if (req.user.role !== 'employer') {
-      return res.status(403).json({ message: 'Access denied. Employers only.' });
+      return res.status(403).json({ code: 'EMPLOYERS_ONLY', message: 'Access denied. Employers only.' });
+    }
+    
+    const { near, radiusKm } = req.query;
+    const origin = near ? resolveNear(near) : null;
+    if (near && !origin) {
+      return res.status(400).json({ code: 'UNKNOWN_LOCATION', message: `Unknown location: ${near}` });
     }
     
     const db = await connectDB();
     
-    // Find all jobseekers with completed profiles
-    const jobseekers = await db.collection('users').find(
-      { 
-        role: 'jobseeker',
-        profileCompleted: true
-      },
-      { projection: { password: 0 } } // Exclude password
-    ).toArray();
+    // Find all jobseekers with completed profiles, nearest first when searching around a place
+    const filter = {
+      role: 'jobseeker',
+      profileCompleted: true,
+      ...(origin && withinRadius('geoLocation', origin, radiusKm))
+    };
+    
+    const jobseekers = await db.collection('users').aggregate([
+      { $match: filter },
+      { $project: { password: 0, twoFactor: 0 } }, // Exclude password
+      ...(origin ? [distanceStage('geoLocation', origin), { $sort: { distanceKm: 1, _id: 1 } }] : [])
+    ]).toArray();
     
     res.status(200).json(jobseekers.map(user => ({
       ...user,
       id: user._id.toString()
     })));
   } catch (error) {
-    console.error('Error fetching jobseekers:', error);
+    logger.error('Error fetching jobseekers', { err: error });
     res.status(500).json({ message: 'Error fetching jobseekers' });
   }
 });
 
 // Add this route to your users.js file
-router.get('/profile-stats', verifyToken, async (req, res) => {
+router.get('/profile-stats', verifyToken, validate(), async (req, res) => {
   try {
     const db = await connectDB();
     
@@ -369,9 +419,34 @@ router.get('/profile-stats', verifyToken, async (req, res) => {
       viewCount: viewCount || 0
     });
   } catch (error) {
-    console.error('Error fetching profile stats:', error);
+    logger.error('Error fetching profile stats', { err: error });
     res.status(500).json({ message: 'Error fetching profile stats' });
   }
 });
 
+// Get user by ID. Registered last so it doesn't catch /jobseekers and /profile-stats
+router.get('/:id', verifyToken, validate(userIdSchema), async (req, res) => {
+  try {
+    const db = await connectDB();
+    
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(req.params.id) },
+      { projection: { password: 0, twoFactor: 0 } } // Exclude password
+    );
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Return user data
+    res.status(200).json({
+      ...user,
+      id: user._id.toString()
+    });
+  } catch (error) {
+    logger.error('Error fetching user', { err: error });
+    res.status(500).json({ message: 'Error fetching user' });
+  }
+});
+
 export default router;
\ No newline at end of file
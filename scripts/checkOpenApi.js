@@ -0,0 +1,43 @@
+// Fail when a route exists in Express but not in the OpenAPI document, or the
+// document describes a route that no longer exists: npm run check:openapi
+// The routers are only inspected, the database is never contacted.
+process.env.MONGO_URI ||= 'mongodb://localhost:27017';
+
+const { apiRoutes } = await import('../routes/index.js');
+const { openApiDocument, toOpenApiPath } = await import('../openapi/index.js');
+
+const routes = [];
+for (const [prefix, router] of apiRoutes) {
+  for (const layer of router.stack) {
+    // Layers without a route are middleware added with router.use()
+    if (!layer.route) continue;
+
+    const path = toOpenApiPath(`${prefix}${layer.route.path === '/' ? '' : layer.route.path}`);
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push(`${method.toUpperCase()} ${path}`);
+    }
+  }
+}
+
+const documented = Object.entries(openApiDocument.paths).flatMap(([path, operations]) =>
+  Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`)
+);
+
+const missing = routes.filter(route => !documented.includes(route));
+const stale = documented.filter(route => !routes.includes(route));
+
+if (missing.length > 0) {
+  console.error('Routes missing from the OpenAPI document (openapi/paths/):');
+  missing.forEach(route => console.error(`  ${route}`));
+}
+if (stale.length > 0) {
+  console.error('Documented routes that do not exist:');
+  stale.forEach(route => console.error(`  ${route}`));
+}
+
+if (missing.length > 0 || stale.length > 0) {
+  process.exit(1);
+}
+
+console.log(`All ${routes.length} routes are documented`);
+process.exit(0);
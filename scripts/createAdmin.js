@@ -0,0 +1,34 @@
+// Promote an existing account to admin: npm run create-admin -- someone@example.com
+import { connectDB } from '../db.js';
+import { revokeAllSessions } from '../services/sessions.js';
+
+const email = process.argv[2];
+
+if (!email) {
+  console.error('Usage: npm run create-admin -- <email>');
+  process.exit(1);
+}
+
+try {
+  const db = await connectDB();
+
+  const user = await db.collection('users').findOne({ email });
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exit(1);
+  }
+
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    { $set: { role: 'admin', updatedAt: new Date().toISOString() } }
+  );
+
+  // Existing tokens still carry the old role
+  await revokeAllSessions(db, user._id.toString(), 'role_changed');
+
+  console.log(`${email} is now an admin`);
+  process.exit(0);
+} catch (error) {
+  console.error('Error creating admin:', error);
+  process.exit(1);
+}
@@ -0,0 +1,36 @@
+// Extract the text of resumes uploaded before resume search: npm run extract-resume-text
+// Applications that already have a text status are skipped, so it's safe to run again.
+import fs from 'fs';
+import { connectDB } from '../db.js';
+import { extractResumeText } from '../services/resumeText.js';
+
+try {
+  const db = await connectDB();
+  const applications = db.collection('applications');
+  const counts = {};
+
+  const cursor = applications.find(
+    { resumePath: { $ne: null }, resumeTextStatus: { $exists: false } },
+    { projection: { resumePath: 1 } }
+  );
+
+  for await (const application of cursor) {
+    if (!fs.existsSync(application.resumePath)) {
+      counts.missing = (counts.missing || 0) + 1;
+      continue;
+    }
+
+    const resume = await extractResumeText(application.resumePath);
+    await applications.updateOne({ _id: application._id }, { $set: resume });
+    counts[resume.resumeTextStatus] = (counts[resume.resumeTextStatus] || 0) + 1;
+  }
+
+  for (const [status, count] of Object.entries(counts)) {
+    console.log(`${status}: ${count} applications`);
+  }
+
+  process.exit(0);
+} catch (error) {
+  console.error('Error extracting resume texts:', error);
+  process.exit(1);
+}
@@ -0,0 +1,43 @@
+// Geocode the locations of existing jobs and profiles: npm run geocode-locations
+// Safe to run again, e.g. after adding places to data/gazetteer.js.
+import { connectDB } from '../db.js';
+import { geocode } from '../services/geocoding.js';
+
+const geocodeCollection = async (collection, locationField) => {
+  const documents = await collection.find(
+    { [locationField]: { $exists: true } },
+    { projection: { [locationField]: 1 } }
+  ).toArray();
+
+  const unknown = new Set();
+  const updates = documents.map(document => {
+    const location = locationField.split('.').reduce((value, key) => value?.[key], document);
+    const geoLocation = geocode(location);
+    if (location && !geoLocation) {
+      unknown.add(location);
+    }
+    return { updateOne: { filter: { _id: document._id }, update: { $set: { geoLocation } } } };
+  });
+
+  if (updates.length > 0) {
+    await collection.bulkWrite(updates, { ordered: false });
+  }
+  await collection.createIndex({ geoLocation: '2dsphere' });
+
+  console.log(`${collection.collectionName}: ${documents.length} locations, ${unknown.size} unknown place names`);
+  for (const location of unknown) {
+    console.log(`  ${location}`);
+  }
+};
+
+try {
+  const db = await connectDB();
+
+  await geocodeCollection(db.collection('jobs'), 'location');
+  await geocodeCollection(db.collection('users'), 'profileData.location');
+
+  process.exit(0);
+} catch (error) {
+  console.error('Error geocoding locations:', error);
+  process.exit(1);
+}
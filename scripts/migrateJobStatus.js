@@ -0,0 +1,42 @@
+// Give jobs created before the job lifecycle a status: npm run migrate-job-status
+// Active jobs become published, closed ones closed and the rest paused, as do published jobs
+// an admin unpublished. Safe to run again.
+import { connectDB } from '../db.js';
+
+try {
+  const db = await connectDB();
+  const jobs = db.collection('jobs');
+  const now = new Date().toISOString();
+
+  const updates = [
+    [{ closedAt: { $exists: true } }, 'closed'],
+    [{ active: false }, 'paused'],
+    [{}, 'published']
+  ];
+
+  for (const [filter, status] of updates) {
+    const result = await jobs.updateMany(
+      { ...filter, status: { $exists: false } },
+      { $set: { status, statusChangedAt: now } }
+    );
+    console.log(`${status}: ${result.modifiedCount} jobs`);
+  }
+
+  // Jobs unpublished by an admin used to keep their published status
+  const unpublished = await jobs.updateMany(
+    { unpublishedByAdmin: true, status: { $in: ['published', 'scheduled'] } },
+    [{ $set: { statusBeforeUnpublish: '$status', status: 'paused', active: false, statusChangedAt: now } }]
+  );
+  console.log(`paused (unpublished by an admin): ${unpublished.modifiedCount} jobs`);
+
+  // The archived flag was indexed but never set
+  await jobs.dropIndex('archived_1').catch(() => {});
+  await jobs.createIndex({ employerId: 1, status: 1 });
+  await jobs.createIndex({ status: 1, publishAt: 1 });
+  await jobs.createIndex({ status: 1, closingDate: 1 });
+
+  process.exit(0);
+} catch (error) {
+  console.error('Error migrating job statuses:', error);
+  process.exit(1);
+}
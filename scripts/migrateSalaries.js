@@ -0,0 +1,70 @@
+// Convert job salaries stored as a plain amount plus salaryPeriod to the structured
+// salary model: npm run migrate-salaries -- [currency]
+// The currency (EUR by default) is assumed for every old salary. Safe to run again.
+import { connectDB } from '../db.js';
+import { buildSalary } from '../services/salaries.js';
+import { SALARY_PERIODS, CURRENCIES } from '../validators/jobs.js';
+
+const currency = (process.argv[2] || 'EUR').toUpperCase();
+
+if (!CURRENCIES.includes(currency)) {
+  console.error(`Usage: npm run migrate-salaries -- [${CURRENCIES.join('|')}]`);
+  process.exit(1);
+}
+
+// Old salaries were stored as sent, e.g. 1500, "1500" or "1.500,00 €"
+const parseAmount = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const digits = String(value ?? '').replace(/[^\d.,]/g, '');
+  // A trailing ,xx or .xx is the decimal part, other separators group thousands
+  const amount = Number(digits.replace(/[.,](?=\d{3}(\D|$))/g, '').replace(',', '.'));
+  return digits ? amount : NaN;
+};
+
+try {
+  const db = await connectDB();
+  const jobs = db.collection('jobs');
+
+  const oldJobs = await jobs.find(
+    { $or: [{ salary: { $not: { $type: 'object' } } }, { salaryPeriod: { $exists: true } }] },
+    { projection: { salary: 1, salaryPeriod: 1 } }
+  ).toArray();
+
+  const unreadable = [];
+  const updates = oldJobs.map(job => {
+    const amount = parseAmount(job.salary);
+    const period = SALARY_PERIODS.includes(job.salaryPeriod) ? job.salaryPeriod : 'monthly';
+
+    let salary = null;
+    if (amount > 0) {
+      salary = buildSalary({ min: amount, currency, period });
+    } else {
+      unreadable.push(job);
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: job._id },
+        update: { $set: { salary }, $unset: { salaryPeriod: '' } }
+      }
+    };
+  });
+
+  if (updates.length > 0) {
+    await jobs.bulkWrite(updates, { ordered: false });
+  }
+  await jobs.createIndex({ 'salary.annual.max': 1 });
+  await jobs.createIndex({ 'salary.annual.min': 1 });
+
+  console.log(`Migrated ${updates.length - unreadable.length} salaries`);
+  for (const job of unreadable) {
+    console.log(`  job ${job._id}: no salary could be read from ${JSON.stringify(job.salary ?? null)}`);
+  }
+
+  process.exit(0);
+} catch (error) {
+  console.error('Error migrating salaries:', error);
+  process.exit(1);
+}
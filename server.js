@@ -1,19 +1,39 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import authRoutes from './routes/auth.js';
-import jobsRoutes from './routes/jobs.js';
-import applicationsRoutes from './routes/applications.js'; 
-import usersRoutes from './routes/users.js'; 
-import notificationRoutes from './routes/notifications.js';
-import reviewsRoutes from './routes/reviews.js';
+import swaggerUi from 'swagger-ui-express';
+import { apiRoutes } from './routes/index.js';
+import { requestId } from './middlewares/requestId.js';
+import { requestLogger } from './middlewares/requestLogger.js';
+import { errorEnvelope, notFoundHandler, errorHandler } from './middlewares/errorHandler.js';
+import { AppError } from './utils/errors.js';
+import { logger } from './utils/logger.js';
+import { openApiDocument } from './openapi/index.js';
+import { startJobScheduler } from './services/jobLifecycle.js';
+import { isResumeUrl } from './services/resumes.js';
+import { checkMailConfig } from './services/mailer.js';
+import { connectDB } from './db.js';
+import { ensureJobIndexes } from './models/jobs.js';
 
 dotenv.config();
 
+checkMailConfig();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// How often scheduled jobs are published, expired jobs closed and due alerts and reminders sent, 0 turns it off
+const JOB_SCHEDULER_INTERVAL_MS = Number(process.env.JOB_SCHEDULER_INTERVAL_MS ?? 60 * 1000);
+
+// Number of proxies in front of the app so req.ip is the client's address, which the
+// attempt limits count by. On Heroku (DYNO is set) it's the router, elsewhere none by default.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? (process.env.DYNO ? 1 : 0)));
+
 // Middleware
+app.use(requestId);
+app.use(requestLogger);
+app.use(errorEnvelope);
+
 const allowedOrigins = [
   'http://localhost:5173',
   'https://carematch.vercel.app'
@@ -28,12 +48,13 @@ app.use(cors({
     if (allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      console.log('Blocked origin:', origin); // Helpful for debugging
-      callback(new Error('Not allowed by CORS'));
+      logger.warn('Blocked origin', { origin }); // Helpful for debugging
+      callback(new AppError(403, 'CORS_ORIGIN_NOT_ALLOWED', 'CORS error: Origin not allowed'));
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After'],
   credentials: true,
   maxAge: 86400 // Cache preflight requests for 24 hours
 }));
@@ -41,44 +62,43 @@ app.use(cors({
 // Add an OPTIONS preflight handler for all routes
 app.options('*', cors());
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err.message);
-  
-  // If it's a CORS error, send appropriate response
-  if (err.message.includes('CORS')) {
-    return res.status(403).json({
-      message: 'CORS error: Origin not allowed',
-      error: err.message
-    });
-  }
-  
-  res.status(500).json({
-    message: 'Internal server error',
-    error: err.message
-  });
-});
-
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Make uploads folder accessible
-app.use('/uploads', express.static('uploads'));
+// Make uploads folder accessible, except for resumes. Those are only sent by
+// GET /api/applications/:id/resume to the applicant and the employer.
+app.use('/uploads', (req, res, next) => (isResumeUrl(req.path) ? notFoundHandler(req, res) : next()), express.static('uploads'));
 
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/jobs', jobsRoutes);
-app.use('/api/applications', applicationsRoutes); 
-app.use('/api/users', usersRoutes); 
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/reviews', reviewsRoutes);
+for (const [path, router] of apiRoutes) {
+  app.use(path, router);
+}
+
+// API description and interactive docs
+app.get('/api/openapi.json', (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument));
 
 // Default route
 app.get('/', (req, res) => {
   res.send('Job Portal API is running');
 });
 
+// Unknown routes and errors passed to next() (uploads, body parsing, CORS)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+  logger.info(`Server is running on port ${PORT}`);
+
+  // Deployments from before an index was added get it here, creating existing ones does nothing
+  connectDB()
+    .then(ensureJobIndexes)
+    .catch(err => logger.error('Error creating job indexes', { err }));
+
+  if (JOB_SCHEDULER_INTERVAL_MS > 0) {
+    startJobScheduler(JOB_SCHEDULER_INTERVAL_MS);
+  }
 });
\ No newline at end of file
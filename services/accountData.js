@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import archiver from 'archiver';
+import { cloudinary } from '../middlewares/cloudinaryConfig.js';
+import { sessionCollection } from '../models/sessions.js';
+import { authTokenCollection } from '../models/authTokens.js';
+import { loginAttemptCollection } from '../models/loginAttempts.js';
+import { accountKey } from './bruteForce.js';
+import { applicantView } from './applicationStatus.js';
+import { cancelOpenInterviews } from './interviews.js';
+import { logger } from '../utils/logger.js';
+
+// Strip secrets from documents before they leave the server
+const withoutSecrets = ({ password, twoFactor, ...rest }) => rest;
+
+// Collect everything stored about a user
+export async function collectUserData(db, userId) {
+  const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+  if (!user) {
+    return null;
+  }
+
+  const sessions = await sessionCollection(db);
+
+  const [jobs, jobTemplates, applications, resumeDownloads, interviews, savedJobs, savedSearches, notifications, reviewsGiven, reviewsReceived, userSessions] = await Promise.all([
+    db.collection('jobs').find({ employerId: userId }).toArray(),
+    db.collection('jobTemplates').find({ employerId: userId }).toArray(),
+    // The resume text is in the export, its search copy isn't
+    db.collection('applications').find({ applicantId: userId }, { projection: { resumeSearchText: 0 } }).toArray(),
+    // Who downloaded the user's resumes, without the other users' devices
+    db.collection('resumeDownloads').find({ applicantId: userId }, { projection: { ipAddress: 0, userAgent: 0 } }).toArray(),
+    db.collection('interviews').find({ $or: [{ employerId: userId }, { applicantId: userId }] }).toArray(),
+    db.collection('savedJobs').find({ userId }).toArray(),
+    db.collection('savedSearches').find({ userId }).toArray(),
+    db.collection('notifications').find({ recipientId: userId }).toArray(),
+    db.collection('reviews').find({ employerId: new ObjectId(userId) }).toArray(),
+    db.collection('reviews').find({ jobseekerId: new ObjectId(userId) }).toArray(),
+    sessions.find(
+      { userId },
+      { projection: { refreshTokenHash: 0, previousRefreshTokenHash: 0 } }
+    ).toArray()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user: {
+      ...withoutSecrets(user),
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    },
+    jobs,
+    jobTemplates,
+    // Without the reasons employers didn't share, as in the API
+    applications: applications.map(applicantView),
+    resumeDownloads,
+    interviews,
+    savedJobs,
+    savedSearches,
+    notifications,
+    reviewsGiven,
+    reviewsReceived,
+    sessions: userSessions
+  };
+}
+
+// Stream a zip archive with data.json and the user's resume files
+export function writeExportArchive(data, output) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('warning', (err) => logger.warn('Warning while creating export archive', { err }));
+  archive.pipe(output);
+
+  const applications = data.applications.map(application => {
+    if (!application.resumePath || !fs.existsSync(application.resumePath)) {
+      return application;
+    }
+
+    const resumeFile = `resumes/${path.basename(application.resumePath)}`;
+    archive.file(application.resumePath, { name: resumeFile });
+
+    return { ...application, resumeFile };
+  });
+
+  archive.append(JSON.stringify({ ...data, applications }, null, 2), { name: 'data.json' });
+
+  return archive.finalize();
+}
+
+const removeLocalFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error deleting file', { filePath, err: error });
+    }
+  }
+};
+
+// Cloudinary URLs look like .../image/upload/v123/carematch_profiles/abc.jpg,
+// the public ID is the part after the version without the extension
+const cloudinaryPublicId = (url) => {
+  const match = url.match(/\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i);
+  return match ? match[1] : null;
+};
+
+async function removeProfilePicture(profilePicture) {
+  if (!profilePicture) {
+    return;
+  }
+
+  // Older profile pictures were stored locally in uploads/
+  const localIndex = profilePicture.indexOf('/uploads/');
+  if (localIndex !== -1) {
+    await removeLocalFile(profilePicture.slice(localIndex + 1));
+    return;
+  }
+
+  const publicId = cloudinaryPublicId(profilePicture);
+  if (publicId) {
+    try {
+      await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+      logger.error('Error deleting profile picture from Cloudinary', { err: error });
+    }
+  }
+}
+
+// Delete an account and everything that belongs to it. Other users keep
+// what they need (closed jobs, anonymized reviews and applications).
+export async function deleteAccount(db, user) {
+  const userId = user._id.toString();
+  const now = new Date().toISOString();
+
+  const applications = await db.collection('applications').find({ applicantId: userId }).toArray();
+
+  // Pending applications are withdrawn, the same way the applicant could do it themselves
+  const pending = applications.filter(app => app.status === 'Pending');
+  for (const application of pending) {
+    await db.collection('applications').deleteOne({ _id: application._id });
+    if (ObjectId.isValid(application.jobId)) {
+      await db.collection('jobs').updateOne(
+        { _id: new ObjectId(application.jobId) },
+        { $pull: { applications: application._id.toString() } }
+      );
+    }
+  }
+
+  // Applications the employer already acted on stay, without the applicant's personal data
+  await db.collection('applications').updateMany(
+    { applicantId: userId },
+    {
+      $set: {
+        applicantId: null,
+        applicantDeleted: true,
+        applicantName: 'Deleted user',
+        applicantEmail: null,
+        coverLetter: '',
+        additionalNotes: '',
+        resumePath: null,
+        resumeText: null,
+        resumeSearchText: null
+      }
+    }
+  );
+
+  for (const application of applications) {
+    if (application.resumePath) {
+      await removeLocalFile(application.resumePath);
+    }
+  }
+
+  // Interviews still to come are called off, the other side is told
+  await cancelOpenInterviews(db, { $or: [{ employerId: userId }, { applicantId: userId }] }, {
+    cancelledBy: userId,
+    reason: 'The account was deleted'
+  });
+  await db.collection('interviews').updateMany(
+    { applicantId: userId },
+    { $set: { applicantId: null, applicantName: 'Deleted user' } }
+  );
+
+  // An employer's jobs are closed so nobody applies to a vacancy without an owner
+  await db.collection('jobs').updateMany(
+    { employerId: userId, status: { $nin: ['closed', 'archived'] } },
+    { $set: { status: 'closed', active: false, statusChangedAt: now, closedAt: now, closedReason: 'employer_deleted' } }
+  );
+
+  await db.collection('reviews').updateMany(
+    { employerId: user._id },
+    { $set: { employerId: null, employerDeleted: true } }
+  );
+  await db.collection('reviews').updateMany(
+    { jobseekerId: user._id },
+    { $set: { jobseekerId: null, jobseekerDeleted: true } }
+  );
+
+  await db.collection('notifications').deleteMany({ recipientId: userId });
+  await db.collection('notifications').updateMany({ senderId: userId }, { $set: { senderId: null } });
+  await db.collection('savedJobs').deleteMany({ userId });
+  await db.collection('savedSearches').deleteMany({ userId });
+  await db.collection('resumeDownloads').deleteMany({ $or: [{ applicantId: userId }, { userId }] });
+  await db.collection('jobTemplates').deleteMany({ employerId: userId });
+
+  const [sessions, authTokens, loginAttempts] = await Promise.all([
+    sessionCollection(db),
+    authTokenCollection(db),
+    loginAttemptCollection(db)
+  ]);
+  await sessions.deleteMany({ userId });
+  await authTokens.deleteMany({ userId });
+  await loginAttempts.deleteMany({ key: { $in: [accountKey(user.email), accountKey(userId)] } });
+
+  await removeProfilePicture(user.profilePicture);
+
+  await db.collection('users').deleteOne({ _id: user._id });
+}
@@ -0,0 +1,69 @@
+import { APPLICATION_TRANSITIONS } from '../validators/applications.js';
+
+export const canChangeStatus = (from, to) => (APPLICATION_TRANSITIONS[from] || []).includes(to);
+
+// First entry of every status history, written when the application is made
+export const appliedEntry = (applicantId, appliedDate) => ({
+  from: null,
+  to: 'Pending',
+  changedBy: applicantId,
+  changedAt: appliedDate,
+  reason: null,
+  reasonShared: false
+});
+
+// Status changes of an application, oldest first. Applications made before the history
+// was kept only know when they were made and when their status last changed.
+export function statusHistory(application) {
+  if (application.statusHistory) {
+    return application.statusHistory;
+  }
+
+  const history = [appliedEntry(application.applicantId, application.appliedDate)];
+  if (application.status !== 'Pending') {
+    history.push({
+      from: null,
+      to: application.status,
+      changedBy: application.employerId,
+      changedAt: application.lastStatusUpdate,
+      reason: null,
+      reasonShared: false
+    });
+  }
+  return history;
+}
+
+// The application as its applicant may see it: without the reasons the employer kept to themselves
+export const applicantView = (application) => (application.statusHistory
+  ? {
+    ...application,
+    statusHistory: application.statusHistory.map(entry => (entry.reasonShared ? entry : { ...entry, reason: null }))
+  }
+  : application);
+
+// Move an application to a new status and record the change in its history. The update
+// only applies if nobody changed the status in the meantime. Returns the history entry,
+// or null when the update didn't apply.
+export async function changeApplicationStatus(db, application, { status, reason, shareReason, changedBy }) {
+  const now = new Date().toISOString();
+  const entry = {
+    from: application.status,
+    to: status,
+    changedBy,
+    changedAt: now,
+    reason: reason || null,
+    reasonShared: !!reason && shareReason
+  };
+
+  // Older applications get their history written out in full the first time
+  const history = application.statusHistory
+    ? { $push: { statusHistory: entry } }
+    : { $set: { statusHistory: [...statusHistory(application), entry] } };
+
+  const result = await db.collection('applications').updateOne(
+    { _id: application._id, status: application.status },
+    { ...history, $set: { ...history.$set, status, lastStatusUpdate: now } }
+  );
+
+  return result.modifiedCount === 1 ? entry : null;
+}
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import { authTokenCollection } from '../models/authTokens.js';
+import { hashToken } from './sessions.js';
+
+// Issue a single-use token for a user. Any older unused token of the same
+// type is invalidated so only the most recent email works.
+export async function issueAuthToken(db, userId, type, ttlMinutes) {
+  const authTokens = await authTokenCollection(db);
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await authTokens.deleteMany({ userId, type, usedAt: null });
+
+  await authTokens.insertOne({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    usedAt: null
+  });
+
+  return token;
+}
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+export async function consumeAuthToken(db, type, token) {
+  const authTokens = await authTokenCollection(db);
+
+  return authTokens.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date().toISOString() } }
+  );
+}
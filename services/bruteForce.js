@@ -0,0 +1,147 @@
+import { loginAttemptCollection } from '../models/loginAttempts.js';
+import { createNotification } from '../routes/notifications.js';
+import { sendMail } from './mailer.js';
+import { logger } from '../utils/logger.js';
+
+// Limits per protected endpoint. After `freeAttempts` failures each further
+// attempt has to wait twice as long as the previous one (capped at
+// `maxDelaySeconds`); after `lockAfter` failures the account is locked.
+// IP addresses are only locked, after `ipLockAfter` failures: many users can share
+// one, and a delay would hold all of them up.
+const LIMITS = {
+  login: { freeAttempts: 3, maxDelaySeconds: 60, lockAfter: 10, ipLockAfter: 50, lockMinutes: 15 },
+  change_password: { freeAttempts: 3, maxDelaySeconds: 60, lockAfter: 8, ipLockAfter: 30, lockMinutes: 15 },
+  two_factor: { freeAttempts: 3, maxDelaySeconds: 60, lockAfter: 8, ipLockAfter: 30, lockMinutes: 15 }
+};
+
+// Failures are forgotten after a day without new ones
+const WINDOW_HOURS = 24;
+
+export const accountKey = (account) => `account:${String(account).trim().toLowerCase()}`;
+export const ipKey = (ip) => `ip:${ip}`;
+
+// Find out whether any of the keys may not make an attempt right now.
+// Returns the number of seconds to wait, or 0 if the attempt is allowed.
+export async function getRetryAfter(db, scope, keys) {
+  const loginAttempts = await loginAttemptCollection(db);
+  const now = new Date();
+
+  const records = await loginAttempts.find({ scope, key: { $in: keys } }).toArray();
+
+  const waitUntil = records.reduce((latest, record) => {
+    const until = [record.lockedUntil, record.nextAttemptAt]
+      .filter(date => date && date > now)
+      .sort((a, b) => b - a)[0];
+    return until && (!latest || until > latest) ? until : latest;
+  }, null);
+
+  return waitUntil ? Math.ceil((waitUntil - now) / 1000) : 0;
+}
+
+// Notify the owner of an account that it has been locked
+async function notifyLockout(db, user, scope, lockMinutes) {
+  const actions = {
+    change_password: 'incorrect password confirmations',
+    two_factor: 'invalid authentication codes'
+  };
+  const action = actions[scope] || 'failed sign-in attempts';
+
+  try {
+    await createNotification(db, {
+      recipientId: user._id.toString(),
+      type: 'security',
+      title: 'Account Temporarily Locked',
+      message: `Your account was locked for ${lockMinutes} minutes after too many ${action}. If this wasn't you, consider changing your password.`,
+      relatedId: null,
+      relatedType: 'account'
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your CareMatch account was temporarily locked',
+      text: `Hi ${user.fullName || ''},\n\n` +
+        `We locked your account for ${lockMinutes} minutes after too many ${action}.\n\n` +
+        `If this was you, just wait and try again. If it wasn't, someone may be trying to get into your account - ` +
+        `we recommend changing your password once the lock has expired.`
+    });
+  } catch (error) {
+    logger.error('Error sending lockout notification', { err: error });
+  }
+}
+
+// Record a failed attempt for each key. `user` is the account owner (if
+// known) who is told when their account gets locked.
+export async function recordFailure(db, scope, keys, user = null) {
+  const loginAttempts = await loginAttemptCollection(db);
+  const limits = LIMITS[scope];
+  const now = new Date();
+
+  for (const key of keys) {
+    const record = await loginAttempts.findOneAndUpdate(
+      { scope, key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + WINDOW_HOURS * 60 * 60 * 1000) }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    const isIp = key.startsWith('ip:');
+    const lockAfter = isIp ? limits.ipLockAfter : limits.lockAfter;
+    const update = {};
+
+    if (!isIp && record.failures > limits.freeAttempts) {
+      const delaySeconds = Math.min(2 ** (record.failures - limits.freeAttempts), limits.maxDelaySeconds);
+      update.nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+    }
+
+    if (record.failures >= lockAfter) {
+      update.lockedUntil = new Date(now.getTime() + limits.lockMinutes * 60 * 1000);
+      // Start counting again once the lock is over
+      update.failures = 0;
+    }
+
+    if (Object.keys(update).length > 0) {
+      await loginAttempts.updateOne({ _id: record._id }, { $set: update });
+    }
+
+    if (update.lockedUntil && !isIp && user) {
+      await notifyLockout(db, user, scope, limits.lockMinutes);
+    }
+  }
+}
+
+// Clear the failures of an account after a successful attempt
+export async function resetFailures(db, scope, key) {
+  const loginAttempts = await loginAttemptCollection(db);
+  await loginAttempts.deleteOne({ scope, key });
+}
+
+// Requests an account may make per window on endpoints that send email. These
+// aren't failures: nothing is locked and nobody is warned.
+const QUOTAS = {
+  forgot_password: { requests: 5, windowMinutes: 60 }
+};
+
+// Count a request against the quota of a key. Returns the number of seconds until
+// the key may make requests again, or 0 if this one is allowed.
+export async function useQuota(db, scope, key) {
+  const loginAttempts = await loginAttemptCollection(db);
+  const quota = QUOTAS[scope];
+  const now = new Date();
+  const quotaScope = `${scope}_quota`;
+
+  // Mongo removes expired windows only once a minute
+  await loginAttempts.deleteOne({ scope: quotaScope, key, expiresAt: { $lte: now } });
+
+  const record = await loginAttempts.findOneAndUpdate(
+    { scope: quotaScope, key },
+    {
+      $inc: { requests: 1 },
+      $setOnInsert: { expiresAt: new Date(now.getTime() + quota.windowMinutes * 60 * 1000) }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  return record.requests > quota.requests ? Math.ceil((record.expiresAt - now) / 1000) : 0;
+}
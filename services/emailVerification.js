@@ -0,0 +1,43 @@
+import { ObjectId } from 'mongodb';
+import { issueAuthToken, consumeAuthToken } from './authTokens.js';
+import { sendMail, FRONTEND_URL } from './mailer.js';
+
+const VERIFICATION_TOKEN_TTL_MINUTES = 24 * 60;
+
+// Accounts created before email verification existed have no flag and count as verified
+export const isEmailVerified = (user) => user.emailVerified !== false;
+
+// Email a verification link to a user
+export async function sendVerificationEmail(db, user) {
+  const token = await issueAuthToken(db, user._id.toString(), 'email_verification', VERIFICATION_TOKEN_TTL_MINUTES);
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your CareMatch email address',
+    text: `Hi ${user.fullName || ''},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `The link expires in 24 hours. Until your email is verified you can't post jobs or apply for them.`
+  });
+}
+
+// Mark the email as verified using a token. Returns false if the token is not valid.
+export async function verifyEmail(db, token) {
+  const verificationToken = await consumeAuthToken(db, 'email_verification', token);
+  if (!verificationToken) {
+    return false;
+  }
+
+  await db.collection('users').updateOne(
+    { _id: new ObjectId(verificationToken.userId) },
+    {
+      $set: {
+        emailVerified: true,
+        emailVerifiedAt: new Date().toISOString()
+      }
+    }
+  );
+
+  return true;
+}
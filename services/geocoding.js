@@ -0,0 +1,102 @@
+import gazetteer from '../data/gazetteer.js';
+import { normalizeText as normalize } from '../utils/text.js';
+
+export const EARTH_RADIUS_KM = 6378.1;
+
+const places = new Map();
+for (const { name, lat, lng, aliases = [] } of gazetteer) {
+  for (const placeName of [name, ...aliases]) {
+    places.set(normalize(placeName), { type: 'Point', coordinates: [lng, lat] });
+  }
+}
+
+// GeoJSON point of a free-text location, or null when no place in it is known.
+// Longer names win, so "Slavonski Brod, Croatia" finds Slavonski Brod and
+// "10000 Zagreb - Trešnjevka" finds Zagreb.
+export function geocode(location) {
+  if (typeof location !== 'string') {
+    return null;
+  }
+
+  const words = normalize(location).split(' ');
+  for (let length = words.length; length > 0; length--) {
+    for (let start = 0; start + length <= words.length; start++) {
+      const place = places.get(words.slice(start, start + length).join(' '));
+      if (place) {
+        return place;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Point for a `near` query: "lat,lng" coordinates or a place name
+export function resolveNear(near) {
+  const coordinates = near.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (coordinates) {
+    const lat = Number(coordinates[1]);
+    const lng = Number(coordinates[2]);
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { type: 'Point', coordinates: [lng, lat] } : null;
+  }
+
+  return geocode(near);
+}
+
+// Filter for documents whose `field` lies within radiusKm of the point
+export const withinRadius = (field, point, radiusKm) => ({
+  [field]: { $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] } }
+});
+
+// Great-circle distance in km between two GeoJSON points
+export function distanceBetween(a, b) {
+  const [lng1, lat1] = a.coordinates.map(degrees => degrees * Math.PI / 180);
+  const [lng2, lat2] = b.coordinates.map(degrees => degrees * Math.PI / 180);
+  const halfSinSquared = (difference) => Math.sin(difference / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(
+    halfSinSquared(lat2 - lat1) + Math.cos(lat1) * Math.cos(lat2) * halfSinSquared(lng2 - lng1)
+  ));
+}
+
+const radians = (expression) => ({ $degreesToRadians: expression });
+
+// Great-circle distance in km between the point and `field`, rounded to 100 m.
+// Computed in the pipeline because $geoNear can't be combined with $text.
+export const distanceStage = (field, point) => {
+  const [lng, lat] = point.coordinates;
+  const fieldLng = radians({ $arrayElemAt: [`$${field}.coordinates`, 0] });
+  const fieldLat = radians({ $arrayElemAt: [`$${field}.coordinates`, 1] });
+  const halfSinSquared = (difference) => ({ $pow: [{ $sin: { $divide: [difference, 2] } }, 2] });
+
+  return {
+    $addFields: {
+      distanceKm: {
+        $round: [
+          {
+            $multiply: [
+              2 * EARTH_RADIUS_KM,
+              {
+                $asin: {
+                  $sqrt: {
+                    $add: [
+                      halfSinSquared({ $subtract: [fieldLat, radians(lat)] }),
+                      {
+                        $multiply: [
+                          Math.cos(lat * Math.PI / 180),
+                          { $cos: fieldLat },
+                          halfSinSquared({ $subtract: [fieldLng, radians(lng)] })
+                        ]
+                      }
+                    ]
+                  }
+                }
+              }
+            ]
+          },
+          1
+        ]
+      }
+    }
+  };
+};
@@ -0,0 +1,203 @@
+import { ObjectId } from 'mongodb';
+import { interviewCollection } from '../models/interviews.js';
+import { createNotification } from '../routes/notifications.js';
+import { sendMail, FRONTEND_URL } from './mailer.js';
+import { toIcs } from '../utils/ics.js';
+import { OPEN_INTERVIEW_STATUSES, INTERVIEW_REMINDERS } from '../validators/interviews.js';
+import { logger } from '../utils/logger.js';
+
+// Interview times in notifications and emails are shown in this time zone
+const TIME_ZONE = process.env.TIME_ZONE || 'UTC';
+
+const FORMAT_NAMES = {
+  in_person: 'In person',
+  phone: 'Phone call',
+  video: 'Video call'
+};
+
+const timeFormat = new Intl.DateTimeFormat('en-GB', { dateStyle: 'full', timeStyle: 'short', timeZone: TIME_ZONE });
+
+export const formatInterviewTime = (date) => `${timeFormat.format(new Date(date))} (${TIME_ZONE})`;
+
+// Offered slots with IDs to accept them by, earliest first
+export const newSlots = (dates) => [...dates]
+  .sort((a, b) => a - b)
+  .map(date => ({ id: new ObjectId().toString(), startsAt: date.toISOString() }));
+
+// Format fields of a request. Each format only keeps its own detail.
+export const interviewDetails = ({ format, address, phone, videoLink }) => ({
+  format,
+  address: format === 'in_person' ? address : null,
+  phone: format === 'phone' ? phone : null,
+  videoLink: format === 'video' ? videoLink : null
+});
+
+export const isInterviewParty = (interview, userId) =>
+  interview.employerId === userId || interview.applicantId === userId;
+
+// Scheduled interviews can't be moved or called off once they have started
+export const hasStarted = (interview, now = new Date()) =>
+  interview.status === 'scheduled' && interview.startsAt <= now.toISOString();
+
+const placeOf = (interview) => ({
+  in_person: interview.address,
+  phone: interview.phone && `Phone: ${interview.phone}`,
+  video: interview.videoLink
+})[interview.format];
+
+// Apply a change to an interview unless it was changed in the meantime. Every change
+// raises the sequence, which calendar apps use to replace an earlier invitation.
+// Returns the updated interview, or null when it had changed.
+export async function updateInterview(db, interview, fields) {
+  const interviews = await interviewCollection(db);
+  return interviews.findOneAndUpdate(
+    { _id: interview._id, sequence: interview.sequence },
+    { $set: { ...fields, updatedAt: new Date().toISOString() }, $inc: { sequence: 1 } },
+    { returnDocument: 'after' }
+  );
+}
+
+// Calendar file of a scheduled (or cancelled) interview. `method` is PUBLISH for
+// downloads, REQUEST or CANCEL for email invitations.
+export function interviewCalendar(interview, { method = 'PUBLISH', organizer, attendees } = {}) {
+  const description = [
+    `${FORMAT_NAMES[interview.format]} interview for ${interview.jobTitle} with ${interview.employerName}`,
+    interview.notes,
+    `Details: ${FRONTEND_URL}/interviews/${interview._id}`
+  ].filter(Boolean).join('\n\n');
+
+  return toIcs({
+    method,
+    uid: `interview-${interview._id}@carematch`,
+    sequence: interview.sequence,
+    start: interview.startsAt,
+    end: interview.endsAt,
+    summary: `Interview: ${interview.jobTitle}`,
+    description,
+    location: placeOf(interview),
+    url: interview.videoLink,
+    cancelled: interview.status !== 'scheduled',
+    organizer,
+    attendees
+  });
+}
+
+// Notify one side of an interview. Nobody is notified for an applicant who deleted their account.
+export async function notifyInterview(db, interview, { recipientId, senderId, title, message }) {
+  if (!recipientId) return;
+
+  await createNotification(db, {
+    recipientId,
+    senderId,
+    type: 'interview',
+    title,
+    message,
+    relatedId: interview._id.toString(),
+    relatedType: 'interview'
+  });
+}
+
+// Email both sides a calendar invitation for an interview that was accepted, or its
+// cancellation when a scheduled time was given up. Mail problems are only logged.
+export async function sendInterviewEmails(db, interview, { subject, text }) {
+  try {
+    const ids = [interview.employerId, interview.applicantId].filter(id => ObjectId.isValid(id));
+    const users = await db.collection('users')
+      .find({ _id: { $in: ids.map(id => new ObjectId(id)) } }, { projection: { fullName: 1, email: 1 } })
+      .toArray();
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+    const employer = byId.get(interview.employerId);
+    const applicant = byId.get(interview.applicantId);
+
+    const scheduled = interview.status === 'scheduled';
+    const content = interviewCalendar(interview, {
+      method: scheduled ? 'REQUEST' : 'CANCEL',
+      organizer: employer && { name: interview.employerName, email: employer.email },
+      attendees: applicant ? [{ name: interview.applicantName, email: applicant.email }] : []
+    });
+
+    for (const user of [employer, applicant].filter(Boolean)) {
+      await sendMail({
+        to: user.email,
+        subject,
+        text: `Hi ${user.fullName || ''},\n\n${text}\n\n${FRONTEND_URL}/interviews/${interview._id}`,
+        attachments: [{
+          filename: 'interview.ics',
+          content,
+          contentType: `text/calendar; charset=utf-8; method=${scheduled ? 'REQUEST' : 'CANCEL'}`
+        }]
+      });
+    }
+  } catch (error) {
+    logger.error('Error sending interview emails', { err: error, interviewId: interview._id.toString() });
+  }
+}
+
+// Call off the interviews matching `filter` that are still to come, e.g. those of a
+// rejected application. The side that didn't cancel is told. Returns how many were cancelled.
+export async function cancelOpenInterviews(db, filter, { cancelledBy, reason = null }) {
+  const interviews = await interviewCollection(db);
+  const open = await interviews.find({ ...filter, status: { $in: OPEN_INTERVIEW_STATUSES } }).toArray();
+  let cancelled = 0;
+
+  for (const interview of open) {
+    if (hasStarted(interview)) continue;
+
+    const updated = await updateInterview(db, interview, {
+      status: 'cancelled',
+      cancelledBy,
+      cancelledAt: new Date().toISOString(),
+      cancellationReason: reason
+    });
+    if (!updated) continue;
+
+    cancelled++;
+    await notifyInterview(db, updated, {
+      recipientId: cancelledBy === updated.employerId ? updated.applicantId : updated.employerId,
+      senderId: cancelledBy,
+      title: 'Interview Cancelled',
+      message: `The interview for ${updated.jobTitle} was cancelled${reason ? `: ${reason}` : ''}`
+    });
+    if (interview.status === 'scheduled') {
+      await sendInterviewEmails(db, updated, {
+        subject: `Interview cancelled: ${updated.jobTitle}`,
+        text: `The interview for ${updated.jobTitle} on ${formatInterviewTime(updated.startsAt)} was cancelled.`
+      });
+    }
+  }
+
+  return cancelled;
+}
+
+// Remind both sides of scheduled interviews that are coming up. Each reminder is claimed
+// with findOneAndUpdate, so several app instances can run this at once.
+export async function sendInterviewReminders(db, now = new Date()) {
+  const interviews = await interviewCollection(db);
+  let sent = 0;
+
+  for (const [index, { key, beforeMs }] of INTERVIEW_REMINDERS.entries()) {
+    // Sending a reminder also settles the longer ones, which would come too late
+    const settled = INTERVIEW_REMINDERS.slice(index).map(reminder => reminder.key);
+
+    let interview;
+    while ((interview = await interviews.findOneAndUpdate(
+      {
+        status: 'scheduled',
+        startsAt: { $gt: now.toISOString(), $lte: new Date(now.getTime() + beforeMs).toISOString() },
+        remindersSent: { $ne: key }
+      },
+      { $addToSet: { remindersSent: { $each: settled } } }
+    ))) {
+      const message = `Reminder: the interview for ${interview.jobTitle} is on ${formatInterviewTime(interview.startsAt)}`;
+      for (const recipientId of [interview.employerId, interview.applicantId]) {
+        await notifyInterview(db, interview, { recipientId, title: 'Interview Reminder', message });
+      }
+      sent++;
+    }
+  }
+
+  if (sent > 0) {
+    logger.info('Interview reminders sent', { sent });
+  }
+  return sent;
+}
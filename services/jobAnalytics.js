@@ -0,0 +1,157 @@
+import { jobStatsCollection } from '../models/jobStats.js';
+import { jobStatus } from './jobLifecycle.js';
+import { logger } from '../utils/logger.js';
+
+// Counters kept per job and day
+export const JOB_EVENTS = ['views', 'saves', 'applications'];
+
+// Application statuses in the order candidates move through them
+const FUNNEL_STAGES = ['Pending', 'Reviewed', 'Interviewing', 'Hired'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC day of a date as YYYY-MM-DD
+export const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const rate = (count, total) => (total > 0 ? Math.round(count / total * 1000) / 1000 : null);
+
+// Count a view, save or application of a job for today. Analytics must never
+// break the request that triggered them, so errors are only logged.
+export async function recordJobEvent(db, job, event) {
+  try {
+    const jobStats = await jobStatsCollection(db);
+    await jobStats.updateOne(
+      { jobId: job._id.toString(), day: dayOf(new Date()) },
+      { $inc: { [event]: 1 }, $setOnInsert: { employerId: job.employerId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('Error recording job event', { err: error, event });
+  }
+}
+
+// Applications in the period by the furthest funnel stage they reached, found from
+// their status history, so rejected applications count for the stages before it
+async function applicationFunnel(db, jobIds, from, to) {
+  const reachedStages = await db.collection('applications').aggregate([
+    {
+      $match: {
+        jobId: { $in: jobIds },
+        appliedDate: { $gte: from.toISOString(), $lt: new Date(to.getTime() + DAY_MS).toISOString() }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          $max: {
+            $map: {
+              input: { $concatArrays: [['Pending', '$status'], { $ifNull: ['$statusHistory.to', []] }] },
+              in: { $indexOfArray: [FUNNEL_STAGES, '$$this'] }
+            }
+          }
+        },
+        count: { $sum: 1 },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'Rejected'] }, 1, 0] } }
+      }
+    }
+  ]).toArray();
+
+  // An application that got to a stage has been through the earlier ones
+  let previous = null;
+  const stages = FUNNEL_STAGES.map((status, index) => {
+    const count = reachedStages.filter(({ _id }) => _id >= index).reduce((sum, stage) => sum + stage.count, 0);
+    const stage = { status, count, conversionRate: previous === null ? null : rate(count, previous) };
+    previous = count;
+    return stage;
+  });
+
+  return { stages, rejected: reachedStages.reduce((sum, stage) => sum + stage.rejected, 0) };
+}
+
+// Daily views, saves and applications of the jobs from `from` to `to` (whole UTC
+// days, both included), their totals and the application status funnel.
+export async function jobAnalytics(db, jobIds, { from, to }) {
+  const jobStats = await jobStatsCollection(db);
+
+  const [days, funnel] = await Promise.all([
+    jobStats.aggregate([
+      { $match: { jobId: { $in: jobIds }, day: { $gte: dayOf(from), $lte: dayOf(to) } } },
+      {
+        $group: {
+          _id: '$day',
+          views: { $sum: '$views' },
+          saves: { $sum: '$saves' },
+          applications: { $sum: '$applications' }
+        }
+      }
+    ]).toArray(),
+    applicationFunnel(db, jobIds, from, to)
+  ]);
+
+  // Days without any activity are left out of jobStats, so fill them in with zeros
+  const byDay = new Map(days.map(day => [day._id, day]));
+  const totals = { views: 0, saves: 0, applications: 0 };
+  const daily = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    const date = dayOf(new Date(time));
+    const day = { date };
+    for (const event of JOB_EVENTS) {
+      day[event] = byDay.get(date)?.[event] || 0;
+      totals[event] += day[event];
+    }
+    daily.push(day);
+  }
+
+  return {
+    from: dayOf(from),
+    to: dayOf(to),
+    totals: {
+      ...totals,
+      saveRate: rate(totals.saves, totals.views),
+      applicationRate: rate(totals.applications, totals.views)
+    },
+    daily,
+    funnel
+  };
+}
+
+// Views, saves and applications of each job in the period, most viewed first
+export async function jobTotals(db, jobs, { from, to }) {
+  const jobStats = await jobStatsCollection(db);
+
+  const totals = await jobStats.aggregate([
+    { $match: { jobId: { $in: jobs.map(job => job._id.toString()) }, day: { $gte: dayOf(from), $lte: dayOf(to) } } },
+    {
+      $group: {
+        _id: '$jobId',
+        views: { $sum: '$views' },
+        saves: { $sum: '$saves' },
+        applications: { $sum: '$applications' }
+      }
+    }
+  ]).toArray();
+
+  const byJob = new Map(totals.map(total => [total._id, total]));
+  return jobs
+    .map(job => {
+      const total = byJob.get(job._id.toString());
+      return {
+        jobId: job._id.toString(),
+        title: job.title,
+        status: jobStatus(job),
+        views: total?.views || 0,
+        saves: total?.saves || 0,
+        applications: total?.applications || 0
+      };
+    })
+    .sort((a, b) => b.views - a.views || b.applications - a.applications);
+}
+
+// Whole UTC days covered by an analytics query. Defaults to the last 30 days.
+export function analyticsPeriod({ from, to }, now = new Date()) {
+  const end = new Date(dayOf(to || now));
+  const start = from ? new Date(dayOf(from)) : new Date(end.getTime() - 29 * DAY_MS);
+  return { from: start, to: end };
+}
+
+export const periodDays = ({ from, to }) => Math.round((to.getTime() - from.getTime()) / DAY_MS) + 1;
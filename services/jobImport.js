@@ -0,0 +1,211 @@
+import path from 'path';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { validateValue } from '../middlewares/validate.js';
+import { createJobSchema } from '../validators/jobs.js';
+import { APPLICATION_STATUSES } from '../validators/applications.js';
+import { jobContent } from './jobPostings.js';
+
+// Jobs in one import file at most
+export const MAX_IMPORT_ROWS = 500;
+
+// Import CSV columns and the job field each fills. Headers are matched ignoring case, spaces and underscores.
+export const IMPORT_COLUMNS = {
+  title: 'title',
+  employmentType: 'employmentType',
+  location: 'location',
+  description: 'description',
+  requirements: 'requirements',
+  salaryMin: 'salary.min',
+  salaryMax: 'salary.max',
+  salaryCurrency: 'salary.currency',
+  salaryPeriod: 'salary.period',
+  status: 'status',
+  publishAt: 'publishAt',
+  closingDate: 'closingDate'
+};
+
+// Fields taken from each job of a JSON import, any others are ignored
+const IMPORT_FIELDS = ['title', 'salary', 'employmentType', 'location', 'description', 'requirements', 'status', 'publishAt', 'closingDate'];
+
+// Requirements share one CSV cell, one per line or separated by semicolons
+const REQUIREMENT_SEPARATOR = /\r?\n|;/;
+
+const headerKey = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+const columnsByKey = new Map(Object.keys(IMPORT_COLUMNS).map(column => [headerKey(column), column]));
+
+const setPath = (target, fieldPath, value) => {
+  const [first, second] = fieldPath.split('.');
+  if (second) {
+    target[first] = { ...target[first], [second]: value };
+  } else {
+    target[first] = value;
+  }
+};
+
+// CSV column of a failing job field, e.g. salaryMin for salary.min and requirements for requirements.2
+const columnOf = (field) => Object.keys(IMPORT_COLUMNS)
+  .find(column => field === IMPORT_COLUMNS[column] || field?.startsWith(`${IMPORT_COLUMNS[column]}.`)) || field;
+
+function readCsvRows(text) {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const [headers = [], ...lines] = records;
+  const columns = headers.map(header => columnsByKey.get(headerKey(header.trim())) || null);
+  if (!columns.some(Boolean)) {
+    return { error: `The first row must name the columns, e.g. ${Object.keys(IMPORT_COLUMNS).join(', ')}` };
+  }
+
+  const rows = [];
+  lines.forEach((cells, index) => {
+    if (cells.every(cell => cell.trim() === '')) return;
+
+    const fields = {};
+    cells.forEach((cell, position) => {
+      const column = columns[position];
+      const value = cell.trim();
+      if (!column || value === '') return;
+
+      setPath(fields, IMPORT_COLUMNS[column], column === 'requirements'
+        ? value.split(REQUIREMENT_SEPARATOR).map(requirement => requirement.trim()).filter(Boolean)
+        : value);
+    });
+
+    // Spreadsheet row number, the header is row 1
+    rows.push({ row: index + 2, fields });
+  });
+
+  return {
+    rows,
+    ignoredColumns: headers.filter((header, position) => header.trim() && !columns[position])
+  };
+}
+
+function readJsonRows(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'The file is not valid JSON' };
+  }
+
+  const jobs = Array.isArray(data) ? data : data?.jobs;
+  if (!Array.isArray(jobs)) {
+    return { error: 'The file must hold an array of jobs or an object with a jobs array' };
+  }
+
+  const rows = jobs.map((job, index) => {
+    const fields = {};
+    if (job && typeof job === 'object' && !Array.isArray(job)) {
+      for (const field of IMPORT_FIELDS) {
+        if (job[field] !== undefined && job[field] !== null) fields[field] = job[field];
+      }
+    }
+    return { row: index + 1, fields };
+  });
+
+  return { rows, ignoredColumns: [] };
+}
+
+// Format of an uploaded import file, or null when it is neither CSV nor JSON
+export function importFormat(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.csv' || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype)) return 'csv';
+  if (extension === '.json' || file.mimetype === 'application/json') return 'json';
+  return null;
+}
+
+// Jobs of an uploaded CSV or JSON file, each validated like POST /api/jobs/create.
+// Returns the valid ones and the errors of the others by row, or an `error` when
+// the file itself can't be read.
+export function readImportFile(file) {
+  const format = importFormat(file);
+  const text = file.buffer.toString('utf8');
+  const result = format === 'csv' ? readCsvRows(text) : readJsonRows(text);
+
+  if (result.error) {
+    return { error: { code: 'INVALID_IMPORT_FILE', message: result.error } };
+  }
+  if (result.rows.length === 0) {
+    return { error: { code: 'INVALID_IMPORT_FILE', message: 'The file has no jobs' } };
+  }
+  if (result.rows.length > MAX_IMPORT_ROWS) {
+    return { error: { code: 'TOO_MANY_ROWS', message: `Import at most ${MAX_IMPORT_ROWS} jobs at a time` } };
+  }
+
+  const valid = [];
+  const invalid = [];
+  for (const { row, fields } of result.rows) {
+    const { value, errors } = validateValue(createJobSchema.body, fields, 'body');
+    if (errors) {
+      invalid.push({
+        row,
+        title: fields.title ?? null,
+        errors: errors.map(({ field, message }) => ({ field: format === 'csv' ? columnOf(field) : field, message }))
+      });
+    } else {
+      valid.push({ row, value });
+    }
+  }
+
+  return { format, total: result.rows.length, valid, invalid, ignoredColumns: result.ignoredColumns };
+}
+
+// Dates the import takes only while they are in the future
+const SCHEDULE_DATES = ['publishAt', 'closingDate'];
+
+// The import only creates drafts and published (or, with publishAt, scheduled) jobs.
+// Live and scheduled jobs are exported to be published again, the others as drafts.
+const importStatus = (status) => (['published', 'scheduled'].includes(status) ? 'published' : 'draft');
+
+// Jobs as exported: the content, status and dates in the import format, the status the
+// job has now as currentStatus, and application counts. Dates that have passed are left
+// out. `applicationCounts` maps job IDs to counts by application status. Jobs need their
+// status, also the ones from before job statuses.
+export function exportJobs(jobs, applicationCounts, now = new Date()) {
+  return jobs.map(job => {
+    const counts = applicationCounts.get(job._id.toString()) || {};
+    const applications = { total: 0 };
+    for (const status of APPLICATION_STATUSES) {
+      applications[status] = counts[status] || 0;
+      applications.total += applications[status];
+    }
+
+    const exported = { id: job._id.toString(), ...jobContent(job), status: importStatus(job.status), currentStatus: job.status };
+    for (const field of SCHEDULE_DATES) {
+      exported[field] = job[field] && new Date(job[field]) > now ? job[field] : null;
+    }
+    return { ...exported, postedDate: job.postedDate || null, applications };
+  });
+}
+
+// CSV of exported jobs. The job columns match the import columns, so the file can be imported
+// again; the other columns are ignored by the import.
+export function exportCsv(exported) {
+  const header = [
+    'id',
+    ...Object.keys(IMPORT_COLUMNS),
+    'currentStatus',
+    'postedDate',
+    'applications',
+    ...APPLICATION_STATUSES.map(status => `applications${status}`)
+  ];
+
+  const rows = exported.map(job => [
+    job.id,
+    ...Object.entries(IMPORT_COLUMNS).map(([column, fieldPath]) => (column === 'requirements'
+      ? (job.requirements || []).join('; ')
+      : fieldPath.split('.').reduce((value, key) => value?.[key], job))),
+    job.currentStatus,
+    job.postedDate,
+    job.applications.total,
+    ...APPLICATION_STATUSES.map(status => job.applications[status])
+  ]);
+
+  return toCsv([header, ...rows]);
+}
@@ -0,0 +1,142 @@
+import { connectDB } from '../db.js';
+import { createNotification } from '../routes/notifications.js';
+import { logger } from '../utils/logger.js';
+import { JOB_TRANSITIONS } from '../validators/jobs.js';
+import { notifyMatchingSearches, sendSearchDigests } from './savedSearches.js';
+import { sendInterviewReminders } from './interviews.js';
+
+// Jobs created before the lifecycle only have the active flag
+export const jobStatus = (job) => job.status || (job.closedAt ? 'closed' : job.active === false ? 'paused' : 'published');
+
+// Jobs that aren't listed (drafts, scheduled, paused, closed, archived or unpublished by
+// an admin) are only shown to their employer and admins
+export const canViewJob = (job, user) =>
+  job.active !== false || (!!user && (job.employerId === user.id || user.role === 'admin'));
+
+export const canTransition = (from, to) => JOB_TRANSITIONS[from].includes(to);
+
+// Fields to set for a new status. `active` stays the flag for "listed and open for
+// applications", which is what job searches filter on.
+export function statusFields(job, status, now = new Date().toISOString()) {
+  const fields = {
+    status,
+    active: status === 'published' && !job.unpublishedByAdmin,
+    statusChangedAt: now
+  };
+
+  if (status === 'published') {
+    fields.publishedAt = now;
+    // Drafts count as posted when they go live, not when they were written
+    if (['draft', 'scheduled'].includes(jobStatus(job))) {
+      fields.postedDate = now;
+    }
+  } else if (status === 'closed') {
+    fields.closedAt = now;
+  } else if (status === 'archived') {
+    fields.archivedAt = now;
+  }
+
+  return fields;
+}
+
+// Tell everyone still waiting on an application that the job closed
+export async function notifyPendingApplicants(db, job) {
+  const jobId = job._id.toString();
+  const applications = await db.collection('applications').find(
+    { jobId, status: 'Pending', applicantId: { $ne: null } },
+    { projection: { applicantId: 1 } }
+  ).toArray();
+
+  for (const application of applications) {
+    await createNotification(db, {
+      recipientId: application.applicantId,
+      type: 'job_closed',
+      title: 'Job Closed',
+      message: `The job "${job.title}" you applied for is now closed. The employer can still respond to your application.`,
+      relatedId: jobId,
+      relatedType: 'job'
+    });
+  }
+
+  return applications.length;
+}
+
+// Move a job to a new status. The update only applies if nobody changed the
+// status in the meantime; returns whether it did. Jobs going live for the first
+// time are sent to the saved searches they match.
+export async function transitionJob(db, job, status, extraFields = {}) {
+  const result = await db.collection('jobs').updateOne(
+    { _id: job._id, status: job.status ?? { $exists: false } },
+    { $set: { ...statusFields(job, status), ...extraFields } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  if (status === 'closed') {
+    await notifyPendingApplicants(db, job);
+  } else if (status === 'published' && ['draft', 'scheduled'].includes(jobStatus(job))) {
+    await notifyMatchingSearches(db, job);
+  }
+  return true;
+}
+
+// Publish scheduled jobs whose publishAt has come and close jobs past their closing date.
+// Each job is claimed with findOneAndUpdate, so several app instances can run this at once.
+export async function runJobSchedule(db, now = new Date()) {
+  const jobs = db.collection('jobs');
+  const nowIso = now.toISOString();
+  let published = 0;
+  let closed = 0;
+
+  let job;
+  while ((job = await jobs.findOneAndUpdate(
+    { status: 'scheduled', publishAt: { $lte: nowIso }, unpublishedByAdmin: { $ne: true } },
+    { $set: { status: 'published', active: true, statusChangedAt: nowIso, publishedAt: nowIso, postedDate: nowIso } }
+  ))) {
+    published++;
+    await notifyMatchingSearches(db, job);
+  }
+
+  while ((job = await jobs.findOneAndUpdate(
+    { status: { $in: ['scheduled', 'published', 'paused'] }, closingDate: { $lte: nowIso } },
+    { $set: { status: 'closed', active: false, statusChangedAt: nowIso, closedAt: nowIso, closedReason: 'closing_date' } }
+  ))) {
+    closed++;
+    await notifyPendingApplicants(db, job);
+  }
+
+  if (published > 0 || closed > 0) {
+    logger.info('Job schedule applied', { published, closed });
+  }
+  return { published, closed };
+}
+
+// Run the schedule and send due saved search digests and interview reminders every intervalMs.
+// A run that is still going is never overlapped.
+export function startJobScheduler(intervalMs) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const db = await connectDB();
+      await runJobSchedule(db);
+      await sendSearchDigests(db);
+      await sendInterviewReminders(db);
+    } catch (error) {
+      logger.error('Error running job schedule', { err: error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,257 @@
+import { escapeRegex } from '../utils/query.js';
+import { SALARY_BANDS } from '../validators/jobs.js';
+import { withinRadius, distanceStage } from './geocoding.js';
+import { salaryRangeFilter } from './salaries.js';
+
+// Jobs without a closing date sort after every real date
+const NO_CLOSING_DATE = '9999-12-31T23:59:59.999Z';
+
+// Number of locations counted in the location facet
+const LOCATION_FACET_LIMIT = 20;
+
+// Length of the description snippet shown with search results
+const SNIPPET_LENGTH = 200;
+
+// Sort stages per sort option. Ties are broken by _id so pages never overlap.
+const SORT_STAGES = {
+  newest: [{ $sort: { postedDate: -1, _id: -1 } }],
+  oldest: [{ $sort: { postedDate: 1, _id: 1 } }],
+  // Salaries are compared by their annual equivalent, whatever the pay period
+  salary_desc: [{ $sort: { 'salary.annual.max': -1, postedDate: -1, _id: -1 } }],
+  salary_asc: [{ $sort: { 'salary.annual.min': 1, postedDate: -1, _id: -1 } }],
+  closing_soon: [
+    { $addFields: { sortClosingDate: { $ifNull: ['$closingDate', NO_CLOSING_DATE] } } },
+    { $sort: { sortClosingDate: 1, postedDate: -1, _id: -1 } },
+    { $project: { sortClosingDate: 0 } }
+  ],
+  // Only for text searches, which add the score field
+  relevance: [{ $sort: { score: -1, postedDate: -1, _id: -1 } }],
+  // Only for radius searches, which add the distanceKm field
+  distance: [{ $sort: { distanceKm: 1, postedDate: -1, _id: -1 } }],
+  // Only for lists joined with savedJobs (see savedDateStages)
+  saved: [{ $sort: { savedDate: -1, _id: -1 } }]
+};
+
+// Adds the date a user saved each job as savedDate
+export const savedDateStages = (userId) => [
+  {
+    $lookup: {
+      from: 'savedJobs',
+      let: { jobId: { $toString: '$_id' } },
+      pipeline: [
+        { $match: { $expr: { $and: [{ $eq: ['$jobId', '$$jobId'] }, { $eq: ['$userId', userId] }] } } },
+        { $project: { savedDate: 1 } }
+      ],
+      as: 'saved'
+    }
+  },
+  { $addFields: { savedDate: { $first: '$saved.savedDate' } } },
+  { $project: { saved: 0 } }
+];
+
+const pageStages = ({ sort, skip, limit }) => [...SORT_STAGES[sort], { $skip: skip }, { $limit: limit }];
+
+// One page of the jobs matching `filter`, with the total number of matches.
+// `stages` run before sorting, e.g. to add fields to sort by.
+export async function listJobs(jobs, filter, { sort = 'newest', page, limit, skip, stages = [] }) {
+  const [result] = await jobs.aggregate([
+    { $match: filter },
+    ...stages,
+    {
+      $facet: {
+        jobs: pageStages({ sort, skip, limit }),
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]).toArray();
+
+  return {
+    jobs: result.jobs,
+    total: result.total[0]?.count || 0,
+    page,
+    limit
+  };
+}
+
+const salaryRange = ({ min, max }) => (max === undefined ? { $gte: min } : { $gte: min, $lt: max });
+
+// Jobs are put in the band of the most they pay per year.
+// Null when the salary is missing.
+const salaryBandExpression = {
+  $switch: {
+    branches: SALARY_BANDS.map(band => ({
+      case: {
+        $and: [
+          { $gte: ['$salary.annual.max', band.min] },
+          ...(band.max === undefined ? [] : [{ $lt: ['$salary.annual.max', band.max] }])
+        ]
+      },
+      then: band.value
+    })),
+    default: null
+  }
+};
+
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Words and quoted phrases of a $text search, without negated terms
+const searchTerms = (keyword) => {
+  const phrases = [...keyword.matchAll(/"([^"]+)"/g)].map(match => match[1].trim());
+  const words = keyword.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(word => word && !word.startsWith('-'));
+
+  return [...new Set([...phrases, ...words].map(term => term.toLowerCase()).filter(Boolean))];
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// HTML-escaped text with the matches of `pattern` wrapped in <mark>
+const markMatches = (text, pattern) => {
+  let html = '';
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(text.slice(last));
+};
+
+// Part of the description around the first match, cut at word boundaries
+const snippet = (text, pattern) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return markMatches(text, pattern);
+  }
+
+  const firstMatch = text.search(new RegExp(pattern.source, 'iu'));
+  let start = Math.max(0, firstMatch - SNIPPET_LENGTH / 4);
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1 || start;
+  }
+
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+  }
+
+  return (start > 0 ? '… ' : '') + markMatches(text.slice(start, end).trim(), pattern) + (end < text.length ? ' …' : '');
+};
+
+// Title and description snippet with the search terms highlighted.
+// Terms also match longer words (care -> carer) to roughly follow the index's stemming.
+const highlighter = (keyword) => {
+  const terms = searchTerms(keyword);
+  if (terms.length === 0) {
+    return (job) => job;
+  }
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  return (job) => ({
+    ...job,
+    highlights: {
+      title: markMatches(job.title || '', pattern),
+      description: snippet(job.description || '', pattern)
+    }
+  });
+};
+
+// Filters of a job search: `filter` for the search itself and `refinements` for
+// the facet filters, keyed by facet. `origin` is the GeoJSON point to search around.
+export function searchFilters({
+  location,
+  employmentType,
+  salaryBand,
+  minSalary,
+  maxSalary,
+  salaryPeriod,
+  currency,
+  keyword,
+  origin,
+  radiusKm
+}) {
+  const filter = {
+    active: true,
+    ...salaryRangeFilter({ minSalary, maxSalary, period: salaryPeriod, currency })
+  };
+  if (keyword) {
+    filter.$text = { $search: keyword };
+  }
+  if (origin) {
+    Object.assign(filter, withinRadius('geoLocation', origin, radiusKm));
+  }
+
+  const refinements = {};
+  if (location) {
+    refinements.location = { location: { $regex: escapeRegex(location), $options: 'i' } };
+  }
+  if (employmentType) {
+    refinements.employmentType = { employmentType };
+  }
+  if (salaryBand) {
+    refinements.salaryBand = { 'salary.annual.max': salaryRange(SALARY_BANDS.find(band => band.value === salaryBand)) };
+  }
+
+  return { filter, refinements };
+}
+
+// Query for the jobs a search finds, with every filter applied
+export function searchQuery(search) {
+  const { filter, refinements } = searchFilters(search);
+  const matches = Object.values(refinements);
+
+  return matches.length > 0 ? { ...filter, $and: matches } : filter;
+}
+
+// Full-text and radius search over the active jobs with facet counts for the filter chips.
+// Each facet is counted with every filter except its own, so a chip shows how many jobs
+// there would be when picking it instead.
+export async function searchJobs(jobs, { keyword, origin, sort, page, limit, skip, ...search }) {
+  const { filter, refinements } = searchFilters({ keyword, origin, ...search });
+
+  const refine = (except) => ({
+    $match: Object.assign({}, ...Object.entries(refinements).filter(([name]) => name !== except).map(([, match]) => match))
+  });
+
+  // Relevance and distance need a search, without one they fall back to newest
+  let sortBy = sort || (keyword ? 'relevance' : origin ? 'distance' : 'newest');
+  if ((sortBy === 'relevance' && !keyword) || (sortBy === 'distance' && !origin)) {
+    sortBy = 'newest';
+  }
+
+  const [result] = await jobs.aggregate([
+    { $match: filter },
+    ...(keyword ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    ...(origin ? [distanceStage('geoLocation', origin)] : []),
+    {
+      $facet: {
+        jobs: [refine(), ...pageStages({ sort: sortBy, skip, limit })],
+        total: [refine(), { $count: 'count' }],
+        employmentType: [refine('employmentType'), ...countBy('employmentType')],
+        location: [refine('location'), ...countBy('location'), { $limit: LOCATION_FACET_LIMIT }],
+        salaryBand: [
+          refine('salaryBand'),
+          { $group: { _id: salaryBandExpression, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]).toArray();
+
+  const bandCounts = new Map(result.salaryBand.map(band => [band._id, band.count]));
+  const toFacet = ({ _id, count }) => ({ value: _id, count });
+
+  return {
+    jobs: keyword ? result.jobs.map(highlighter(keyword)) : result.jobs,
+    total: result.total[0]?.count || 0,
+    page,
+    limit,
+    facets: {
+      employmentType: result.employmentType.map(toFacet),
+      location: result.location.map(toFacet),
+      salaryBand: SALARY_BANDS.map(band => ({ ...band, count: bandCounts.get(band.value) || 0 }))
+    }
+  };
+}
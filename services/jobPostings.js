@@ -0,0 +1,61 @@
+import { buildSalary } from './salaries.js';
+import { geocode } from './geocoding.js';
+
+// Fields describing the job itself, copied by duplicates and templates
+export const JOB_CONTENT_FIELDS = ['title', 'salary', 'employmentType', 'location', 'description', 'requirements'];
+
+// The content of a stored job, in the form POST /api/jobs/create accepts it
+export function jobContent(job) {
+  const content = {};
+  for (const field of JOB_CONTENT_FIELDS) {
+    if (job[field] !== undefined && job[field] !== null) {
+      content[field] = job[field];
+    }
+  }
+
+  // Stored salaries also carry the normalized amounts
+  if (content.salary) {
+    const { min, max, currency, period } = content.salary;
+    content.salary = { min, max, currency, period };
+  }
+
+  return content;
+}
+
+// New job document from validated create fields. Jobs to publish later are
+// scheduled and wait for the scheduler to publish them.
+export function newJobPosting(employerId, fields) {
+  const {
+    title,
+    salary,
+    employmentType,
+    location,
+    description,
+    requirements,
+    postedDate,
+    publishAt,
+    closingDate
+  } = fields;
+
+  const status = fields.status === 'published' && publishAt ? 'scheduled' : fields.status;
+  const now = new Date().toISOString();
+
+  return {
+    employerId,
+    title,
+    salary: salary ? buildSalary(salary) : null,
+    employmentType,
+    location,
+    geoLocation: geocode(location),
+    description,
+    requirements: requirements || [],
+    postedDate: postedDate || now,
+    status,
+    active: status === 'published',
+    statusChangedAt: now,
+    publishedAt: status === 'published' ? now : null,
+    publishAt: publishAt ? publishAt.toISOString() : null,
+    closingDate: closingDate ? closingDate.toISOString() : null,
+    applications: []
+  };
+}
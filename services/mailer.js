@@ -0,0 +1,74 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+export const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const MAIL_FROM = process.env.MAIL_FROM || 'CareMatch <no-reply@carematch.app>';
+
+// Build the transport from environment:
+// - MAIL_TRANSPORT=smtp (default when SMTP_HOST is set), e.g. MailHog/Mailpit on localhost:1025 in dev
+// - MAIL_TRANSPORT=json prints the message to the console instead of sending it
+const transportType = () => process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+const createDefaultTransport = () => {
+  const type = transportType();
+
+  if (type === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+// Called at startup. In production emails must be delivered (password resets, email
+// verification, interviews), so a missing SMTP_HOST stops the server. Only an explicit
+// MAIL_TRANSPORT=json lets it run without sending them.
+export function checkMailConfig() {
+  if (process.env.NODE_ENV !== 'production' || transportType() !== 'json') return;
+
+  if (!process.env.MAIL_TRANSPORT) {
+    throw new Error('SMTP_HOST must be set in production, or MAIL_TRANSPORT=json to not send emails');
+  }
+  logger.error('MAIL_TRANSPORT=json in production, emails are not sent');
+}
+
+let transport = null;
+
+// Swap the transport, e.g. for a stub in scripts or another provider
+export function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+export async function sendMail({ to, subject, text, html, attachments }) {
+  const info = await getTransport().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+
+  // The JSON transport doesn't deliver anything, so show what would have been sent
+  if (info.message && typeof info.message === 'string') {
+    logger.debug('Email not delivered (MAIL_TRANSPORT=json)', { mail: info.message });
+  }
+
+  return info;
+}
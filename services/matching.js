@@ -0,0 +1,208 @@
+import { normalizeText } from '../utils/text.js';
+import { distanceBetween } from './geocoding.js';
+
+// How much each criterion counts. Criteria a job doesn't ask for are left out,
+// so the score is the share of the points the job's criteria are worth.
+export const MATCH_WEIGHTS = {
+  requirements: 40,
+  location: 25,
+  englishLevel: 15,
+  drivingLicence: 10,
+  liveInExperience: 10
+};
+
+// Recommendations and candidate lists score this many of the newest jobs or carers
+export const MATCH_POOL_SIZE = 500;
+
+// Carers within FULL_SCORE_KM of the job get the whole location score, beyond
+// ZERO_SCORE_KM none. Live-in carers move in, so distance matters less for them.
+const FULL_SCORE_KM = 10;
+const ZERO_SCORE_KM = 80;
+const LIVE_IN_ZERO_SCORE_KM = 400;
+
+// English levels from lowest to highest and the words people use for them
+export const ENGLISH_LEVELS = [
+  ['basic', 'beginner', 'elementary', 'a1', 'a2'],
+  ['intermediate', 'b1', 'conversational'],
+  ['good', 'upper intermediate', 'b2'],
+  ['fluent', 'advanced', 'proficient', 'c1', 'c2'],
+  ['native', 'mother tongue', 'first language']
+];
+
+// Level required by an English requirement that doesn't name one
+const DEFAULT_ENGLISH_LEVEL = 2;
+
+// Words that say nothing about the skill a requirement asks for
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'into', 'must', 'have', 'has', 'had', 'able', 'ability', 'are', 'you',
+  'your', 'our', 'who', 'any', 'all', 'least', 'years', 'year', 'months', 'minimum', 'required', 'requirement',
+  'essential', 'preferred', 'desirable', 'experience', 'experienced', 'knowledge', 'skills', 'skill', 'level',
+  'care', 'caring', 'carer', 'carers', 'work', 'working', 'good', 'strong', 'proven', 'previous', 'plus'
+]);
+
+const YES = new Set(['yes', 'y', 'true', 'da', 'have', 'full', 'valid']);
+const NO = new Set(['no', 'n', 'false', 'ne', 'none']);
+
+const words = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []).filter(item => typeof item === 'string');
+
+// Yes/no profile answers are booleans or free text. Null when the answer is missing or unclear.
+const answer = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return null;
+
+  const [first] = words(value);
+  return YES.has(first) ? true : NO.has(first) ? false : null;
+};
+
+// Index in ENGLISH_LEVELS of a level described in text, or null
+export const englishLevel = (text) => {
+  const normalized = ` ${normalizeText(text || '')} `;
+  for (let level = ENGLISH_LEVELS.length - 1; level >= 0; level--) {
+    if (ENGLISH_LEVELS[level].some(name => normalized.includes(` ${name} `))) {
+      return level;
+    }
+  }
+  return null;
+};
+
+const mentions = {
+  drivingLicence: (text) => /\b(driv\w*|licen[cs]e|car owner)\b/.test(text),
+  englishLevel: (text) => /\benglish\b/.test(text),
+  liveInExperience: (text) => /\blive ?in\b/.test(text)
+};
+
+// Split a job's requirements into the ones a profile field answers and the skills
+// compared with the carer's qualifications and experience
+const readRequirements = (job) => {
+  const asks = { drivingLicence: null, englishLevel: null, liveInExperience: null, skills: [] };
+
+  for (const requirement of asList(job.requirements)) {
+    const text = normalizeText(requirement);
+    const field = Object.keys(mentions).find(name => mentions[name](text));
+    if (field) {
+      asks[field] = requirement;
+    } else {
+      asks.skills.push(requirement);
+    }
+  }
+
+  // Live-in jobs often only say so in the title or employment type
+  if (!asks.liveInExperience && mentions.liveInExperience(normalizeText(`${job.title || ''} ${job.employmentType || ''}`))) {
+    asks.liveInExperience = 'Live-in job';
+  }
+
+  return asks;
+};
+
+// Significant words of a skill, and whether a carer's word is the same word.
+// Words sharing their first five letters count as one (dementia, dementias).
+const skillWords = (text) => words(text).filter(word => !STOP_WORDS.has(word) && (word.length > 2 || /\d/.test(word)));
+const sameWord = (a, b) => a === b || (a.length >= 5 && b.length >= 5 && a.slice(0, 5) === b.slice(0, 5));
+
+const rate = (value) => Math.round(value * 100) / 100;
+
+function requirementsCriterion(skills, profile) {
+  const carerWords = [...asList(profile.qualification), ...asList(profile.careExperience)].flatMap(skillWords);
+  const matched = [];
+  const missing = [];
+  let total = 0;
+
+  for (const skill of skills) {
+    const needed = skillWords(skill);
+    const found = needed.filter(word => carerWords.some(carerWord => sameWord(word, carerWord)));
+    const share = needed.length === 0 ? 1 : found.length / needed.length;
+
+    total += share;
+    (share === 1 ? matched : missing).push(skill);
+  }
+
+  return {
+    score: total / skills.length,
+    matched,
+    missing,
+    detail: `${matched.length} of ${skills.length} requirements met`
+  };
+}
+
+function locationCriterion(job, carer, liveIn) {
+  if (job.geoLocation && carer.geoLocation) {
+    const distanceKm = Math.round(distanceBetween(job.geoLocation, carer.geoLocation) * 10) / 10;
+    const zeroScoreKm = liveIn ? LIVE_IN_ZERO_SCORE_KM : ZERO_SCORE_KM;
+    const score = Math.min(1, Math.max(0, (zeroScoreKm - distanceKm) / (zeroScoreKm - FULL_SCORE_KM)));
+    return { score, distanceKm, detail: `${distanceKm} km away` };
+  }
+
+  // Without coordinates only the same place name counts
+  const carerLocation = carer.profileData?.location;
+  if (job.location && carerLocation && normalizeText(job.location) === normalizeText(carerLocation)) {
+    return { score: 1, detail: 'Same location' };
+  }
+  return { score: 0, detail: carerLocation ? 'Location too far or unknown' : 'No location in profile' };
+}
+
+function englishCriterion(requirement, profile) {
+  const required = englishLevel(requirement) ?? DEFAULT_ENGLISH_LEVEL;
+  const level = englishLevel(profile.englishLevel);
+  const levelName = (index) => ENGLISH_LEVELS[index][0];
+
+  if (level === null) {
+    return { score: 0, detail: `Needs ${levelName(required)} English, level not given` };
+  }
+  // One level short still counts for half
+  const score = level >= required ? 1 : level === required - 1 ? 0.5 : 0;
+  return { score, detail: `Needs ${levelName(required)} English, has ${levelName(level)}` };
+}
+
+function yesNoCriterion(value, label) {
+  const has = answer(value);
+  return {
+    score: has ? 1 : 0,
+    detail: `${label}: ${has === null ? 'not stated' : has ? 'yes' : 'no'}`
+  };
+}
+
+// How well a carer fits a job: a score from 0 to 100 and the criteria it is made of,
+// each with its weight, its score from 0 to 1 and why.
+export function scoreMatch(job, carer) {
+  const profile = carer.profileData || {};
+  const asks = readRequirements(job);
+  const criteria = {};
+
+  if (asks.skills.length > 0) {
+    criteria.requirements = requirementsCriterion(asks.skills, profile);
+  }
+  if (job.location || job.geoLocation) {
+    criteria.location = locationCriterion(job, carer, !!asks.liveInExperience);
+  }
+  if (asks.englishLevel) {
+    criteria.englishLevel = englishCriterion(asks.englishLevel, profile);
+  }
+  if (asks.drivingLicence) {
+    criteria.drivingLicence = yesNoCriterion(profile.drivingLicence, 'Driving licence');
+  }
+  if (asks.liveInExperience) {
+    criteria.liveInExperience = yesNoCriterion(profile.liveInExperience, 'Live-in experience');
+  }
+
+  const breakdown = Object.entries(criteria).map(([criterion, { score, ...result }]) => ({
+    criterion,
+    weight: MATCH_WEIGHTS[criterion],
+    score: rate(score),
+    ...result
+  }));
+
+  const possible = breakdown.reduce((sum, { weight }) => sum + weight, 0);
+  const earned = breakdown.reduce((sum, { weight, score }) => sum + weight * score, 0);
+
+  return {
+    score: possible > 0 ? Math.round(earned / possible * 100) : 0,
+    breakdown
+  };
+}
+
+// Items ranked by match score, best first. Ties keep their order.
+export const rankByMatch = (items, scoreItem) => items
+  .map(item => ({ ...item, match: scoreItem(item) }))
+  .sort((a, b) => b.match.score - a.match.score);
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { issueAuthToken, consumeAuthToken } from './authTokens.js';
+import { revokeAllSessions } from './sessions.js';
+import { sendMail, FRONTEND_URL } from './mailer.js';
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Email a password reset link. Does nothing for unknown emails so the
+// response can't be used to find out which emails are registered.
+export async function requestPasswordReset(db, email) {
+  const user = await db.collection('users').findOne({ email });
+  if (!user) {
+    return;
+  }
+
+  const token = await issueAuthToken(db, user._id.toString(), 'password_reset', RESET_TOKEN_TTL_MINUTES);
+  const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your CareMatch password',
+    text: `Hi ${user.fullName || ''},\n\n` +
+      `We received a request to reset your CareMatch password. Use the link below to choose a new one:\n\n` +
+      `${resetUrl}\n\n` +
+      `The link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once. ` +
+      `If you didn't ask for this, you can ignore this email - your password stays the same.`
+  });
+}
+
+// Set a new password using a reset token. Returns false if the token is not valid.
+export async function resetPassword(db, token, newPassword) {
+  const resetToken = await consumeAuthToken(db, 'password_reset', token);
+  if (!resetToken) {
+    return false;
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  await db.collection('users').updateOne(
+    { _id: new ObjectId(resetToken.userId) },
+    {
+      $set: {
+        password: hashedPassword,
+        updatedAt: new Date().toISOString()
+      },
+      $unset: {
+        passwordTemporary: ""
+      }
+    }
+  );
+
+  // Whoever had access before the reset shouldn't keep it
+  await revokeAllSessions(db, resetToken.userId, 'password_reset');
+
+  return true;
+}
+
+// Replace a user's password with a generated one they must change on next
+// login (passwordTemporary). Used for resets forced by an administrator.
+export async function issueTemporaryPassword(db, user) {
+  const tempPassword = crypto.randomBytes(9).toString('base64url');
+  const hashedPassword = await bcrypt.hash(tempPassword, 10);
+
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        password: hashedPassword,
+        passwordTemporary: true,
+        updatedAt: new Date().toISOString()
+      }
+    }
+  );
+
+  await revokeAllSessions(db, user._id.toString(), 'password_reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your CareMatch password was reset',
+    text: `Hi ${user.fullName || ''},\n\n` +
+      `An administrator has reset your CareMatch password. Your temporary password is:\n\n` +
+      `${tempPassword}\n\n` +
+      `You will be asked to choose a new password after logging in.`
+  });
+}
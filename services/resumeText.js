@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+import mammoth from 'mammoth';
+import { extractText, getDocumentProxy } from 'unpdf';
+import { foldText, normalizeText } from '../utils/text.js';
+import { escapeRegex } from '../utils/query.js';
+import { ENGLISH_LEVELS, englishLevel } from './matching.js';
+import { MAX_SEARCH_KEYWORDS } from '../validators/applications.js';
+import { logger } from '../utils/logger.js';
+
+// Characters of resume text kept, enough for any real CV
+const MAX_TEXT_LENGTH = 100000;
+
+// Extraction is given up after this long, e.g. for a PDF built to be slow to read
+const EXTRACTION_TIMEOUT_MS = 15000;
+
+// Snippets shown per application and characters around the matched keyword
+const MAX_SNIPPETS = 3;
+const SNIPPET_CONTEXT = 60;
+
+// Qualifications and kinds of care experience recognized in resumes, as suggested for the profile
+const QUALIFICATIONS = [
+  'Care Certificate', 'NVQ Level 2', 'NVQ Level 3', 'QCF Level 2', 'QCF Level 3', 'First Aid', 'CPR',
+  'Basic Life Support', 'Manual Handling', 'Medication Administration', 'Food Hygiene', 'Safeguarding',
+  'Infection Control', 'Nursing', 'Physiotherapy', 'Caregiver course', 'Geriatric care course'
+];
+const CARE_EXPERIENCE = [
+  'Dementia', 'Alzheimer', 'Parkinson', 'Stroke', 'Palliative care', 'End of life care', 'Elderly care',
+  'Disability care', 'Learning disabilities', 'Autism', 'Mental health', 'Childcare', 'Post-operative care',
+  'Mobility assistance', 'Personal care', 'Companionship', 'Diabetes', 'Hoist', 'Catheter care', 'Peg feeding'
+];
+
+const withTimeout = (promise) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => {
+    setTimeout(() => reject(new Error('Resume text extraction timed out')), EXTRACTION_TIMEOUT_MS).unref();
+  })
+]);
+
+async function readPdf(filePath) {
+  const pdf = await getDocumentProxy(new Uint8Array(await fs.promises.readFile(filePath)));
+  try {
+    const { text } = await extractText(pdf, { mergePages: true });
+    return text;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+async function readDocx(filePath) {
+  const { value } = await mammoth.extractRawText({ path: filePath });
+  return value;
+}
+
+const READERS = {
+  '.pdf': readPdf,
+  '.docx': readDocx
+};
+
+// Blank lines and runs of spaces collapsed, as PDFs put text together from pieces
+const cleanText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[^\S\n]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim()
+  .slice(0, MAX_TEXT_LENGTH);
+
+// Text of a resume file for the application: resumeText to show, resumeSearchText
+// (folded, see foldText) to search and resumeTextStatus, one of extracted, empty
+// (e.g. a scanned PDF), unsupported (old .doc files) or failed. Never throws.
+export async function extractResumeText(filePath) {
+  const reader = READERS[path.extname(filePath).toLowerCase()];
+  const result = (status, text = null) => ({
+    resumeText: text,
+    resumeSearchText: text && foldText(text),
+    resumeTextStatus: status,
+    resumeTextExtractedAt: new Date().toISOString()
+  });
+
+  if (!reader) {
+    return result('unsupported');
+  }
+
+  try {
+    const text = cleanText(await withTimeout(reader(filePath)));
+    return text ? result('extracted', text) : result('empty');
+  } catch (error) {
+    logger.warn('Could not extract resume text', { err: error, file: path.basename(filePath) });
+    return result('failed');
+  }
+}
+
+// Applications searched by keyword at most, the newest
+export const RESUME_SEARCH_POOL = 1000;
+
+// Keywords of a search: words and "quoted phrases", folded, without repeats
+export function parseKeywords(q) {
+  const keywords = [];
+  for (const [, phrase, word] of q.matchAll(/"([^"]+)"|(\S+)/g)) {
+    const keyword = foldText(phrase ?? word).replace(/\s+/g, ' ').trim();
+    if (keyword && !keywords.includes(keyword)) {
+      keywords.push(keyword);
+    }
+  }
+  return keywords.slice(0, MAX_SEARCH_KEYWORDS);
+}
+
+// Filter for the applications whose resume may contain the keywords. It also finds
+// keywords inside longer words, resumeMatch decides.
+export const resumeKeywordFilter = (keywords, match) => {
+  const conditions = keywords.map(keyword => ({ resumeSearchText: { $regex: escapeRegex(keyword) } }));
+  return match === 'all' ? { $and: conditions } : { $or: conditions };
+};
+
+// Keywords match at the start of a word, so "dement" finds "dementia" but "care" doesn't find "healthcare"
+const keywordPattern = (keyword) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(keyword)}`, 'gu');
+
+// Where an application's resume matches the keywords: the keywords found, a score and
+// snippets of the text with the positions of the matches in them. Null when the resume
+// doesn't match, or with `match` all, when a keyword is missing.
+export function resumeMatch(application, keywords, match = 'all') {
+  const text = application.resumeText;
+  const folded = application.resumeSearchText;
+  if (!text || !folded) {
+    return null;
+  }
+
+  const found = [];
+  let occurrences = 0;
+  const positions = [];
+
+  for (const keyword of keywords) {
+    const matches = [...folded.matchAll(keywordPattern(keyword))];
+    if (matches.length === 0) continue;
+
+    found.push(keyword);
+    occurrences += matches.length;
+    positions.push(...matches.map(({ index }) => ({ start: index, end: index + keyword.length })));
+  }
+
+  if (found.length === 0 || (match === 'all' && found.length < keywords.length)) {
+    return null;
+  }
+
+  positions.sort((a, b) => a.start - b.start);
+
+  // Snippets around the first matches, matches close together share one
+  const snippets = [];
+  for (const position of positions) {
+    const last = snippets[snippets.length - 1];
+    if (last && position.start < last.end) {
+      last.highlights.push(position);
+      last.end = Math.max(last.end, Math.min(text.length, position.end + SNIPPET_CONTEXT));
+      continue;
+    }
+    if (snippets.length === MAX_SNIPPETS) break;
+
+    snippets.push({
+      start: Math.max(0, position.start - SNIPPET_CONTEXT),
+      end: Math.min(text.length, position.end + SNIPPET_CONTEXT),
+      highlights: [position]
+    });
+  }
+
+  return {
+    // Every keyword found counts most, then how often they occur
+    score: found.length * 100 + Math.min(occurrences, 99),
+    keywords: found,
+    snippets: snippets.map(({ start, end, highlights }) => ({
+      text: text.slice(start, end).replace(/\n/g, ' '),
+      highlights: highlights.map(highlight => ({ start: highlight.start - start, end: highlight.end - start }))
+    }))
+  };
+}
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []).filter(item => typeof item === 'string');
+
+// Text around a match, to show the jobseeker where a suggestion comes from
+const excerpt = (text, index, length) => text
+  .slice(Math.max(0, index - 30), Math.min(text.length, index + length + 30))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const findTerm = (text, folded, term) => {
+  const found = keywordPattern(foldText(term)).exec(folded);
+  return found && excerpt(text, found.index, term.length);
+};
+
+// The level in the part of a sentence that mentions English, so in "Croatian native,
+// English good" the level is good
+function englishSuggestion(text, folded) {
+  for (const found of folded.matchAll(/(?<![\p{L}])english(?![\p{L}])/gu)) {
+    const start = Math.max(...[',', ';', '.', '\n'].map(separator => text.lastIndexOf(separator, found.index)));
+    const ends = [',', ';', '.', '\n'].map(separator => text.indexOf(separator, found.index)).filter(end => end !== -1);
+    const clause = text.slice(start + 1, ends.length > 0 ? Math.min(...ends) : text.length).trim();
+
+    const level = englishLevel(clause);
+    if (level !== null) {
+      return { value: ENGLISH_LEVELS[level][0], found: clause };
+    }
+  }
+  return null;
+}
+
+// Profile fields the resume says something about that the profile doesn't, for the
+// jobseeker to add with PUT /api/users/profile. List fields suggest the items to add.
+export function profileSuggestions(resumeText, profile = {}) {
+  if (!resumeText) {
+    return [];
+  }
+
+  const folded = foldText(resumeText);
+  const suggestions = [];
+
+  // Numbers only count after a label, years and dates look like phone numbers too
+  if (!profile.phone) {
+    const phone = /(?<![\p{L}])(phone|tel|mobile|mob|telefon|mobitel)\.?:?\s*(\+?\d[\d /().-]{5,18}\d)/u.exec(folded);
+    if (phone) {
+      const index = phone.index + phone[0].length - phone[2].length;
+      suggestions.push({ field: 'phone', value: resumeText.slice(index, index + phone[2].length), found: excerpt(resumeText, phone.index, phone[0].length) });
+    }
+  }
+
+  if (!profile.englishLevel) {
+    const english = englishSuggestion(resumeText, folded);
+    if (english) {
+      suggestions.push({ field: 'englishLevel', ...english });
+    }
+  }
+
+  const yesNoFields = {
+    drivingLicence: /(?<![\p{L}])(driving licen[cs]e|driver'?s licen[cs]e|category b licen[cs]e|vozacka dozvola)/u,
+    liveInExperience: /(?<![\p{L}])live[ -]?in(?![\p{L}])/u
+  };
+  for (const [field, pattern] of Object.entries(yesNoFields)) {
+    const found = pattern.exec(folded);
+    if (found && typeof profile[field] !== 'boolean' && !profile[field]) {
+      suggestions.push({ field, value: 'Yes', found: excerpt(resumeText, found.index, found[0].length) });
+    }
+  }
+
+  const listFields = { qualification: QUALIFICATIONS, careExperience: CARE_EXPERIENCE };
+  for (const [field, terms] of Object.entries(listFields)) {
+    const current = asList(profile[field]).map(normalizeText);
+    const found = terms
+      .filter(term => !current.some(item => item.includes(normalizeText(term))))
+      .map(term => ({ term, found: findTerm(resumeText, folded, term) }))
+      .filter(item => item.found);
+
+    if (found.length > 0) {
+      suggestions.push({
+        field,
+        value: found.map(item => item.term),
+        found: found.map(item => item.found).join(' … ')
+      });
+    }
+  }
+
+  return suggestions;
+}
+
+// Applications whose resume matches a keyword search, best first, each with where it
+// matches as `resumeMatch`. The resume text itself is left out.
+export const searchResumes = (applications, keywords, match) => applications
+  .map(application => ({ application, found: resumeMatch(application, keywords, match) }))
+  .filter(({ found }) => found)
+  .sort((a, b) => b.found.score - a.found.score)
+  .map(({ application: { resumeText, resumeSearchText, ...application }, found }) => ({ ...application, resumeMatch: found }));
@@ -0,0 +1,75 @@
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const LINK_AUDIENCE = 'resume-download';
+
+// Signed download links work for this long
+export const RESUME_LINK_TTL_SECONDS = 5 * 60;
+
+// Where POST /api/applications/apply stores resumes. server.js keeps this folder out of
+// the static uploads, resumes are only sent by GET /api/applications/:id/resume.
+export const RESUME_DIR = 'uploads/resumes';
+
+// Whether a path under /uploads points into the resume folder, however it is spelled
+// (/resumes/x.pdf, //resumes/x.pdf, /a/../Resumes/x.pdf, /%72esumes/x.pdf)
+export function isResumeUrl(urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (error) {
+    return true;
+  }
+
+  const folder = `/${path.posix.relative('uploads', RESUME_DIR)}`.toLowerCase();
+  const normalized = path.posix.normalize(decoded.replace(/\\/g, '/')).toLowerCase();
+  return normalized === folder || normalized.startsWith(`${folder}/`);
+}
+
+// The applicant and the employer whose job it is. Applications keep the employer of their job.
+export const canAccessResume = (application, userId) =>
+  !!userId && (application.applicantId === userId || application.employerId === userId);
+
+// Link that downloads an application's resume without the Authorization header, for
+// browsers opening the file directly. It only works for the user it was made for.
+export function signResumeLink(applicationId, userId) {
+  const token = jwt.sign(
+    { id: userId },
+    JWT_SECRET,
+    { expiresIn: RESUME_LINK_TTL_SECONDS, audience: LINK_AUDIENCE, subject: applicationId }
+  );
+
+  return {
+    url: `/api/applications/${applicationId}/resume?token=${token}`,
+    expiresAt: new Date(Date.now() + RESUME_LINK_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+// User a download link was made for, or null if it is invalid, expired or for another application
+export function verifyResumeLink(token, applicationId) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, { audience: LINK_AUDIENCE, subject: applicationId });
+    return decoded.id;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Absolute path of an application's resume, or null if it has none. Paths outside
+// the resume folder are never sent.
+export function resumeFile(application) {
+  if (!application.resumePath) {
+    return null;
+  }
+
+  const folder = path.resolve(RESUME_DIR);
+  const file = path.resolve(application.resumePath);
+  return file.startsWith(folder + path.sep) ? file : null;
+}
+
+// Name the browser saves the file as, without the applicant's name
+export const resumeDownloadName = (application) =>
+  `resume-${application._id}${path.extname(application.resumePath).toLowerCase()}`;
@@ -0,0 +1,44 @@
+// Working hours in each pay period, for a 40 hour week
+const HOURS_PER_PERIOD = {
+  hourly: 1,
+  daily: 8,
+  weekly: 40,
+  monthly: 40 * 52 / 12,
+  yearly: 40 * 52
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Convert an amount paid per `from` period to the same pay per `to` period
+export const convertSalary = (amount, from, to) => round(amount * HOURS_PER_PERIOD[to] / HOURS_PER_PERIOD[from]);
+
+// Stored salary: the validated min/max/currency/period plus annual and hourly
+// equivalents, so offers with different periods can be filtered and sorted together
+export function buildSalary({ min, max = min, currency, period }) {
+  return {
+    min,
+    max,
+    currency,
+    period,
+    annual: { min: convertSalary(min, period, 'yearly'), max: convertSalary(max, period, 'yearly') },
+    hourly: { min: convertSalary(min, period, 'hourly'), max: convertSalary(max, period, 'hourly') }
+  };
+}
+
+// Filter for salaries overlapping minSalary-maxSalary, given per `period`.
+// Amounts in other currencies are compared as they are, so pass `currency` to exclude them.
+export function salaryRangeFilter({ minSalary, maxSalary, period, currency }) {
+  const filter = {};
+
+  if (minSalary !== undefined) {
+    filter['salary.annual.max'] = { $gte: convertSalary(minSalary, period, 'yearly') };
+  }
+  if (maxSalary !== undefined) {
+    filter['salary.annual.min'] = { $lte: convertSalary(maxSalary, period, 'yearly') };
+  }
+  if (currency) {
+    filter['salary.currency'] = currency;
+  }
+
+  return filter;
+}
@@ -0,0 +1,105 @@
+import { savedSearchCollection } from '../models/savedSearches.js';
+import { createNotification } from '../routes/notifications.js';
+import { searchQuery } from './jobListings.js';
+import { logger } from '../utils/logger.js';
+
+// Daily digests go out at most once every 24 hours
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Jobs kept for the next digest, the oldest are dropped first
+const MAX_PENDING_JOBS = 50;
+
+// Job titles named in a digest notification
+const DIGEST_TITLES = 3;
+
+// Query for the jobs a saved search finds, like GET /api/jobs with its filters
+const savedSearchQuery = (search) => searchQuery({ ...search.filters, origin: search.origin });
+
+// Tell the owners of the saved searches a newly published job matches about it, right away
+// or in their next digest. Call it once the job is active. Alerts must never break the
+// request that published the job, so errors are only logged. Returns the number of matches.
+export async function notifyMatchingSearches(db, job) {
+  const jobId = job._id.toString();
+
+  try {
+    const savedSearches = await savedSearchCollection(db);
+    const jobs = db.collection('jobs');
+
+    // Searches for another employment type can't match, the rest are checked one by one
+    const candidates = await savedSearches.find({
+      userId: { $ne: job.employerId },
+      'filters.employmentType': { $in: [null, '', job.employmentType] }
+    }).toArray();
+
+    let matched = 0;
+    for (const search of candidates) {
+      const matches = await jobs.countDocuments({ ...savedSearchQuery(search), _id: job._id }, { limit: 1 });
+      if (matches === 0) continue;
+
+      matched++;
+      if (search.frequency === 'daily') {
+        await savedSearches.updateOne(
+          { _id: search._id },
+          {
+            $push: {
+              pendingJobs: {
+                $each: [{ jobId, title: job.title, location: job.location, matchedAt: new Date().toISOString() }],
+                $slice: -MAX_PENDING_JOBS
+              }
+            }
+          }
+        );
+      } else {
+        await createNotification(db, {
+          recipientId: search.userId,
+          type: 'saved_search_match',
+          title: 'New Job Alert',
+          message: `A new job matches your saved search "${search.name}": ${job.title} in ${job.location}`,
+          relatedId: jobId,
+          relatedType: 'job'
+        });
+      }
+    }
+
+    return matched;
+  } catch (error) {
+    logger.error('Error sending saved search alerts', { err: error, jobId });
+    return 0;
+  }
+}
+
+// Send the digests that are due: one notification per saved search with the jobs it
+// matched since its last digest. Each search is claimed with findOneAndUpdate, so several
+// app instances can run this at once.
+export async function sendSearchDigests(db, now = new Date()) {
+  const savedSearches = await savedSearchCollection(db);
+  const cutoff = new Date(now.getTime() - DIGEST_INTERVAL_MS).toISOString();
+  let sent = 0;
+
+  let search;
+  while ((search = await savedSearches.findOneAndUpdate(
+    { 'pendingJobs.0': { $exists: true }, lastDigestAt: { $lte: cutoff } },
+    { $set: { pendingJobs: [], lastDigestAt: now.toISOString() } }
+  ))) {
+    const { pendingJobs } = search;
+    const titles = pendingJobs.slice(0, DIGEST_TITLES).map(job => job.title).join(', ');
+    const more = pendingJobs.length - DIGEST_TITLES;
+
+    await createNotification(db, {
+      recipientId: search.userId,
+      type: 'saved_search_digest',
+      title: 'Daily Job Alert',
+      message: pendingJobs.length === 1
+        ? `A new job matches your saved search "${search.name}": ${titles}`
+        : `${pendingJobs.length} new jobs match your saved search "${search.name}": ${titles}${more > 0 ? ` and ${more} more` : ''}`,
+      relatedId: search._id.toString(),
+      relatedType: 'saved_search'
+    });
+    sent++;
+  }
+
+  if (sent > 0) {
+    logger.info('Saved search digests sent', { sent });
+  }
+  return sent;
+}
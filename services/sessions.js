@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { ObjectId } from 'mongodb';
+import { sessionCollection } from '../models/sessions.js';
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Access tokens are short-lived, refresh tokens are rotated on every use
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh tokens are only ever stored as a SHA-256 hash
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+export const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user._id.toString(),
+    fullName: user.fullName,
+    email: user.email,
+    role: user.role,
+    sid: sessionId.toString()
+  },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a new session for a user and return the token pair for the client
+export async function createSession(db, user, req) {
+  const sessions = await sessionCollection(db);
+  const refreshToken = generateRefreshToken();
+  const now = new Date().toISOString();
+
+  const result = await sessions.insertOne({
+    userId: user._id.toString(),
+    refreshTokenHash: hashToken(refreshToken),
+    previousRefreshTokenHash: null,
+    userAgent: req.headers['user-agent'] || 'Unknown device',
+    ipAddress: req.ip,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: refreshTokenExpiry(),
+    revokedAt: null
+  });
+
+  return {
+    sessionId: result.insertedId.toString(),
+    token: signAccessToken(user, result.insertedId),
+    refreshToken
+  };
+}
+
+// Exchange a refresh token for a new token pair.
+// Returns null if the token is unknown, expired or revoked.
+export async function rotateSession(db, refreshToken, req) {
+  const sessions = await sessionCollection(db);
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await sessions.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // A token that was already rotated is being replayed, so the session
+    // may have been stolen: revoke it so neither party can keep using it
+    await sessions.updateOne(
+      { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date().toISOString(), revokedReason: 'refresh_token_reuse' } }
+    );
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const user = await db.collection('users').findOne({ _id: new ObjectId(session.userId) });
+  if (!user || user.suspended) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const result = await sessions.updateOne(
+    { _id: session._id, refreshTokenHash: tokenHash },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        userAgent: req.headers['user-agent'] || session.userAgent,
+        ipAddress: req.ip,
+        lastUsedAt: new Date().toISOString(),
+        expiresAt: refreshTokenExpiry()
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  return {
+    sessionId: session._id.toString(),
+    token: signAccessToken(user, session._id),
+    refreshToken: newRefreshToken
+  };
+}
+
+// Check that the session behind an access token is still usable
+export async function isSessionActive(db, sessionId) {
+  if (!sessionId || !ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const sessions = await sessionCollection(db);
+  const session = await sessions.findOne(
+    { _id: new ObjectId(sessionId) },
+    { projection: { revokedAt: 1, expiresAt: 1 } }
+  );
+
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+// List a user's active sessions, flagging the one making the request
+export async function listSessions(db, userId, currentSessionId) {
+  const sessions = await sessionCollection(db);
+
+  const activeSessions = await sessions.find(
+    { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { projection: { refreshTokenHash: 0, previousRefreshTokenHash: 0 } }
+  ).sort({ lastUsedAt: -1 }).toArray();
+
+  return activeSessions.map(session => ({
+    ...session,
+    current: session._id.toString() === currentSessionId
+  }));
+}
+
+// Revoke a single session belonging to a user
+export async function revokeSession(db, userId, sessionId, reason = 'logout') {
+  const sessions = await sessionCollection(db);
+
+  const result = await sessions.updateOne(
+    { _id: new ObjectId(sessionId), userId, revokedAt: null },
+    { $set: { revokedAt: new Date().toISOString(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+// Revoke every session of a user, optionally keeping one (the current device)
+export async function revokeAllSessions(db, userId, reason, exceptSessionId = null) {
+  const sessions = await sessionCollection(db);
+
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: new ObjectId(exceptSessionId) };
+  }
+
+  const result = await sessions.updateMany(
+    filter,
+    { $set: { revokedAt: new Date().toISOString(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+}
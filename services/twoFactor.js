@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { generateSecret, verifyCode, provisioningUri } from './totp.js';
+import { hashToken } from './sessions.js';
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const CHALLENGE_AUDIENCE = '2fa-challenge';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets are encrypted at rest (AES-256-GCM)
+const encryptionKey = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET || '')
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+export const isTwoFactorEnabled = (user) => !!user.twoFactor?.enabled;
+
+// Start enrollment: store a pending secret until the user confirms a code from it
+export async function startEnrollment(db, user) {
+  const secret = generateSecret();
+
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+  );
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri(secret, user.email)
+  };
+}
+
+// Recovery codes look like "a1b2c-3d4e5" and are stored hashed
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+// Replace the recovery codes and return the new ones in plain text (shown once)
+export async function regenerateRecoveryCodes(db, user) {
+  const codes = generateRecoveryCodes();
+
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.recoveryCodes': codes.map(code => hashToken(code)) } }
+  );
+
+  return codes;
+}
+
+// Finish enrollment if the code matches the pending secret.
+// Returns the recovery codes, or null if the code is wrong.
+export async function confirmEnrollment(db, user, code) {
+  const pendingSecret = user.twoFactor?.pendingSecret;
+  if (!pendingSecret) {
+    return null;
+  }
+
+  const step = verifyCode(decryptSecret(pendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  const codes = generateRecoveryCodes();
+
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactor: {
+          enabled: true,
+          secret: pendingSecret,
+          recoveryCodes: codes.map(recoveryCode => hashToken(recoveryCode)),
+          lastUsedStep: step,
+          enabledAt: new Date().toISOString()
+        }
+      }
+    }
+  );
+
+  return codes;
+}
+
+export async function disableTwoFactor(db, user) {
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    { $unset: { twoFactor: "" } }
+  );
+}
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled.
+// Codes can't be replayed: a TOTP step is accepted once and recovery codes are single-use.
+export async function verifySecondFactor(db, user, { code, recoveryCode }) {
+  if (!isTwoFactorEnabled(user)) {
+    return false;
+  }
+
+  const users = db.collection('users');
+
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+      return false;
+    }
+
+    const result = await users.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': user.twoFactor.lastUsedStep },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const result = await users.updateOne(
+      { _id: user._id },
+      { $pull: { 'twoFactor.recoveryCodes': hashToken(normalizeRecoveryCode(recoveryCode)) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+}
+
+// Short-lived token proving the password step of a login succeeded
+export const createLoginChallenge = (user) => jwt.sign(
+  { id: user._id.toString() },
+  JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+);
+
+// Returns the user ID from a valid challenge token, or null
+export function verifyLoginChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return decoded.id;
+  } catch (error) {
+    return null;
+  }
+}
+
+// User ID from a challenge token without checking it, only used to key attempt limits
+export const peekLoginChallenge = (challengeToken) => {
+  const decoded = challengeToken ? jwt.decode(challengeToken) : null;
+  return decoded?.id || null;
+};
@@ -0,0 +1,29 @@
+// Machine-readable error codes used when a response doesn't name a more specific one
+export const DEFAULT_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'VALIDATION_FAILED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+export const defaultErrorCode = (status) =>
+  DEFAULT_ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// Error with an HTTP status and a stable code for clients to check,
+// e.g. new AppError(415, 'UNSUPPORTED_FILE_TYPE', 'Only image files are allowed!')
+export class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code || defaultErrorCode(status);
+    this.details = details;
+  }
+}
@@ -0,0 +1,87 @@
+// Writing iCalendar (RFC 5545) files that calendar apps can import
+
+const PRODUCT_ID = '-//CareMatch//Interviews//EN';
+
+// Lines are limited to 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// 2025-03-01T09:30:00.000Z as 20250301T093000Z
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values with separators must be quoted, and can't contain quotes
+const paramValue = (value) => `"${String(value).replace(/"/g, '')}"`;
+
+// Long lines continue on the next line after a space. Characters aren't split
+// across lines, so multi-byte ones are counted by their octets.
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n');
+};
+
+const person = (property, { name, email }) =>
+  `${property}${name ? `;CN=${paramValue(name)}` : ''}:mailto:${email}`;
+
+// Calendar with a single event. `method` is PUBLISH for downloads, REQUEST for invitations
+// and CANCEL for cancelled ones; the `sequence` must grow with every change to the event.
+// Organizer and attendees are { name, email }, the ones without an email are left out.
+export function toIcs({
+  method = 'PUBLISH',
+  uid,
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  cancelled = false,
+  organizer,
+  attendees = [],
+  now = new Date()
+}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    ...(organizer?.email ? [person('ORGANIZER', organizer)] : []),
+    ...attendees.filter(attendee => attendee.email).map(attendee => person('ATTENDEE;ROLE=REQ-PARTICIPANT', attendee)),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
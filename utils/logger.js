@@ -0,0 +1,95 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_LEVEL = process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+const configuredLevel = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+const minLevel = LEVELS[configuredLevel] ?? LEVELS[DEFAULT_LEVEL];
+
+// Fields whose values never end up in the logs
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|e-?mail|recovery/i;
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+const REDACTED = '[REDACTED]';
+
+// Holds the request a log line belongs to, see requestContext()
+const requestStorage = new AsyncLocalStorage();
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: redactText(err.message),
+  ...(err.code ? { code: err.code } : {}),
+  stack: err.stack
+});
+
+const redactText = (text) => typeof text === 'string' ? text.replace(EMAIL_PATTERN, REDACTED) : text;
+
+// Copy of a value with sensitive fields replaced, safe to serialize
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  // ObjectIds and similar
+  if (typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  if (depth > 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item != null ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+// Request ID, user ID and route of the request being handled, if any
+function contextFields() {
+  const req = requestStorage.getStore();
+  if (!req) {
+    return {};
+  }
+
+  return {
+    requestId: req.id,
+    ...(req.user?.id ? { userId: req.user.id } : {}),
+    // The route pattern (/api/jobs/:id) is only known once a router matched
+    route: req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0]
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message: redactText(message),
+    ...contextFields(),
+    ...redact(fields)
+  });
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Structured JSON logger. Pass details as fields, errors as { err }:
+// logger.error('Error fetching jobs', { err: error, jobId })
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// Run fn with every line it logs (also asynchronously) tagged with the request
+export const withRequestContext = (req, fn) => requestStorage.run(req, fn);
@@ -0,0 +1,11 @@
+// Helpers for turning request parameters into MongoDB queries
+
+// Escape user input for use inside a $regex
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse page/limit query parameters with sane bounds
+export const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
@@ -0,0 +1,20 @@
+// Helpers for comparing free text typed by users
+
+// Lowercase words without diacritics or punctuation, so "Varaždin," and "varazdin" match
+export const normalizeText = (text) => text
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .replace(/đ/gi, 'd')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const foldChar = (char) => {
+  const base = char.normalize('NFD')[0].toLowerCase();
+  if (base === 'đ') return 'd';
+  return base.length === 1 ? base : char;
+};
+
+// Lowercase without diacritics like normalizeText, but every character stays in
+// place, so a match found in the folded text is at the same position in the original
+export const foldText = (text) => text.split('').map(foldChar).join('');
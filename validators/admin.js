@@ -0,0 +1,48 @@
+import Joi from 'joi';
+import { objectId, idParams, pagination } from './common.js';
+import { APPLICATION_STATUSES } from './applications.js';
+
+const reason = Joi.string().trim().max(1000);
+
+export const listUsersSchema = {
+  query: Joi.object({
+    search: Joi.string().trim().max(200).allow(''),
+    role: Joi.string().valid('jobseeker', 'employer', 'admin'),
+    status: Joi.string().valid('active', 'suspended'),
+    ...pagination
+  })
+};
+
+export const idSchema = {
+  params: idParams()
+};
+
+// Actions that must explain why they were taken
+export const requiredReasonSchema = {
+  params: idParams(),
+  body: Joi.object({ reason: reason.required() })
+};
+
+export const optionalReasonSchema = {
+  params: idParams(),
+  body: Joi.object({ reason: reason.allow('') })
+};
+
+export const listApplicationsSchema = {
+  query: Joi.object({
+    jobId: objectId,
+    applicantId: objectId,
+    employerId: objectId,
+    status: Joi.string().valid(...APPLICATION_STATUSES),
+    ...pagination
+  })
+};
+
+export const listActionsSchema = {
+  query: Joi.object({
+    adminId: objectId,
+    targetType: Joi.string().valid('user', 'job', 'review', 'application'),
+    targetId: objectId,
+    ...pagination
+  })
+};
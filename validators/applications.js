@@ -0,0 +1,80 @@
+import Joi from 'joi';
+import { objectId, idParams, pagination } from './common.js';
+
+export const APPLICATION_STATUSES = ['Pending', 'Reviewed', 'Interviewing', 'Hired', 'Rejected'];
+
+// Status changes an employer can make. Hired is final; rejected applications
+// can be reconsidered.
+export const APPLICATION_TRANSITIONS = {
+  Pending: ['Reviewed', 'Interviewing', 'Rejected'],
+  Reviewed: ['Interviewing', 'Hired', 'Rejected'],
+  Interviewing: ['Hired', 'Rejected'],
+  Hired: [],
+  Rejected: ['Reviewed']
+};
+
+// Keywords of a resume search used at most, the others are ignored
+export const MAX_SEARCH_KEYWORDS = 10;
+
+// Resume keyword search: words and "quoted phrases". With `match` all every keyword
+// must be in the resume, with any one is enough.
+const resumeSearch = {
+  q: Joi.string().trim().max(200).pattern(/[\p{L}\p{N}]/u).messages({
+    'string.pattern.base': '{#label} must contain a word'
+  }),
+  match: Joi.string().valid('all', 'any').default('all')
+};
+
+export const applicationIdSchema = {
+  params: idParams()
+};
+
+// `token` is a signed link from POST /api/applications/:id/resume-link, used instead of the access token
+export const resumeDownloadSchema = {
+  params: idParams(),
+  query: Joi.object({
+    token: Joi.string().max(1000)
+  })
+};
+
+export const jobIdSchema = {
+  params: idParams('jobId')
+};
+
+export const jobApplicationsSchema = {
+  params: idParams('jobId'),
+  query: Joi.object(resumeSearch)
+};
+
+// The employer's whole applicant pool, or one job's applicants
+export const resumeSearchSchema = {
+  query: Joi.object({
+    ...resumeSearch,
+    q: resumeSearch.q.required(),
+    jobId: objectId,
+    status: Joi.string().valid(...APPLICATION_STATUSES),
+    ...pagination
+  })
+};
+
+// Sent as multipart/form-data together with the resume file
+export const applySchema = {
+  body: Joi.object({
+    jobId: objectId.required(),
+    coverLetter: Joi.string().trim().min(1).max(10000).required(),
+    additionalNotes: Joi.string().trim().max(5000).allow('')
+  })
+};
+
+export const updateStatusSchema = {
+  params: idParams(),
+  body: Joi.object({
+    status: Joi.string().valid(...APPLICATION_STATUSES).required(),
+    // Kept in the status history. Only shown to the applicant when shareReason is set.
+    reason: Joi.string().trim().min(1).max(1000),
+    shareReason: Joi.boolean().default(false).when('reason', {
+      not: Joi.exist(),
+      then: Joi.valid(false).messages({ 'any.only': '{#label} needs a reason' })
+    })
+  })
+};
@@ -0,0 +1,97 @@
+import Joi from 'joi';
+import { objectId, email, password, totpCode, recoveryCode, stringList } from './common.js';
+
+// Passwords being checked (not set) keep no length rule, older accounts may have short ones
+const currentPassword = Joi.string().max(128);
+
+export const registerSchema = {
+  body: Joi.object({
+    fullName: Joi.string().trim().min(1).max(100).required(),
+    email: email.required(),
+    password: password.required(),
+    role: Joi.string().valid('jobseeker', 'employer').required()
+  })
+};
+
+export const loginSchema = {
+  body: Joi.object({
+    email: email.required(),
+    password: currentPassword.required(),
+    role: Joi.string().valid('jobseeker', 'employer', 'admin').required()
+  })
+};
+
+export const twoFactorLoginSchema = {
+  body: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: totpCode,
+    recoveryCode
+  }).xor('code', 'recoveryCode')
+};
+
+export const tokenSchema = {
+  body: Joi.object({
+    token: Joi.string().hex().max(128).required()
+  })
+};
+
+export const refreshSchema = {
+  body: Joi.object({
+    refreshToken: Joi.string().hex().max(256).required()
+  })
+};
+
+export const sessionIdSchema = {
+  params: Joi.object({ id: objectId.required() })
+};
+
+export const totpCodeSchema = {
+  body: Joi.object({
+    code: totpCode.required()
+  })
+};
+
+export const disableTwoFactorSchema = {
+  body: Joi.object({
+    password: currentPassword.required(),
+    code: totpCode,
+    recoveryCode
+  }).xor('code', 'recoveryCode')
+};
+
+export const updateProfileSchema = {
+  body: Joi.object({
+    email,
+    currentPassword,
+    newPassword: password,
+    gender: Joi.string().trim().max(50).allow(''),
+    location: Joi.string().trim().max(200).allow(''),
+    englishLevel: Joi.string().trim().max(50).allow(''),
+    qualification: stringList(),
+    careExperience: stringList(),
+    liveInExperience: Joi.alternatives().try(Joi.boolean(), Joi.string().trim().max(50).allow('')),
+    drivingLicence: Joi.alternatives().try(Joi.boolean(), Joi.string().trim().max(50).allow('')),
+    aboutYourself: Joi.string().trim().max(5000).allow(''),
+    companyName: Joi.string().trim().max(200).allow('')
+  }).and('currentPassword', 'newPassword')
+};
+
+export const forgotPasswordSchema = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+export const resetPasswordSchema = {
+  body: Joi.object({
+    token: Joi.string().hex().max(128).required(),
+    newPassword: password.required()
+  })
+};
+
+export const changePasswordSchema = {
+  body: Joi.object({
+    currentPassword: currentPassword.required(),
+    newPassword: password.required()
+  })
+};
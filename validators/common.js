@@ -0,0 +1,38 @@
+import Joi from 'joi';
+
+// MongoDB ObjectId as a 24 character hex string
+export const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': '{#label} must be a valid ID',
+  'string.length': '{#label} must be a valid ID'
+});
+
+// Params with a single ID, e.g. idParams('jobId') for /saved/:jobId
+export const idParams = (name = 'id') => Joi.object({ [name]: objectId.required() });
+
+export const email = Joi.string().trim().email({ tlds: { allow: false } }).max(254);
+
+export const password = Joi.string().min(8).max(128);
+
+export const totpCode = Joi.string().trim().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': '{#label} must be a 6 digit code'
+});
+
+export const recoveryCode = Joi.string().trim().max(20);
+
+// page/limit query parameters for paginated lists
+export const pagination = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+};
+
+// near/radiusKm query parameters for radius searches. `near` is a place name or "lat,lng".
+export const radiusSearch = {
+  near: Joi.string().trim().max(200),
+  radiusKm: Joi.number().positive().max(500).default(25)
+};
+
+// Multipart forms and some clients send a single value instead of an array
+export const stringList = (maxItems = 50) => Joi.alternatives().try(
+  Joi.array().items(Joi.string().trim().max(200)).max(maxItems),
+  Joi.string().trim().max(200)
+);
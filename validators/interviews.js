@@ -0,0 +1,105 @@
+import Joi from 'joi';
+import { objectId, idParams, pagination } from './common.js';
+
+export const INTERVIEW_FORMATS = ['in_person', 'phone', 'video'];
+
+// proposed: waiting for the applicant to pick a slot
+// alternatives_requested: the applicant asked for other slots
+// scheduled: a slot was accepted
+// cancelled: called off by either side
+export const INTERVIEW_STATUSES = ['proposed', 'alternatives_requested', 'scheduled', 'cancelled'];
+
+// Interviews that still take up the application, only one at a time
+export const OPEN_INTERVIEW_STATUSES = ['proposed', 'alternatives_requested', 'scheduled'];
+
+// Slots offered in one proposal at most
+export const MAX_INTERVIEW_SLOTS = 5;
+
+// Reminders sent before a scheduled interview, shortest first. An interview that is
+// already closer than a reminder when it's accepted skips the longer ones.
+export const INTERVIEW_REMINDERS = [
+  { key: '1h', beforeMs: 60 * 60 * 1000 },
+  { key: '24h', beforeMs: 24 * 60 * 60 * 1000 }
+];
+
+const slotStart = Joi.date().iso().greater('now').messages({ 'date.greater': '{#label} must be in the future' });
+
+// Where the interview takes place: an address, a phone number or a video call link,
+// whichever the format needs
+const details = {
+  format: Joi.string().valid(...INTERVIEW_FORMATS),
+  address: Joi.string().trim().min(1).max(300).when('format', {
+    is: 'in_person', then: Joi.required(), otherwise: Joi.forbidden()
+  }),
+  phone: Joi.string().trim().pattern(/^\+?[\d\s()/-]{5,30}$/).when('format', {
+    is: 'phone', then: Joi.required(), otherwise: Joi.forbidden()
+  }).messages({ 'string.pattern.base': '{#label} must be a phone number' }),
+  videoLink: Joi.string().trim().uri({ scheme: ['https', 'http'] }).max(500).when('format', {
+    is: 'video', then: Joi.required(), otherwise: Joi.forbidden()
+  }),
+  durationMinutes: Joi.number().integer().min(15).max(480),
+  notes: Joi.string().trim().max(2000).allow('')
+};
+
+const slots = Joi.array()
+  .items(slotStart)
+  .min(1)
+  .max(MAX_INTERVIEW_SLOTS)
+  .unique((a, b) => a.getTime() === b.getTime())
+  .messages({ 'array.unique': '{#label} must not offer the same time twice' });
+
+export const proposeInterviewSchema = {
+  body: Joi.object({
+    applicationId: objectId.required(),
+    slots: slots.required(),
+    ...details,
+    format: details.format.required(),
+    durationMinutes: details.durationMinutes.default(60)
+  })
+};
+
+export const listInterviewsSchema = {
+  query: Joi.object({
+    status: Joi.string().valid(...INTERVIEW_STATUSES),
+    applicationId: objectId,
+    // Only interviews still to come: open ones and scheduled ones that haven't started
+    upcoming: Joi.boolean().default(false),
+    ...pagination
+  })
+};
+
+export const interviewIdSchema = {
+  params: idParams()
+};
+
+export const acceptInterviewSchema = {
+  params: idParams(),
+  body: Joi.object({
+    slotId: objectId.required()
+  })
+};
+
+export const requestAlternativesSchema = {
+  params: idParams(),
+  body: Joi.object({
+    message: Joi.string().trim().min(1).max(1000).required()
+  })
+};
+
+// New slots replace the offered or accepted one. The format and its details can change
+// too, but only together.
+export const rescheduleInterviewSchema = {
+  params: idParams(),
+  body: Joi.object({
+    slots: slots.required(),
+    ...details,
+    message: Joi.string().trim().max(1000).allow('')
+  })
+};
+
+export const cancelInterviewSchema = {
+  params: idParams(),
+  body: Joi.object({
+    reason: Joi.string().trim().max(1000).allow('')
+  })
+};
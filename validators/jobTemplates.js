@@ -0,0 +1,38 @@
+import Joi from 'joi';
+import { objectId, idParams, pagination } from './common.js';
+import { jobContentFields, createJobSchema } from './jobs.js';
+
+const name = Joi.string().trim().min(1).max(100);
+
+// Every job field is optional in a template, the missing ones are given when using it
+export const createTemplateSchema = {
+  body: Joi.object({
+    name: name.required(),
+    // Start from an existing job, the other fields override its content
+    jobId: objectId,
+    ...jobContentFields
+  })
+};
+
+export const updateTemplateSchema = {
+  params: idParams(),
+  body: Joi.object({
+    name,
+    ...jobContentFields
+  }).min(1)
+};
+
+export const listTemplatesSchema = {
+  query: Joi.object(pagination)
+};
+
+export const templateIdSchema = {
+  params: idParams()
+};
+
+// Same fields as POST /api/jobs/create, all optional. Together with the template
+// they must make a complete job, which is checked against createJobSchema.
+export const useTemplateSchema = {
+  params: idParams(),
+  body: createJobSchema.body.fork(['title', 'salary', 'employmentType', 'location', 'description'], field => field.optional())
+};
@@ -0,0 +1,197 @@
+import Joi from 'joi';
+import { idParams, pagination, radiusSearch } from './common.js';
+
+// Sort options of the job lists
+export const JOB_SORTS = ['newest', 'oldest', 'salary_desc', 'salary_asc', 'closing_soon', 'relevance', 'distance'];
+
+// Relevance and distance need a search, so the other lists don't offer them
+const LIST_SORTS = JOB_SORTS.filter(sort => sort !== 'relevance' && sort !== 'distance');
+
+// Lifecycle of a job. Only published jobs are listed and accept applications.
+export const JOB_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'closed', 'archived'];
+
+// Status changes an employer can make. The scheduler also publishes scheduled
+// jobs and closes jobs whose closing date has passed.
+export const JOB_TRANSITIONS = {
+  draft: ['scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['paused', 'closed'],
+  paused: ['published', 'closed'],
+  closed: ['published', 'archived'],
+  archived: []
+};
+
+export const SALARY_PERIODS = ['hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+
+export const CURRENCIES = ['EUR', 'GBP', 'USD', 'CHF'];
+
+// Bands of the annual salary for filtering and facet counts.
+// `max` is exclusive, the last band is open-ended.
+export const SALARY_BANDS = [
+  { value: '0-12000', min: 0, max: 12000 },
+  { value: '12000-24000', min: 12000, max: 24000 },
+  { value: '24000-36000', min: 24000, max: 36000 },
+  { value: '36000-60000', min: 36000, max: 60000 },
+  { value: '60000+', min: 60000 }
+];
+
+const amount = Joi.number().positive().max(10000000);
+
+// A fixed salary only needs min, max defaults to it
+const salary = Joi.object({
+  min: amount.required(),
+  max: amount.min(Joi.ref('min')).messages({ 'number.min': '{#label} must not be less than min' }),
+  currency: Joi.string().trim().uppercase().valid(...CURRENCIES).default('EUR'),
+  period: Joi.string().valid(...SALARY_PERIODS).required()
+});
+
+const futureDate = Joi.date().iso().greater('now').messages({ 'date.greater': '{#label} must be in the future' });
+
+// What a job posting says, as opposed to when it is published. Job templates store these.
+export const jobContentFields = {
+  title: Joi.string().trim().min(1).max(200),
+  salary,
+  employmentType: Joi.string().trim().min(1).max(50),
+  location: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().min(1).max(10000),
+  requirements: Joi.array().items(Joi.string().trim().max(500)).max(50)
+};
+
+const jobFields = {
+  ...jobContentFields,
+  // Jobs close automatically at the closing date
+  closingDate: futureDate.allow(null)
+};
+
+export const createJobSchema = {
+  body: Joi.object({
+    ...jobFields,
+    title: jobFields.title.required(),
+    salary: jobFields.salary.required(),
+    employmentType: jobFields.employmentType.required(),
+    location: jobFields.location.required(),
+    description: jobFields.description.required(),
+    postedDate: Joi.string().isoDate(),
+    // Published jobs with a publishAt in the future are scheduled
+    status: Joi.string().valid('draft', 'published').default('published'),
+    publishAt: futureDate,
+    closingDate: jobFields.closingDate.when('publishAt', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('publishAt')).messages({ 'date.greater': '{#label} must be after publishAt' })
+    })
+  })
+};
+
+export const updateJobSchema = {
+  params: idParams(),
+  body: Joi.object(jobFields).min(1)
+};
+
+// Filters of the job search. Saved searches store these.
+export const jobSearchFields = {
+  location: Joi.string().trim().max(200).allow(''),
+  employmentType: Joi.string().trim().max(50).allow(''),
+  salaryBand: Joi.string().valid(...SALARY_BANDS.map(band => band.value)),
+  // Jobs whose salary range overlaps minSalary-maxSalary per salaryPeriod
+  minSalary: Joi.number().min(0).max(10000000),
+  maxSalary: Joi.number().min(Joi.ref('minSalary', { adjust: value => value || 0 })).max(10000000)
+    .messages({ 'number.min': '{#label} must not be less than minSalary' }),
+  salaryPeriod: Joi.string().valid(...SALARY_PERIODS).default('yearly'),
+  currency: Joi.string().trim().uppercase().valid(...CURRENCIES),
+  keyword: Joi.string().trim().max(200).allow(''),
+  ...radiusSearch
+};
+
+export const listJobsSchema = {
+  query: Joi.object({
+    ...jobSearchFields,
+    // Defaults to relevance with a keyword, distance with near and newest otherwise
+    sort: Joi.string().valid(...JOB_SORTS),
+    ...pagination
+  })
+};
+
+export const myJobsSchema = {
+  query: Joi.object({
+    status: Joi.string().valid(...JOB_STATUSES),
+    sort: Joi.string().valid(...LIST_SORTS).default('newest'),
+    ...pagination
+  })
+};
+
+export const importJobsSchema = {
+  query: Joi.object({
+    // Check the file and report the errors without importing anything
+    dryRun: Joi.boolean().default(false)
+  })
+};
+
+export const exportJobsSchema = {
+  query: Joi.object({
+    format: Joi.string().valid('csv', 'json').default('csv'),
+    status: Joi.string().valid(...JOB_STATUSES)
+  })
+};
+
+export const savedJobsSchema = {
+  query: Joi.object({
+    sort: Joi.string().valid('saved', ...LIST_SORTS).default('saved'),
+    ...pagination
+  })
+};
+
+export const jobStatusSchema = {
+  params: idParams(),
+  body: Joi.object({
+    status: Joi.string().valid(...JOB_STATUSES).required(),
+    publishAt: futureDate.when('status', { is: 'scheduled', then: Joi.required(), otherwise: Joi.forbidden() })
+      .description('Required when scheduling, not allowed otherwise')
+  })
+};
+
+// Longest period one analytics request covers
+export const MAX_ANALYTICS_DAYS = 366;
+
+const periodDate = Joi.date().iso().max('now').messages({ 'date.max': '{#label} must not be in the future' });
+
+// Whole days from `from` to `to`, both included. Defaults to the last 30 days, or
+// with only `to` the 30 days up to it.
+const analyticsPeriod = {
+  from: periodDate,
+  to: periodDate
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': '{#label} must not be before from' })
+};
+
+export const jobAnalyticsSchema = {
+  params: idParams(),
+  query: Joi.object(analyticsPeriod)
+};
+
+export const employerAnalyticsSchema = {
+  query: Joi.object(analyticsPeriod)
+};
+
+// Match score lists, optionally only within radiusKm of the carer or the job
+const matchQuery = Joi.object({
+  minScore: Joi.number().integer().min(0).max(100).default(0),
+  radiusKm: Joi.number().positive().max(500),
+  ...pagination
+});
+
+export const recommendedJobsSchema = {
+  query: matchQuery
+};
+
+export const jobCandidatesSchema = {
+  params: idParams(),
+  query: matchQuery
+};
+
+export const jobIdSchema = {
+  params: idParams()
+};
+
+export const savedJobIdSchema = {
+  params: idParams('jobId')
+};
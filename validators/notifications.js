@@ -0,0 +1,5 @@
+import { idParams } from './common.js';
+
+export const notificationIdSchema = {
+  params: idParams()
+};
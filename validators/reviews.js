@@ -0,0 +1,19 @@
+import Joi from 'joi';
+import { objectId, idParams } from './common.js';
+
+export const createReviewSchema = {
+  body: Joi.object({
+    jobseekerId: objectId.required(),
+    rating: Joi.number().integer().min(1).max(5).required(),
+    comment: Joi.string().trim().max(2000).allow(''),
+    jobId: objectId.allow(null)
+  })
+};
+
+export const jobseekerIdSchema = {
+  params: idParams()
+};
+
+export const checkReviewSchema = {
+  params: idParams('jobseekerId')
+};
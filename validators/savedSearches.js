@@ -0,0 +1,47 @@
+import Joi from 'joi';
+import { idParams, pagination } from './common.js';
+import { jobSearchFields, JOB_SORTS } from './jobs.js';
+
+// Instant alerts notify about every matching job, daily ones once a day about all of them
+export const ALERT_FREQUENCIES = ['instant', 'daily'];
+
+// Every new job is checked against each saved search, so keep their number bounded
+export const MAX_SAVED_SEARCHES = 20;
+
+const name = Joi.string().trim().min(1).max(100);
+
+// Same filters as GET /api/jobs
+const filters = Joi.object(jobSearchFields);
+
+export const createSavedSearchSchema = {
+  body: Joi.object({
+    name: name.required(),
+    filters: filters.required(),
+    frequency: Joi.string().valid(...ALERT_FREQUENCIES).default('instant')
+  })
+};
+
+export const updateSavedSearchSchema = {
+  params: idParams(),
+  body: Joi.object({
+    name,
+    filters,
+    frequency: Joi.string().valid(...ALERT_FREQUENCIES)
+  }).min(1)
+};
+
+export const listSavedSearchesSchema = {
+  query: Joi.object(pagination)
+};
+
+export const savedSearchIdSchema = {
+  params: idParams()
+};
+
+export const savedSearchJobsSchema = {
+  params: idParams(),
+  query: Joi.object({
+    sort: Joi.string().valid(...JOB_SORTS),
+    ...pagination
+  })
+};
@@ -0,0 +1,45 @@
+import Joi from 'joi';
+import { email, idParams, totpCode, recoveryCode, stringList, radiusSearch } from './common.js';
+
+// Same as /api/auth/register
+export { registerSchema } from './auth.js';
+
+export const loginSchema = {
+  body: Joi.object({
+    email: email.required(),
+    password: Joi.string().max(128).required()
+  })
+};
+
+export const deleteAccountSchema = {
+  body: Joi.object({
+    password: Joi.string().max(128).required(),
+    code: totpCode,
+    recoveryCode
+  }).oxor('code', 'recoveryCode')
+};
+
+export const userIdSchema = {
+  params: idParams()
+};
+
+export const profileSchema = {
+  body: Joi.object({
+    profileData: Joi.object({
+      gender: Joi.string().trim().max(50).allow(''),
+      location: Joi.string().trim().max(200).allow(''),
+      phone: Joi.string().trim().max(30).allow(''),
+      englishLevel: Joi.string().trim().max(50).allow(''),
+      qualification: stringList(),
+      careExperience: stringList(),
+      liveInExperience: Joi.alternatives().try(Joi.boolean(), Joi.string().trim().max(50).allow('')),
+      drivingLicence: Joi.alternatives().try(Joi.boolean(), Joi.string().trim().max(50).allow('')),
+      aboutYourself: Joi.string().trim().max(5000).allow(''),
+      companyName: Joi.string().trim().max(200).allow('')
+    }).required()
+  })
+};
+
+export const listJobseekersSchema = {
+  query: Joi.object(radiusSearch)
+};